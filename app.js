@@ -0,0 +1,2904 @@
+// IMPORTS
+import express from "express";
+import cors from "cors";
+import { ObjectId } from "mongodb";
+import { createPaymentProvider, CONTRIBUTION_LIMITS, SUPPORTED_CURRENCIES } from "./lib/payments.js";
+import {
+    DONATION_STATUSES,
+    createStatusHistoryEntry,
+    transitionDonationRequest,
+} from "./lib/donation-status.js";
+import { validateBody } from "./lib/validation.js";
+import {
+    registerUserSchema,
+    updateProfileSchema,
+    createDonationRequestSchema,
+    updateDonationRequestSchema,
+    updateUserSchema,
+    USER_STATUSES,
+    BLOOD_GROUPS,
+    contactRequestSchema,
+    respondContactRequestSchema,
+    bloodBankSchema,
+    updateBloodBankSchema,
+    bloodStockSchema,
+    updateBloodStockSchema,
+    fulfilFromBankSchema,
+    campaignSchema,
+    updateCampaignSchema,
+    USER_ROLES,
+    donorFeedbackSchema,
+    moderateFeedbackSchema,
+} from "./lib/schemas.js";
+import { getCompatibleDonorGroups } from "./lib/blood-compatibility.js";
+import {
+    eligibleDonorFilter,
+    getNextEligibleDate,
+    isEligibleToDonate,
+    refreshDonorStats,
+} from "./lib/eligibility.js";
+import { createNotifier } from "./lib/notifications.js";
+import { queueUrgentAlerts, recordAlertResponse } from "./lib/urgent-broadcast.js";
+import { parsePagination, parseSort } from "./lib/query.js";
+import { auditLog, recordAuditEntry } from "./lib/audit.js";
+import { ANALYTICS_INTERVALS, getDonationAnalytics } from "./lib/analytics.js";
+import { getClaimedLocale, getClaimedRole, syncUserClaims } from "./lib/role-claims.js";
+import {
+    CONTACT_REQUEST_STATUSES,
+    searchableDonorFilter,
+    toMaskedDonor,
+    toRequesterDonorView,
+    toSentContactRequest,
+} from "./lib/donor-privacy.js";
+import {
+    DONATION_REQUEST_EXPORT_COLUMNS,
+    EXPORT_FORMATS,
+    USER_EXPORT_COLUMNS,
+    streamExport,
+} from "./lib/export.js";
+import { importDonors } from "./lib/donor-import.js";
+import { JOBS, isValidCronRequest } from "./lib/jobs.js";
+import { NOT_DELETED, getPurgeDate, restoreUpdate, softDeleteUpdate } from "./lib/soft-delete.js";
+import { RATE_LIMITS, createRateLimitStore, getMaxOpenRequestsPerUser, rateLimit } from "./lib/rate-limit.js";
+import { createStorage } from "./lib/storage.js";
+import {
+    availableStockLookup,
+    canManageBank,
+    formatStock,
+    releaseStock,
+    reserveStock,
+} from "./lib/blood-banks.js";
+import { todayString } from "./lib/dates.js";
+import {
+    CAMPAIGN_REGISTRATION_STATUSES,
+    CAMPAIGN_STATUSES,
+    PUBLIC_CAMPAIGN_PROJECTION,
+    getCampaignProgress,
+    releaseSeat,
+    reserveSeat,
+    upcomingCampaignFilter,
+    withSeatsLeft,
+} from "./lib/campaigns.js";
+import {
+    MAX_DOCUMENTS_PER_REQUEST,
+    UPLOAD_RULES,
+    avatarKey,
+    avatarKeyFromUrl,
+    documentKey,
+    processAvatar,
+    processDocument,
+    uploadSingle,
+} from "./lib/uploads.js";
+import { createLiveUpdates } from "./lib/live-updates.js";
+import { FEEDBACK_REQUEST_STATUSES, FEEDBACK_STATUSES, refreshDonorReliability } from "./lib/reliability.js";
+import { isSupportedLocale, localize, setLocale } from "./lib/i18n.js";
+
+// MIDDLEWARES
+
+// Role-based access middlewares, built per app because they need its auth
+// requireAnyRole uses the role custom claim from the token when present, otherwise looks the user up.
+// A claim is trusted without the DB, so only then is the token checked for revocation - a role change
+// or account deletion revokes it, and the old claim stops working right away.
+// Sets req.userRole either way, and req.dbUser when the DB was queried.
+const createRoleGuards = (auth) => {
+    const requireAnyRole = (roles = []) => {
+        return async (req, res, next) => {
+            try {
+                const claimedRole = getClaimedRole(req.user);
+                if (claimedRole) {
+                    try {
+                        await auth.verifyIdToken(req.idToken, true);
+                    } catch (err) {
+                        if (err.code === "auth/id-token-revoked") return res.status(401).json(req.t("TOKEN_REVOKED"));
+                        throw err;
+                    }
+                    if (!roles.includes(claimedRole)) {
+                        return res.status(403).json(req.t("ACCESS_DENIED"));
+                    }
+                    req.userRole = claimedRole;
+                    return next();
+                }
+
+                const usersCollection = req.db.collection("users");
+                const user = await usersCollection.findOne({ email: req.user.email, ...NOT_DELETED });
+                if (!user || !roles.includes(user.role)) {
+                    return res.status(403).json(req.t("ACCESS_DENIED"));
+                }
+                req.dbUser = user;
+                req.userRole = user.role;
+                next();
+            } catch (err) {
+                console.error(err);
+                res.status(500).json(req.t("SERVER_ERROR"));
+            }
+        };
+    };
+
+    // Single role
+    const requireRole = (role) => requireAnyRole([role]);
+
+    return { requireAnyRole, requireRole };
+};
+
+// Helper function to check if user is admin
+const isAdmin = async (email, db) => {
+    try {
+        const usersCollection = db.collection("users");
+        const user = await usersCollection.findOne({ email, ...NOT_DELETED });
+        return user && user.role === "admin";
+    } catch (err) {
+        return false;
+    }
+};
+
+// Helper to send the response for a failed donation status transition
+const sendTransitionError = (req, res, result, status) => {
+    if (result.error === "not_found") {
+        return res.status(404).json(req.t("DONATION_REQUEST_NOT_FOUND"));
+    }
+    if (result.error === "conflict") {
+        return res.status(409).json(req.t("DONATION_REQUEST_CONFLICT"));
+    }
+    return res.status(400).json(req.t("STATUS_CHANGE_NOT_ALLOWED", { from: result.from, to: status }));
+};
+
+// Fields that are safe to expose on public (unauthenticated) routes
+const PUBLIC_DONATION_REQUEST_PROJECTION = {
+    requesterName: 1,
+    recipientName: 1,
+    recipientDistrict: 1,
+    recipientUpazila: 1,
+    hospitalName: 1,
+    address: 1,
+    bloodGroup: 1,
+    donationDate: 1,
+    donationTime: 1,
+    urgency: 1,
+    status: 1,
+    createdAt: 1,
+};
+
+// Name is masked and privacy reduced to the availability window before leaving the server
+const PUBLIC_DONOR_PROJECTION = {
+    name: 1,
+    bloodGroup: 1,
+    district: 1,
+    upazila: 1,
+    lastDonationDate: 1,
+    donationCount: 1,
+    reliability: 1,
+    "privacy.availableFrom": 1,
+    "privacy.availableTo": 1,
+};
+
+// Blood bank details shown on the public availability search
+const PUBLIC_BLOOD_BANK_PROJECTION = {
+    name: 1,
+    district: 1,
+    upazila: 1,
+    address: 1,
+    phone: 1,
+    stock: 1,
+};
+
+const DATE_QUERY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// CSV uploads for bulk imports are kept in memory, so they are size-capped
+const uploadCsv = uploadSingle({
+    mimeTypes: ["text/csv", "text/plain", "application/csv", "application/vnd.ms-excel"],
+    maxSize: 2 * 1024 * 1024,
+    typeError: "CSV_TYPE_NOT_ALLOWED",
+});
+const uploadAvatar = uploadSingle(UPLOAD_RULES.avatar);
+const uploadDocument = uploadSingle(UPLOAD_RULES.document);
+
+// Avatars are public and served from GET /files/avatars/:file; the avatar field stores the full URL
+// and avatarKey the storage key, so replaced and purged avatars can be deleted
+const AVATAR_FILE_PATTERN = /^[0-9a-f-]{36}\.webp$/;
+const requestOrigin = (req) => `${req.protocol}://${req.get("host")}`;
+const fileUrl = (req, key) => `${requestOrigin(req)}/files/${key}`;
+const AVATAR_URL_ERROR = { field: "avatar", message: "avatar must be a URL returned by /dashboard/upload/avatar" };
+
+// Event stream timings: how long clients wait before reconnecting, and how often an idle stream is pinged
+const STREAM_RETRY_MS = 5000;
+const STREAM_HEARTBEAT_MS = 25000;
+
+// APP FACTORY
+// db: a connected Db, or an async function resolving to one (so serverless can connect lazily)
+// auth: anything with verifyIdToken(token, checkRevoked) - firebase-admin's auth() in production, a fake in tests
+// paymentProvider / notifier / rateLimitStore / storage default to the ones configured through env vars
+// liveUpdates: feeds GET /dashboard/stream; pass one in to close open streams on shutdown
+// rateLimits: per-budget overrides of RATE_LIMITS, e.g. { searchDonors: { max: 5 } }
+export const createApp = ({
+    db,
+    auth,
+    paymentProvider = createPaymentProvider(),
+    notifier = createNotifier(),
+    rateLimitStore = createRateLimitStore(),
+    rateLimits = {},
+    storage = createStorage(),
+    liveUpdates = createLiveUpdates(),
+}) => {
+    const getDb = typeof db === "function" ? db : async () => db;
+
+    const { requireAnyRole, requireRole } = createRoleGuards(auth);
+
+    // Rate limit middleware for a named budget
+    const throttle = (name) => rateLimit(rateLimitStore, name, { ...RATE_LIMITS[name], ...rateLimits[name] });
+
+    // Deletes a user's previous uploaded avatar once another one replaced it; failures are only logged
+    const removeReplacedAvatar = async (previous, newKey) => {
+        if (!previous?.avatarKey || previous.avatarKey === newKey) return;
+        try {
+            await storage.remove(previous.avatarKey);
+        } catch (err) {
+            console.error("Failed to remove previous avatar:", err);
+        }
+    };
+
+    // EXPRESS SETUP
+    const app = express();
+    // Behind Vercel's (or any single) reverse proxy, so req.ip is the client and not the proxy
+    app.set("trust proxy", 1);
+    app.use(cors());
+    app.use(express.json());
+    // Sets req.locale and req.t() for every response message
+    app.use(localize);
+
+    // Readiness check - registered before the database middleware so a DB outage answers 503, not 500
+    app.get("/health", async (req, res) => {
+        try {
+            const database = await getDb();
+            await database.command({ ping: 1 });
+            res.status(200).json({ status: "ok", database: "up" });
+        } catch (err) {
+            console.error("Health check failed:", err);
+            res.status(503).json({ status: "unavailable", database: "down" });
+        }
+    });
+
+    // Database middleware - ensures DB is connected and attaches to req
+    const dbMiddleware = async (req, res, next) => {
+        try {
+            req.db = await getDb();
+            next();
+        } catch (err) {
+            console.error("Database connection error:", err);
+            res.status(500).json(req.t("DATABASE_CONNECTION_FAILED"));
+        }
+    };
+
+    // Apply database middleware to all routes
+    app.use(dbMiddleware);
+
+    // Firebase Auth Middleware
+    const verifyFirebaseToken = async (req, res, next) => {
+        const authHeader = req.headers.authorization;
+        if (!authHeader || !authHeader.startsWith("Bearer ")) {
+            return res.status(401).json(req.t("MISSING_TOKEN"));
+        }
+
+        const token = authHeader.split(" ")[1];
+
+        try {
+            // Signature check only; role-gated routes add the revocation check (createRoleGuards)
+            const decodedToken = await auth.verifyIdToken(token);
+            req.user = decodedToken;
+            req.idToken = token;
+        } catch (err) {
+            console.error(err);
+            return res.status(401).json(req.t("INVALID_TOKEN"));
+        }
+
+        // A saved language preference (mirrored into the token's claims) wins over Accept-Language
+        const claimedLocale = getClaimedLocale(req.user);
+        if (isSupportedLocale(claimedLocale)) setLocale(req, res, claimedLocale);
+        next();
+    };
+
+    // APIs
+
+    // Root API
+    app.get("/", (req, res) => {
+        res.send("Blood Bridge is donating blood");
+    });
+
+    // USER APIS
+
+    // Register User
+    // The account is bound to the verified token, the body can't register someone else
+    app.post("/register-user", throttle("registerUser"), verifyFirebaseToken, validateBody(registerUserSchema), async (req, res) => {
+        try {
+            const { name, bloodGroup, district, upazila, avatar } = req.body;
+            const { email, uid } = req.user;
+
+            if (req.body.email && req.body.email.toLowerCase() !== email.toLowerCase()) {
+                return res.status(403).json(req.t("EMAIL_MISMATCH"));
+            }
+
+            // The avatar must have been uploaded to this server
+            const avatarFields = avatar ? { avatar, avatarKey: avatarKeyFromUrl(avatar, requestOrigin(req)) } : {};
+            if (avatar && !avatarFields.avatarKey) {
+                return res.status(400).json({ ...req.t("VALIDATION_FAILED"), errors: [AVATAR_URL_ERROR] });
+            }
+
+            const usersCollection = req.db.collection("users");
+            const existingUser = await usersCollection.findOne({ email });
+            // Donors imported by an admin have no uid yet and claim their record on first sign-up
+            const claimsImport = existingUser?.importedAt && !existingUser.uid;
+            if (existingUser && !claimsImport) {
+                return res.status(400).json(req.t("EMAIL_ALREADY_EXISTS"));
+            }
+
+            let newUser;
+            if (claimsImport) {
+                newUser = await usersCollection.findOneAndUpdate(
+                    { _id: existingUser._id, uid: { $exists: false } },
+                    { $set: { uid, name, bloodGroup, district, upazila, ...avatarFields } },
+                    { returnDocument: "after" }
+                );
+                if (!newUser) return res.status(400).json(req.t("EMAIL_ALREADY_EXISTS"));
+                if (avatar) await removeReplacedAvatar(existingUser, avatarFields.avatarKey);
+            } else {
+                newUser = {
+                    uid,
+                    name,
+                    email,
+                    bloodGroup,
+                    district,
+                    upazila,
+                    ...avatarFields,
+                    role: "donor",
+                    status: "active",
+                    createdAt: new Date(),
+                };
+
+                await usersCollection.insertOne(newUser);
+            }
+
+            // Not fatal - the role middlewares fall back to the DB until the claim exists
+            try {
+                await syncUserClaims(auth, newUser);
+            } catch (err) {
+                console.error("Failed to set role claim:", err);
+            }
+
+            res.status(201).json({ ...req.t("USER_REGISTERED"), user: newUser });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json(req.t("SERVER_ERROR"));
+        }
+    });
+
+    // Get User Role (own role; admins can look up anyone with ?email=)
+    app.get("/get-user-role", verifyFirebaseToken, async (req, res) => {
+        try {
+            const email = req.query.email || req.user.email;
+
+            const usersCollection = req.db.collection("users");
+            if (email !== req.user.email && !(await isAdmin(req.user.email, req.db))) {
+                return res.status(403).json(req.t("NOT_ALLOWED"));
+            }
+
+            const user = await usersCollection.findOne({ email, ...NOT_DELETED }, { projection: { role: 1, _id: 0 } });
+
+            if (!user) return res.status(404).json(req.t("USER_NOT_FOUND"));
+
+            res.status(200).json({ role: user.role });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json(req.t("SERVER_ERROR"));
+        }
+    });
+
+    // Get logged-in user profile
+    app.get("/dashboard/profile", verifyFirebaseToken, async (req, res) => {
+        try {
+            const usersCollection = req.db.collection("users");
+
+            const user = await usersCollection.findOne({ email: req.user.email, ...NOT_DELETED });
+
+            if (!user) return res.status(404).json(req.t("USER_NOT_FOUND"));
+
+            const formattedUser = {
+                ...user,
+                _id: user._id.$oid || user._id.toString(),
+                createdAt: user.createdAt.$date || user.createdAt.toISOString(),
+            };
+
+            res.status(200).json({ user: formattedUser });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json(req.t("SERVER_ERROR"));
+        }
+    });
+
+    // Update User Profile
+    app.put("/dashboard/profile", verifyFirebaseToken, validateBody(updateProfileSchema, { partial: true }), async (req, res) => {
+        try {
+            const { privacy, ...updates } = req.body;
+            const usersCollection = req.db.collection("users");
+
+            // Privacy settings are merged one by one so a partial update keeps the others
+            for (const [key, value] of Object.entries(privacy || {})) {
+                updates[`privacy.${key}`] = value;
+            }
+
+            if (updates.avatar) {
+                updates.avatarKey = avatarKeyFromUrl(updates.avatar, requestOrigin(req));
+                if (!updates.avatarKey) {
+                    return res.status(400).json({ ...req.t("VALIDATION_FAILED"), errors: [AVATAR_URL_ERROR] });
+                }
+            }
+
+            const previous = await usersCollection.findOneAndUpdate(
+                { email: req.user.email, ...NOT_DELETED },
+                { $set: updates },
+                { returnDocument: "before" }
+            );
+            const user = previous && { ...previous, ...updates };
+            if (updates.avatar) await removeReplacedAvatar(previous, updates.avatarKey);
+
+            // Answer in the language that was just chosen; later requests get it from the token's claims
+            // once the client refreshes its ID token
+            if (updates.locale) {
+                setLocale(req, res, updates.locale);
+                if (user) {
+                    try {
+                        await syncUserClaims(auth, user);
+                    } catch (err) {
+                        console.error("Failed to sync locale claim:", err);
+                    }
+                }
+            }
+
+            res.status(200).json(req.t("PROFILE_UPDATED"));
+        } catch (err) {
+            console.error(err);
+            res.status(500).json(req.t("SERVER_ERROR"));
+        }
+    });
+
+    // UPLOADS
+
+    // Upload Avatar
+    // Resized to a square WebP. Registered users get it saved on their profile right away (the previous
+    // uploaded avatar is removed); before /register-user the returned url goes into the avatar field.
+    app.post("/dashboard/upload/avatar", verifyFirebaseToken, throttle("upload"), uploadAvatar, async (req, res) => {
+        try {
+            if (!req.file) return res.status(400).json(req.t("IMAGE_FILE_REQUIRED"));
+
+            const image = await processAvatar(req.file.buffer);
+            if (image.error) return res.status(400).json(req.t(image.error));
+
+            const key = avatarKey();
+            await storage.save(key, image.buffer);
+            const url = fileUrl(req, key);
+
+            const previous = await req.db.collection("users").findOneAndUpdate(
+                { email: req.user.email, ...NOT_DELETED },
+                { $set: { avatar: url, avatarKey: key } },
+                { returnDocument: "before" }
+            );
+
+            await removeReplacedAvatar(previous, key);
+
+            res.status(201).json({ ...req.t("AVATAR_UPLOADED"), url, profileUpdated: Boolean(previous) });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json(req.t("SERVER_ERROR"));
+        }
+    });
+
+    // Serve Avatar (public)
+    app.get("/files/avatars/:file", async (req, res) => {
+        try {
+            const { file } = req.params;
+            if (!AVATAR_FILE_PATTERN.test(file)) return res.status(404).json(req.t("FILE_NOT_FOUND"));
+
+            const buffer = await storage.read(`avatars/${file}`);
+            if (!buffer) return res.status(404).json(req.t("FILE_NOT_FOUND"));
+
+            // File names are random and never reused, so the response can be cached for good
+            res.set("Cache-Control", "public, max-age=31536000, immutable");
+            res.type("image/webp").send(buffer);
+        } catch (err) {
+            console.error(err);
+            res.status(500).json(req.t("SERVER_ERROR"));
+        }
+    });
+
+    // DONATION REQUEST APIS
+
+    // Create Donation Request
+    app.post(
+        "/dashboard/create-donation-request",
+        throttle("createRequestIp"),
+        verifyFirebaseToken,
+        throttle("createRequestUser"),
+        validateBody(createDonationRequestSchema),
+        async (req, res) => {
+            try {
+                const { recipientName, recipientDistrict, recipientUpazila, hospitalName, address, bloodGroup, donationDate, donationTime, message, urgency = "normal" } = req.body;
+
+                const usersCollection = req.db.collection("users");
+                const currentUser = await usersCollection.findOne({ email: req.user.email, ...NOT_DELETED });
+
+                if (!currentUser || currentUser.status === "blocked") {
+                    return res.status(403).json(req.t("BLOCKED_CANNOT_CREATE_REQUEST"));
+                }
+
+                const donationRequestsCollection = req.db.collection("donationRequests");
+
+                // Cap open requests per user so one account can't flood the public listing
+                const maxOpenRequests = getMaxOpenRequestsPerUser();
+                const openRequests = await donationRequestsCollection.countDocuments({
+                    requesterEmail: currentUser.email,
+                    status: "pending",
+                    ...NOT_DELETED,
+                });
+                if (openRequests >= maxOpenRequests) {
+                    return res
+                        .status(409)
+                        .json(req.t("OPEN_REQUEST_LIMIT", { count: openRequests, max: maxOpenRequests }));
+                }
+
+                const newRequest = {
+                    requesterName: currentUser.name,
+                    requesterEmail: currentUser.email,
+                    recipientName,
+                    recipientDistrict,
+                    recipientUpazila,
+                    hospitalName,
+                    address,
+                    bloodGroup,
+                    donationDate,
+                    donationTime,
+                    message,
+                    urgency,
+                    status: "pending",
+                    statusHistory: [
+                        createStatusHistoryEntry(null, "pending", { email: currentUser.email, role: currentUser.role }),
+                    ],
+                    createdAt: new Date(),
+                };
+
+                await donationRequestsCollection.insertOne(newRequest);
+                await notifier.notify(req.db, "request.created", { request: newRequest, actorEmail: currentUser.email });
+
+                // Critical requests are broadcast to compatible donors nearby; the deliver-alerts job sends the queued alerts
+                let broadcast = null;
+                if (urgency === "critical") {
+                    broadcast = await queueUrgentAlerts(req.db, newRequest);
+                }
+
+                res.status(201).json({ ...req.t("DONATION_REQUEST_CREATED"), donationRequest: newRequest, broadcast });
+            } catch (err) {
+                console.error(err);
+                res.status(500).json(req.t("SERVER_ERROR"));
+            }
+        }
+    );
+
+    // Get My Donation Requests
+    app.get("/dashboard/my-donation-requests", verifyFirebaseToken, async (req, res) => {
+        try {
+            const donationRequestsCollection = req.db.collection("donationRequests");
+            const { status, page = 1, limit = 10 } = req.query;
+
+            const query = { requesterEmail: req.user.email, ...NOT_DELETED };
+            if (status) query.status = status;
+
+            const total = await donationRequestsCollection.countDocuments(query);
+            const requests = await donationRequestsCollection
+                .find(query)
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(parseInt(limit))
+                .toArray();
+
+            res.status(200).json({ total, page: parseInt(page), limit: parseInt(limit), requests });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json(req.t("SERVER_ERROR"));
+        }
+    });
+
+    // Get Single Donation Request (Public)
+    app.get("/donation-request/:id", async (req, res) => {
+        try {
+            const { id } = req.params;
+            const donationRequestsCollection = req.db.collection("donationRequests");
+            const request = await donationRequestsCollection.findOne(
+                { _id: new ObjectId(id), ...NOT_DELETED },
+                { projection: PUBLIC_DONATION_REQUEST_PROJECTION }
+            );
+
+            if (!request) return res.status(404).json(req.t("REQUEST_NOT_FOUND"));
+
+            res.status(200).json({ request });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json(req.t("SERVER_ERROR"));
+        }
+    });
+
+    // Get Single Donation Request (Dashboard)
+    app.get("/dashboard/donation-request/:id", verifyFirebaseToken, async (req, res) => {
+        try {
+            const { id } = req.params;
+            const donationRequestsCollection = req.db.collection("donationRequests");
+            const request = await donationRequestsCollection.findOne({ _id: new ObjectId(id), ...NOT_DELETED });
+
+            if (!request) return res.status(404).json(req.t("REQUEST_NOT_FOUND"));
+
+            res.status(200).json({ request });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json(req.t("SERVER_ERROR"));
+        }
+    });
+
+    // Update Donation Request
+    // Status only changes through the status endpoints so the transition rules and history apply
+    app.put("/dashboard/donation-request/:id", verifyFirebaseToken, validateBody(updateDonationRequestSchema, { partial: true }), auditLog("donationRequest.update", { collection: "donationRequests", targetType: "donationRequest" }), async (req, res) => {
+        try {
+            const { id } = req.params;
+            const updates = req.body;
+
+            const donationRequestsCollection = req.db.collection("donationRequests");
+            const request = await donationRequestsCollection.findOne({ _id: new ObjectId(id), ...NOT_DELETED });
+
+            if (!request) return res.status(404).json(req.t("DONATION_REQUEST_NOT_FOUND"));
+
+            // Check if user is admin or the requester
+            const userIsAdmin = await isAdmin(req.user.email, req.db);
+            if (!userIsAdmin && request.requesterEmail !== req.user.email) {
+                return res.status(403).json(req.t("NOT_ALLOWED"));
+            }
+
+            await donationRequestsCollection.updateOne({ _id: new ObjectId(id) }, { $set: updates });
+
+            // A new date brings an expired request back to the public listing
+            let reopened = false;
+            if (request.status === "expired" && updates.donationDate) {
+                const result = await transitionDonationRequest(donationRequestsCollection, request._id, "pending", {
+                    actor: { email: req.user.email, role: userIsAdmin ? "admin" : "requester" },
+                    allowedFrom: ["expired"],
+                });
+                reopened = !result.error;
+            }
+
+            res.status(200).json({ ...req.t("DONATION_REQUEST_UPDATED"), reopened });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json(req.t("SERVER_ERROR"));
+        }
+    });
+
+    // Delete Donation Request
+    app.delete("/dashboard/donation-request/:id", verifyFirebaseToken, auditLog("donationRequest.delete", { collection: "donationRequests", targetType: "donationRequest" }), async (req, res) => {
+        try {
+            const { id } = req.params;
+            const donationRequestsCollection = req.db.collection("donationRequests");
+            const request = await donationRequestsCollection.findOne({ _id: new ObjectId(id), ...NOT_DELETED });
+
+            if (!request) return res.status(404).json(req.t("DONATION_REQUEST_NOT_FOUND"));
+
+            // Check if user is admin or the requester
+            const userIsAdmin = await isAdmin(req.user.email, req.db);
+            if (!userIsAdmin && request.requesterEmail !== req.user.email) {
+                return res.status(403).json(req.t("NOT_ALLOWED"));
+            }
+
+            // Soft delete - admins can restore it from the trash until it is purged
+            await donationRequestsCollection.updateOne({ _id: request._id }, softDeleteUpdate(req.user.email));
+
+            res.status(200).json(req.t("DONATION_REQUEST_DELETED"));
+        } catch (err) {
+            console.error(err);
+            res.status(500).json(req.t("SERVER_ERROR"));
+        }
+    });
+
+    // DONATION REQUEST DOCUMENTS
+    // Optional medical documents (e.g. a prescription). They are private: only the requester,
+    // the assigned donor, admins and volunteers can download them, never through public routes.
+
+    // Upload Document (Requester or Admin)
+    app.post("/dashboard/donation-request/:id/documents", verifyFirebaseToken, throttle("upload"), uploadDocument, async (req, res) => {
+        try {
+            const { id } = req.params;
+            const donationRequestsCollection = req.db.collection("donationRequests");
+            const request = await donationRequestsCollection.findOne({ _id: new ObjectId(id), ...NOT_DELETED });
+
+            if (!request) return res.status(404).json(req.t("DONATION_REQUEST_NOT_FOUND"));
+
+            const userIsAdmin = await isAdmin(req.user.email, req.db);
+            if (!userIsAdmin && request.requesterEmail !== req.user.email) {
+                return res.status(403).json(req.t("NOT_ALLOWED"));
+            }
+
+            if (!req.file) return res.status(400).json(req.t("DOCUMENT_FILE_REQUIRED"));
+            if ((request.documents || []).length >= MAX_DOCUMENTS_PER_REQUEST) {
+                return res.status(400).json(req.t("DOCUMENT_LIMIT_REACHED", { max: MAX_DOCUMENTS_PER_REQUEST }));
+            }
+
+            const processed = await processDocument(req.file);
+            if (processed.error) return res.status(400).json(req.t(processed.error));
+
+            const key = documentKey(request._id, processed.extension);
+            await storage.save(key, processed.buffer);
+
+            const document = {
+                _id: new ObjectId(),
+                key,
+                name: req.file.originalname,
+                contentType: processed.contentType,
+                size: processed.buffer.length,
+                uploadedBy: req.user.email,
+                uploadedAt: new Date(),
+            };
+
+            // The array index check keeps the cap when two uploads race
+            const result = await donationRequestsCollection.updateOne(
+                { _id: request._id, [`documents.${MAX_DOCUMENTS_PER_REQUEST - 1}`]: { $exists: false }, ...NOT_DELETED },
+                { $push: { documents: document } }
+            );
+            if (result.matchedCount === 0) {
+                await storage.remove(key);
+                return res.status(400).json(req.t("DOCUMENT_LIMIT_REACHED", { max: MAX_DOCUMENTS_PER_REQUEST }));
+            }
+
+            res.status(201).json({ ...req.t("DOCUMENT_UPLOADED"), document });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json(req.t("SERVER_ERROR"));
+        }
+    });
+
+    // Download Document (Requester, assigned Donor, Admin or Volunteer)
+    app.get("/dashboard/donation-request/:id/documents/:documentId", verifyFirebaseToken, async (req, res) => {
+        try {
+            const { id, documentId } = req.params;
+            const request = await req.db
+                .collection("donationRequests")
+                .findOne({ _id: new ObjectId(id), ...NOT_DELETED }, { projection: { requesterEmail: 1, donorEmail: 1, documents: 1 } });
+
+            if (!request) return res.status(404).json(req.t("DONATION_REQUEST_NOT_FOUND"));
+
+            if (request.requesterEmail !== req.user.email && request.donorEmail !== req.user.email) {
+                const viewer = await req.db.collection("users").findOne({ email: req.user.email, ...NOT_DELETED });
+                if (!viewer || !["admin", "volunteer"].includes(viewer.role)) {
+                    return res.status(403).json(req.t("NOT_ALLOWED"));
+                }
+            }
+
+            const document = (request.documents || []).find((doc) => doc._id.toString() === documentId);
+            if (!document) return res.status(404).json(req.t("DOCUMENT_NOT_FOUND"));
+
+            const buffer = await storage.read(document.key);
+            if (!buffer) return res.status(404).json(req.t("DOCUMENT_NOT_FOUND"));
+
+            res.set("Cache-Control", "private, no-store");
+            res.set("X-Content-Type-Options", "nosniff");
+            res.attachment(document.name);
+            res.type(document.contentType).send(buffer);
+        } catch (err) {
+            console.error(err);
+            res.status(500).json(req.t("SERVER_ERROR"));
+        }
+    });
+
+    // Delete Document (Requester or Admin)
+    app.delete("/dashboard/donation-request/:id/documents/:documentId", verifyFirebaseToken, async (req, res) => {
+        try {
+            const { id, documentId } = req.params;
+            const donationRequestsCollection = req.db.collection("donationRequests");
+            const request = await donationRequestsCollection.findOne({ _id: new ObjectId(id), ...NOT_DELETED });
+
+            if (!request) return res.status(404).json(req.t("DONATION_REQUEST_NOT_FOUND"));
+
+            const userIsAdmin = await isAdmin(req.user.email, req.db);
+            if (!userIsAdmin && request.requesterEmail !== req.user.email) {
+                return res.status(403).json(req.t("NOT_ALLOWED"));
+            }
+
+            const document = (request.documents || []).find((doc) => doc._id.toString() === documentId);
+            if (!document) return res.status(404).json(req.t("DOCUMENT_NOT_FOUND"));
+
+            await donationRequestsCollection.updateOne({ _id: request._id }, { $pull: { documents: { _id: document._id } } });
+            await storage.remove(document.key);
+
+            res.status(200).json(req.t("DOCUMENT_DELETED"));
+        } catch (err) {
+            console.error(err);
+            res.status(500).json(req.t("SERVER_ERROR"));
+        }
+    });
+
+    // Donate to Request (Update status to inprogress with donor info)
+    app.put("/donation-request/:id/donate", verifyFirebaseToken, throttle("donate"), async (req, res) => {
+        try {
+            const { id } = req.params;
+
+            // The donor is always the signed-in user - name and email come from their account, never the body
+            const donor = await req.db.collection("users").findOne({ email: req.user.email, ...NOT_DELETED });
+            if (!donor) return res.status(404).json(req.t("USER_NOT_FOUND"));
+
+            // Donors have to wait the minimum interval after their last completed donation
+            if (!isEligibleToDonate(donor)) {
+                const nextEligibleDate = getNextEligibleDate(donor.lastDonationDate);
+                return res.status(400).json({
+                    ...req.t("NOT_ELIGIBLE_UNTIL", { date: todayString(nextEligibleDate) }),
+                    nextEligibleDate,
+                });
+            }
+
+            const donationRequestsCollection = req.db.collection("donationRequests");
+
+            // Conditional update - only one donor can claim a pending request
+            const result = await transitionDonationRequest(donationRequestsCollection, new ObjectId(id), "inprogress", {
+                actor: { email: req.user.email, role: "donor" },
+                allowedFrom: ["pending"],
+                set: { donorName: donor.name, donorEmail: req.user.email },
+            });
+
+            if (result.error === "not_found") return res.status(404).json(req.t("REQUEST_NOT_FOUND"));
+            if (result.error === "conflict") {
+                return res.status(409).json(req.t("REQUEST_ALREADY_CLAIMED"));
+            }
+            if (result.error) return res.status(400).json(req.t("REQUEST_NOT_PENDING"));
+
+            await notifier.notify(req.db, "request.donor_assigned", { request: result.request, actorEmail: req.user.email });
+            await recordAlertResponse(req.db, result.request._id, req.user.email);
+
+            res.status(200).json(req.t("DONATION_CONFIRMED"));
+        } catch (err) {
+            console.error(err);
+            res.status(500).json(req.t("SERVER_ERROR"));
+        }
+    });
+
+    // Get Status History of a Donation Request (requester, assigned donor, admin or volunteer)
+    app.get("/dashboard/donation-request/:id/history", verifyFirebaseToken, async (req, res) => {
+        try {
+            const { id } = req.params;
+            const donationRequestsCollection = req.db.collection("donationRequests");
+            const request = await donationRequestsCollection.findOne(
+                { _id: new ObjectId(id), ...NOT_DELETED },
+                { projection: { requesterEmail: 1, donorEmail: 1, status: 1, statusHistory: 1 } }
+            );
+
+            if (!request) return res.status(404).json(req.t("DONATION_REQUEST_NOT_FOUND"));
+
+            const isParticipant = [request.requesterEmail, request.donorEmail].includes(req.user.email);
+            if (!isParticipant) {
+                const usersCollection = req.db.collection("users");
+                const user = await usersCollection.findOne({ email: req.user.email });
+                if (!user || !["admin", "volunteer"].includes(user.role)) {
+                    return res.status(403).json(req.t("NOT_ALLOWED"));
+                }
+            }
+
+            res.status(200).json({ status: request.status, history: request.statusHistory || [] });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json(req.t("SERVER_ERROR"));
+        }
+    });
+
+    // Get Matching Donors for a Donation Request (requester, admin or volunteer)
+    // Ranked by location (same upazila, same district, others), then longest time since last completed donation
+    app.get("/donation-request/:id/matches", verifyFirebaseToken, async (req, res) => {
+        try {
+            const { id } = req.params;
+            const { page, limit, skip } = parsePagination(req.query, { defaultLimit: 20 });
+
+            const donationRequestsCollection = req.db.collection("donationRequests");
+            const request = await donationRequestsCollection.findOne({ _id: new ObjectId(id), ...NOT_DELETED });
+
+            if (!request) return res.status(404).json(req.t("REQUEST_NOT_FOUND"));
+
+            const userIsStaff = await req.db
+                .collection("users")
+                .countDocuments({ email: req.user.email, role: { $in: ["admin", "volunteer"] } });
+            if (request.requesterEmail !== req.user.email && !userIsStaff) {
+                return res.status(403).json(req.t("NOT_ALLOWED"));
+            }
+
+            const query = {
+                role: "donor",
+                status: "active",
+                bloodGroup: { $in: getCompatibleDonorGroups(request.bloodGroup) },
+                email: { $ne: request.requesterEmail },
+                ...eligibleDonorFilter(),
+                ...searchableDonorFilter(),
+                ...NOT_DELETED,
+            };
+
+            const usersCollection = req.db.collection("users");
+            const total = await usersCollection.countDocuments(query);
+            const donors = await usersCollection
+                .aggregate([
+                    { $match: query },
+                    {
+                        $addFields: {
+                            locationRank: {
+                                $switch: {
+                                    branches: [
+                                        {
+                                            case: {
+                                                $and: [
+                                                    { $eq: ["$district", request.recipientDistrict] },
+                                                    { $eq: ["$upazila", request.recipientUpazila] },
+                                                ],
+                                            },
+                                            then: 0,
+                                        },
+                                        { case: { $eq: ["$district", request.recipientDistrict] }, then: 1 },
+                                    ],
+                                    default: 2,
+                                },
+                            },
+                        },
+                    },
+                    // Donors who never donated (null) come first, then the longest rested
+                    { $sort: { locationRank: 1, lastDonationDate: 1, name: 1, _id: 1 } },
+                    { $skip: skip },
+                    { $limit: limit },
+                    {
+                        $project: {
+                            name: 1,
+                            email: 1,
+                            bloodGroup: 1,
+                            district: 1,
+                            upazila: 1,
+                            avatar: 1,
+                            locationRank: 1,
+                            lastDonationDate: 1,
+                            donationCount: 1,
+                            reliability: 1,
+                            privacy: 1,
+                        },
+                    },
+                ])
+                .toArray();
+
+            res.status(200).json({
+                total,
+                page,
+                limit,
+                donors: donors.map((donor) => toRequesterDonorView(donor, { revealContact: userIsStaff > 0 })),
+            });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json(req.t("SERVER_ERROR"));
+        }
+    });
+
+    // Get Urgent Alerts sent for a Donation Request (Admin)
+    app.get("/dashboard/donation-request/:id/alerts", verifyFirebaseToken, requireRole("admin"), async (req, res) => {
+        try {
+            const { id } = req.params;
+            const alertsCollection = req.db.collection("urgentAlerts");
+
+            const alerts = await alertsCollection
+                .find({ requestId: new ObjectId(id) })
+                .sort({ createdAt: -1 })
+                .toArray();
+            const responded = alerts.filter((alert) => alert.respondedAt).length;
+
+            res.status(200).json({ total: alerts.length, responded, alerts });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json(req.t("SERVER_ERROR"));
+        }
+    });
+
+    // Get total count of ALL users for Volunteer/Admin statistics
+    app.get("/dashboard/total-users-count", verifyFirebaseToken, requireAnyRole(["admin", "volunteer"]), async (req, res) => {
+        try {
+            const usersCollection = req.db.collection("users");
+
+            const totalUsers = await usersCollection.countDocuments(NOT_DELETED);
+
+            res.status(200).json({ totalUsers });
+        } catch (err) {
+            console.error("Error fetching total user count:", err);
+            res.status(500).json(req.t("SERVER_ERROR"));
+        }
+    });
+
+    // Get All Donation Requests (Admin & Volunteer)
+    app.get("/dashboard/all-blood-donation-request", verifyFirebaseToken, requireAnyRole(["admin", "volunteer"]), async (req, res) => {
+        try {
+            const donationRequestsCollection = req.db.collection("donationRequests");
+            const { status, followUp, page = 1, limit = 10 } = req.query;
+
+            const query = { ...NOT_DELETED };
+            if (status) query.status = status;
+            // Inprogress requests past their date, flagged by the expiry job
+            if (followUp === "true") query.followUpRequired = true;
+
+            // Use countDocuments() instead of cursor.count()
+            const total = await donationRequestsCollection.countDocuments(query);
+            const requests = await donationRequestsCollection
+                .find(query)
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(parseInt(limit))
+                .toArray();
+
+            res.status(200).json({ total, page: parseInt(page), limit: parseInt(limit), requests });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json(req.t("SERVER_ERROR"));
+        }
+    });
+
+    // Search Donation Requests (Admin & Volunteer)
+    // q: text search over recipient name, hospital name, address and message (donationRequests_text index)
+    // Sort: sort=relevance|createdAt|donationDate (relevance is the default when q is set)
+    app.get("/dashboard/search-donation-requests", verifyFirebaseToken, requireAnyRole(["admin", "volunteer"]), async (req, res) => {
+        try {
+            const donationRequestsCollection = req.db.collection("donationRequests");
+            const { q, status, bloodGroup, district, upazila, requesterEmail, dateFrom, dateTo } = req.query;
+            const { page, limit, skip } = parsePagination(req.query);
+            const search = typeof q === "string" ? q.trim() : "";
+
+            let sort;
+            if (search && (!req.query.sort || req.query.sort === "relevance")) {
+                sort = { score: { $meta: "textScore" }, _id: -1 };
+            } else {
+                sort = parseSort(req.query, ["createdAt", "donationDate"], "createdAt");
+                if (!sort) return res.status(400).json(req.t("INVALID_SORT_FIELD"));
+            }
+
+            if ([dateFrom, dateTo].some((date) => date && !DATE_QUERY_PATTERN.test(date))) {
+                return res.status(400).json(req.t("INVALID_DATE_FORMAT"));
+            }
+            if (status && !DONATION_STATUSES.includes(status)) {
+                return res.status(400).json(req.t("INVALID_STATUS"));
+            }
+
+            const query = { ...NOT_DELETED };
+            if (search) query.$text = { $search: search };
+            if (status) query.status = status;
+            if (bloodGroup) query.bloodGroup = bloodGroup;
+            if (district) query.recipientDistrict = district;
+            if (upazila) query.recipientUpazila = upazila;
+            if (requesterEmail) query.requesterEmail = requesterEmail;
+            if (dateFrom || dateTo) {
+                query.donationDate = {};
+                if (dateFrom) query.donationDate.$gte = dateFrom;
+                if (dateTo) query.donationDate.$lte = dateTo;
+            }
+
+            const total = await donationRequestsCollection.countDocuments(query);
+            const requests = await donationRequestsCollection
+                .find(query, { projection: search ? { score: { $meta: "textScore" } } : {} })
+                .sort(sort)
+                .skip(skip)
+                .limit(limit)
+                .toArray();
+
+            res.status(200).json({ total, page, limit, requests });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json(req.t("SERVER_ERROR"));
+        }
+    });
+
+    // Update Donation Status (Admin & Volunteer)
+    app.put("/dashboard/donation-request/:id/status", verifyFirebaseToken, requireAnyRole(["admin", "volunteer"]), auditLog("donationRequest.status", { collection: "donationRequests", targetType: "donationRequest" }), async (req, res) => {
+        try {
+            const { id } = req.params;
+            const { status } = req.body;
+
+            const donationRequestsCollection = req.db.collection("donationRequests");
+            if (!DONATION_STATUSES.includes(status)) {
+                return res.status(400).json(req.t("INVALID_STATUS"));
+            }
+
+            const result = await transitionDonationRequest(donationRequestsCollection, new ObjectId(id), status, {
+                actor: { email: req.user.email, role: req.userRole },
+            });
+
+            if (result.error) return sendTransitionError(req, res, result, status);
+
+            if (result.releasedFulfilment) await releaseStock(req.db, result.releasedFulfilment.batches);
+
+            await notifier.notify(req.db, "request.status_changed", {
+                request: result.request,
+                from: result.from,
+                to: status,
+                actorEmail: req.user.email,
+            });
+
+            // Completing (or reverting a completed) request changes the donor's donation record
+            if (status === "done" || result.from === "done") {
+                await refreshDonorStats(req.db, result.request.donorEmail);
+            }
+
+            res.status(200).json(req.t("DONATION_STATUS_UPDATED"));
+        } catch (err) {
+            console.error(err);
+            res.status(500).json(req.t("SERVER_ERROR"));
+        }
+    });
+
+    // Donor : Update own donation request status (inprogress -> done / canceled)
+    app.put(
+        "/dashboard/my-donation-request/:id/status",
+        verifyFirebaseToken,
+        async (req, res) => {
+            try {
+                const { id } = req.params;
+                const { status } = req.body;
+
+                if (!["done", "canceled"].includes(status)) {
+                    return res.status(400).json(req.t("INVALID_STATUS"));
+                }
+
+                const donationRequestsCollection = req.db.collection("donationRequests");
+
+                const request = await donationRequestsCollection.findOne({
+                    _id: new ObjectId(id),
+                    ...NOT_DELETED,
+                });
+
+                if (!request) {
+                    return res.status(404).json(req.t("DONATION_REQUEST_NOT_FOUND"));
+                }
+
+                // Only requester can update
+                if (request.requesterEmail !== req.user.email) {
+                    return res.status(403).json(req.t("NOT_ALLOWED"));
+                }
+
+                // Only inprogress can be updated
+                const result = await transitionDonationRequest(donationRequestsCollection, request._id, status, {
+                    actor: { email: req.user.email, role: "requester" },
+                    allowedFrom: ["inprogress"],
+                    filter: { requesterEmail: req.user.email },
+                });
+
+                if (result.error === "invalid_transition") {
+                    return res.status(400).json({
+                        ...req.t("ONLY_INPROGRESS_CAN_BE_UPDATED"),
+                    });
+                }
+                if (result.error) return sendTransitionError(req, res, result, status);
+
+                if (result.releasedFulfilment) await releaseStock(req.db, result.releasedFulfilment.batches);
+
+                await notifier.notify(req.db, "request.status_changed", {
+                    request: result.request,
+                    from: result.from,
+                    to: status,
+                    actorEmail: req.user.email,
+                });
+
+                if (status === "done") {
+                    await refreshDonorStats(req.db, result.request.donorEmail);
+                }
+
+                res.status(200).json(req.t("MARKED_AS_STATUS", { status }));
+            } catch (err) {
+                console.error(err);
+                res.status(500).json(req.t("SERVER_ERROR"));
+            }
+        }
+    );
+
+    // Leave Feedback on the Donor of a Done or Canceled Request (Requester)
+    app.post("/dashboard/donation-request/:id/feedback", verifyFirebaseToken, validateBody(donorFeedbackSchema), async (req, res) => {
+        try {
+            const { id } = req.params;
+            const { showedUp, rating, comment } = req.body;
+            const feedbackCollection = req.db.collection("donorFeedback");
+
+            const request = await req.db
+                .collection("donationRequests")
+                .findOne({ _id: new ObjectId(id), ...NOT_DELETED });
+            if (!request) return res.status(404).json(req.t("DONATION_REQUEST_NOT_FOUND"));
+
+            if (request.requesterEmail !== req.user.email) {
+                return res.status(403).json(req.t("NOT_ALLOWED"));
+            }
+            if (!FEEDBACK_REQUEST_STATUSES.includes(request.status)) {
+                return res.status(400).json(req.t("FEEDBACK_REQUEST_NOT_CLOSED"));
+            }
+            // Requests canceled before anyone volunteered, or fulfilled by a blood bank, have no donor to review
+            if (!request.donorEmail) {
+                return res.status(400).json(req.t("FEEDBACK_NO_DONOR"));
+            }
+
+            const feedback = {
+                requestId: request._id,
+                donorEmail: request.donorEmail,
+                donorName: request.donorName,
+                requesterEmail: request.requesterEmail,
+                requesterName: request.requesterName,
+                requestStatus: request.status,
+                showedUp,
+                rating: rating ?? null,
+                comment: comment || "",
+                status: "published",
+                createdAt: new Date(),
+            };
+
+            // One feedback per request - the unique index settles a double submit
+            try {
+                await feedbackCollection.insertOne(feedback);
+            } catch (err) {
+                if (err.code !== 11000) throw err;
+                return res.status(409).json(req.t("FEEDBACK_ALREADY_LEFT"));
+            }
+
+            const reliability = await refreshDonorReliability(req.db, request.donorEmail);
+
+            res.status(201).json({ ...req.t("FEEDBACK_SAVED"), feedback, reliability });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json(req.t("SERVER_ERROR"));
+        }
+    });
+
+
+    // Get Pending Donation Requests (Public - no auth required)
+    // Filters: bloodGroup, district, upazila, dateFrom/dateTo (donationDate, YYYY-MM-DD)
+    // Sort: sort=createdAt|donationDate, order=asc|desc
+    app.get("/donation-requests", throttle("donationRequests"), async (req, res) => {
+        try {
+            const donationRequestsCollection = req.db.collection("donationRequests");
+            const { bloodGroup, district, upazila, dateFrom, dateTo } = req.query;
+            const { page, limit, skip } = parsePagination(req.query);
+
+            const sort = parseSort(req.query, ["createdAt", "donationDate"], "createdAt");
+            if (!sort) return res.status(400).json(req.t("INVALID_SORT_FIELD"));
+
+            if ([dateFrom, dateTo].some((date) => date && !DATE_QUERY_PATTERN.test(date))) {
+                return res.status(400).json(req.t("INVALID_DATE_FORMAT"));
+            }
+
+            // Past dates are hidden even before the expiry job has marked them expired
+            const today = todayString();
+            const query = {
+                status: "pending",
+                donationDate: { $gte: dateFrom && dateFrom > today ? dateFrom : today },
+                ...NOT_DELETED,
+            };
+            if (bloodGroup) query.bloodGroup = bloodGroup;
+            if (district) query.recipientDistrict = district;
+            if (upazila) query.recipientUpazila = upazila;
+            if (dateTo) query.donationDate.$lte = dateTo;
+
+            const total = await donationRequestsCollection.countDocuments(query);
+            const requests = await donationRequestsCollection
+                .find(query, { projection: PUBLIC_DONATION_REQUEST_PROJECTION })
+                .sort(sort)
+                .skip(skip)
+                .limit(limit)
+                .toArray();
+
+            res.status(200).json({ total, page, limit, requests });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json(req.t("SERVER_ERROR"));
+        }
+    });
+
+    // NOTIFICATION APIS
+
+    // Get My Notifications
+    app.get("/dashboard/notifications", verifyFirebaseToken, async (req, res) => {
+        try {
+            const notificationsCollection = req.db.collection("notifications");
+            const { unreadOnly, page = 1, limit = 10 } = req.query;
+
+            const query = { userEmail: req.user.email };
+            if (unreadOnly === "true") query.read = false;
+
+            const total = await notificationsCollection.countDocuments(query);
+            const unread = await notificationsCollection.countDocuments({ userEmail: req.user.email, read: false });
+            const notifications = await notificationsCollection
+                .find(query)
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(parseInt(limit))
+                .toArray();
+
+            res.status(200).json({ total, unread, page: parseInt(page), limit: parseInt(limit), notifications });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json(req.t("SERVER_ERROR"));
+        }
+    });
+
+    // Mark All My Notifications as Read
+    app.put("/dashboard/notifications/read-all", verifyFirebaseToken, async (req, res) => {
+        try {
+            const notificationsCollection = req.db.collection("notifications");
+            const result = await notificationsCollection.updateMany(
+                { userEmail: req.user.email, read: false },
+                { $set: { read: true, readAt: new Date() } }
+            );
+
+            res.status(200).json({ ...req.t("NOTIFICATIONS_READ"), updated: result.modifiedCount });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json(req.t("SERVER_ERROR"));
+        }
+    });
+
+    // Mark One Notification as Read
+    app.put("/dashboard/notifications/:id/read", verifyFirebaseToken, async (req, res) => {
+        try {
+            const { id } = req.params;
+            const notificationsCollection = req.db.collection("notifications");
+
+            const result = await notificationsCollection.updateOne(
+                { _id: new ObjectId(id), userEmail: req.user.email },
+                { $set: { read: true, readAt: new Date() } }
+            );
+
+            if (result.matchedCount === 0) return res.status(404).json(req.t("NOTIFICATION_NOT_FOUND"));
+
+            res.status(200).json(req.t("NOTIFICATION_READ"));
+        } catch (err) {
+            console.error(err);
+            res.status(500).json(req.t("SERVER_ERROR"));
+        }
+    });
+
+    // LIVE UPDATES
+    // Browsers' EventSource can't set headers, so the stream also accepts the ID token as ?token=
+    const tokenFromQuery = (req, res, next) => {
+        if (!req.headers.authorization && typeof req.query.token === "string") {
+            req.headers.authorization = `Bearer ${req.query.token}`;
+        }
+        next();
+    };
+
+    // Donation Request Event Stream (Server-Sent Events)
+    // Admins and volunteers get every request, other users the requests they made or donate to
+    app.get("/dashboard/stream", tokenFromQuery, verifyFirebaseToken, requireAnyRole(USER_ROLES), (req, res) => {
+        res.writeHead(200, {
+            "Content-Type": "text/event-stream",
+            "Cache-Control": "no-cache, no-transform",
+            Connection: "keep-alive",
+            // Stop nginx-style proxies from buffering the stream
+            "X-Accel-Buffering": "no",
+        });
+        res.write(`retry: ${STREAM_RETRY_MS}\n\n`);
+
+        const send = ({ event, data }) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        send({ event: "ready", data: { role: req.userRole } });
+
+        // Comment lines keep idle connections from being dropped by proxies
+        const heartbeat = setInterval(() => res.write(": ping\n\n"), STREAM_HEARTBEAT_MS);
+
+        const unsubscribe = liveUpdates.subscribe(req.db, {
+            email: req.user.email,
+            role: req.userRole,
+            send,
+            close: () => res.end(),
+        });
+
+        // Fires when the client disconnects or the stream is ended on shutdown
+        res.on("close", () => {
+            clearInterval(heartbeat);
+            unsubscribe();
+        });
+    });
+
+    // CONTACT REQUEST APIS
+    // Donor contact details are only revealed to a requester after the donor accepts
+
+    // Ask a Donor for their Contact Details
+    app.post(
+        "/donors/:id/contact-request",
+        verifyFirebaseToken,
+        throttle("contactRequest"),
+        validateBody(contactRequestSchema),
+        async (req, res) => {
+            try {
+                const { id } = req.params;
+                const { message, donationRequestId } = req.body;
+                const usersCollection = req.db.collection("users");
+                const contactRequestsCollection = req.db.collection("contactRequests");
+
+                const requester = await usersCollection.findOne({ email: req.user.email, ...NOT_DELETED });
+                if (!requester || requester.status === "blocked") {
+                    return res.status(403).json(req.t("BLOCKED_CANNOT_SEND_CONTACT_REQUEST"));
+                }
+
+                // Donors hidden from search can't be reached this way either
+                const donor = await usersCollection.findOne({
+                    _id: new ObjectId(id),
+                    role: "donor",
+                    status: "active",
+                    ...searchableDonorFilter(),
+                    ...NOT_DELETED,
+                });
+                if (!donor) return res.status(404).json(req.t("DONOR_NOT_FOUND"));
+                if (donor.email === requester.email) {
+                    return res.status(400).json(req.t("CANNOT_CONTACT_SELF"));
+                }
+
+                const existing = await contactRequestsCollection.findOne({
+                    donorEmail: donor.email,
+                    requesterEmail: requester.email,
+                    status: { $in: ["pending", "accepted"] },
+                });
+                if (existing) {
+                    return res
+                        .status(409)
+                        .json(req.t(existing.status === "pending" ? "CONTACT_REQUEST_PENDING" : "CONTACT_ALREADY_SHARED"));
+                }
+
+                const contactRequest = {
+                    donorId: donor._id,
+                    donorName: donor.name,
+                    donorEmail: donor.email,
+                    requesterName: requester.name,
+                    requesterEmail: requester.email,
+                    donationRequestId: donationRequestId ? new ObjectId(donationRequestId) : null,
+                    message: message || "",
+                    status: "pending",
+                    createdAt: new Date(),
+                };
+
+                await contactRequestsCollection.insertOne(contactRequest);
+                await notifier.notify(req.db, "contact.requested", { contactRequest });
+
+                res.status(201).json({
+                    ...req.t("CONTACT_REQUEST_SENT"),
+                    contactRequest: toSentContactRequest(contactRequest),
+                });
+            } catch (err) {
+                console.error(err);
+                res.status(500).json(req.t("SERVER_ERROR"));
+            }
+        }
+    );
+
+    // Get My Contact Requests (box=received as donor, box=sent as requester)
+    app.get("/dashboard/contact-requests", verifyFirebaseToken, async (req, res) => {
+        try {
+            const { box = "received", status } = req.query;
+            const { page, limit, skip } = parsePagination(req.query);
+            const contactRequestsCollection = req.db.collection("contactRequests");
+
+            if (!["received", "sent"].includes(box)) {
+                return res.status(400).json(req.t("INVALID_CONTACT_REQUEST_BOX"));
+            }
+            if (status && !CONTACT_REQUEST_STATUSES.includes(status)) {
+                return res.status(400).json(req.t("INVALID_STATUS"));
+            }
+
+            const query = box === "received" ? { donorEmail: req.user.email } : { requesterEmail: req.user.email };
+            if (status) query.status = status;
+
+            const total = await contactRequestsCollection.countDocuments(query);
+            const contactRequests = await contactRequestsCollection
+                .find(query)
+                .sort({ createdAt: -1, _id: -1 })
+                .skip(skip)
+                .limit(limit)
+                .toArray();
+
+            res.status(200).json({
+                total,
+                page,
+                limit,
+                contactRequests: box === "sent" ? contactRequests.map(toSentContactRequest) : contactRequests,
+            });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json(req.t("SERVER_ERROR"));
+        }
+    });
+
+    // Accept or Decline a Contact Request (Donor)
+    app.put(
+        "/dashboard/contact-requests/:id",
+        verifyFirebaseToken,
+        validateBody(respondContactRequestSchema),
+        async (req, res) => {
+            try {
+                const { id } = req.params;
+                const { status } = req.body;
+                const contactRequestsCollection = req.db.collection("contactRequests");
+
+                // Only pending requests addressed to the caller can be answered, and only once
+                const contactRequest = await contactRequestsCollection.findOneAndUpdate(
+                    { _id: new ObjectId(id), donorEmail: req.user.email, status: "pending" },
+                    { $set: { status, respondedAt: new Date() } },
+                    { returnDocument: "after" }
+                );
+
+                if (!contactRequest) {
+                    const existing = await contactRequestsCollection.findOne({
+                        _id: new ObjectId(id),
+                        donorEmail: req.user.email,
+                    });
+                    if (!existing) return res.status(404).json(req.t("CONTACT_REQUEST_NOT_FOUND"));
+                    return res.status(409).json(req.t("CONTACT_REQUEST_ALREADY_ANSWERED", { status: existing.status }));
+                }
+
+                await notifier.notify(req.db, "contact.responded", { contactRequest });
+
+                res.status(200).json({ ...req.t("CONTACT_REQUEST_ANSWERED", { status }), contactRequest });
+            } catch (err) {
+                console.error(err);
+                res.status(500).json(req.t("SERVER_ERROR"));
+            }
+        }
+    );
+
+    // ADMIN APIS
+
+    // Get All Users
+    app.get("/dashboard/all-users", verifyFirebaseToken, requireRole("admin"), async (req, res) => {
+        try {
+            const usersCollection = req.db.collection("users");
+            const { status, page = 1, limit = 10 } = req.query;
+
+            const query = { ...NOT_DELETED };
+            if (status) query.status = status;
+
+            const total = await usersCollection.countDocuments(query);
+            const users = await usersCollection.find(query).skip((page - 1) * limit).limit(parseInt(limit)).toArray();
+
+            res.status(200).json({ total, page: parseInt(page), limit: parseInt(limit), users });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json(req.t("SERVER_ERROR"));
+        }
+    });
+
+    // Get Donor Feedback for Moderation
+    // Filters: status (published/hidden), donorEmail, showedUp=true|false
+    app.get("/dashboard/feedback", verifyFirebaseToken, requireRole("admin"), async (req, res) => {
+        try {
+            const { status, donorEmail, showedUp } = req.query;
+            const { page, limit, skip } = parsePagination(req.query);
+            const feedbackCollection = req.db.collection("donorFeedback");
+
+            if (status && !FEEDBACK_STATUSES.includes(status)) {
+                return res.status(400).json(req.t("INVALID_STATUS"));
+            }
+
+            const query = {};
+            if (status) query.status = status;
+            if (donorEmail) query.donorEmail = donorEmail;
+            if (showedUp === "true" || showedUp === "false") query.showedUp = showedUp === "true";
+
+            const total = await feedbackCollection.countDocuments(query);
+            const feedback = await feedbackCollection
+                .find(query)
+                .sort({ createdAt: -1, _id: -1 })
+                .skip(skip)
+                .limit(limit)
+                .toArray();
+
+            res.status(200).json({ total, page, limit, feedback });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json(req.t("SERVER_ERROR"));
+        }
+    });
+
+    // Hide or Republish Donor Feedback
+    // Hidden feedback stops counting towards the donor's reliability score
+    app.put("/dashboard/feedback/:id", verifyFirebaseToken, requireRole("admin"), validateBody(moderateFeedbackSchema), auditLog("feedback.moderate", { collection: "donorFeedback", targetType: "feedback" }), async (req, res) => {
+        try {
+            const { id } = req.params;
+            const { status, moderationNote } = req.body;
+
+            const feedback = await req.db.collection("donorFeedback").findOneAndUpdate(
+                { _id: new ObjectId(id) },
+                { $set: { status, moderationNote: moderationNote || "", moderatedBy: req.user.email, moderatedAt: new Date() } },
+                { returnDocument: "after" }
+            );
+            if (!feedback) return res.status(404).json(req.t("FEEDBACK_NOT_FOUND"));
+
+            const reliability = await refreshDonorReliability(req.db, feedback.donorEmail);
+
+            res.status(200).json({ ...req.t("FEEDBACK_MODERATED", { status }), feedback, reliability });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json(req.t("SERVER_ERROR"));
+        }
+    });
+
+    // Update User Role
+    app.put("/dashboard/user/:id", verifyFirebaseToken, requireRole("admin"), validateBody(updateUserSchema, { partial: true }), auditLog("user.update", { collection: "users", targetType: "user" }), async (req, res) => {
+        try {
+            const { id } = req.params;
+            const updates = req.body;
+
+            const usersCollection = req.db.collection("users");
+            const user = await usersCollection.findOneAndUpdate(
+                { _id: new ObjectId(id), ...NOT_DELETED },
+                { $set: updates },
+                { returnDocument: "after" }
+            );
+
+            if (!user) return res.status(404).json(req.t("USER_NOT_FOUND"));
+
+            // Keep the Firebase role claim in sync and force a token refresh
+            let claimsSynced = true;
+            if (updates.role) {
+                try {
+                    const uid = await syncUserClaims(auth, user);
+                    await auth.revokeRefreshTokens(uid);
+                    if (!user.uid) await usersCollection.updateOne({ _id: user._id }, { $set: { uid } });
+                } catch (err) {
+                    console.error("Failed to sync role claim:", err);
+                    claimsSynced = false;
+                }
+            }
+
+            res.status(200).json({ ...req.t("USER_UPDATED"), claimsSynced });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json(req.t("SERVER_ERROR"));
+        }
+    });
+
+    // Delete User (soft delete - restorable from the trash until purged)
+    app.delete("/dashboard/user/:id", verifyFirebaseToken, requireRole("admin"), auditLog("user.delete", { collection: "users", targetType: "user" }), async (req, res) => {
+        try {
+            const { id } = req.params;
+            const usersCollection = req.db.collection("users");
+
+            const user = await usersCollection.findOne({ _id: new ObjectId(id), ...NOT_DELETED });
+            if (!user) return res.status(404).json(req.t("USER_NOT_FOUND"));
+            if (user.email === req.user.email) {
+                return res.status(400).json(req.t("CANNOT_DELETE_SELF"));
+            }
+
+            await usersCollection.updateOne({ _id: user._id }, softDeleteUpdate(req.user.email));
+
+            // Drop the role claim and sign the user out everywhere; the DB lookup then refuses them
+            let claimsSynced = true;
+            try {
+                const uid = user.uid || (await auth.getUserByEmail(user.email)).uid;
+                await auth.setCustomUserClaims(uid, null);
+                await auth.revokeRefreshTokens(uid);
+            } catch (err) {
+                console.error("Failed to clear role claim:", err);
+                claimsSynced = false;
+            }
+
+            res.status(200).json({ ...req.t("USER_DELETED"), claimsSynced });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json(req.t("SERVER_ERROR"));
+        }
+    });
+
+    // TRASH (Admin)
+    // Soft-deleted records, newest first, with the date the purge job will remove them
+
+    // Get Deleted Users
+    app.get("/dashboard/trash/users", verifyFirebaseToken, requireRole("admin"), async (req, res) => {
+        try {
+            const usersCollection = req.db.collection("users");
+            const { page, limit, skip } = parsePagination(req.query);
+
+            const query = { deletedAt: { $ne: null } };
+            const total = await usersCollection.countDocuments(query);
+            const users = await usersCollection
+                .find(query)
+                .sort({ deletedAt: -1, _id: -1 })
+                .skip(skip)
+                .limit(limit)
+                .toArray();
+
+            res.status(200).json({
+                total,
+                page,
+                limit,
+                users: users.map((user) => ({ ...user, purgeAt: getPurgeDate(user.deletedAt) })),
+            });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json(req.t("SERVER_ERROR"));
+        }
+    });
+
+    // Get Deleted Donation Requests
+    app.get("/dashboard/trash/donation-requests", verifyFirebaseToken, requireRole("admin"), async (req, res) => {
+        try {
+            const donationRequestsCollection = req.db.collection("donationRequests");
+            const { page, limit, skip } = parsePagination(req.query);
+
+            const query = { deletedAt: { $ne: null } };
+            const total = await donationRequestsCollection.countDocuments(query);
+            const requests = await donationRequestsCollection
+                .find(query)
+                .sort({ deletedAt: -1, _id: -1 })
+                .skip(skip)
+                .limit(limit)
+                .toArray();
+
+            res.status(200).json({
+                total,
+                page,
+                limit,
+                requests: requests.map((request) => ({ ...request, purgeAt: getPurgeDate(request.deletedAt) })),
+            });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json(req.t("SERVER_ERROR"));
+        }
+    });
+
+    // Restore a Deleted User
+    app.put("/dashboard/user/:id/restore", verifyFirebaseToken, requireRole("admin"), auditLog("user.restore", { collection: "users", targetType: "user" }), async (req, res) => {
+        try {
+            const { id } = req.params;
+            const usersCollection = req.db.collection("users");
+
+            const user = await usersCollection.findOneAndUpdate(
+                { _id: new ObjectId(id), deletedAt: { $ne: null } },
+                restoreUpdate(),
+                { returnDocument: "after" }
+            );
+            if (!user) return res.status(404).json(req.t("DELETED_USER_NOT_FOUND"));
+
+            // Give the role claim back
+            let claimsSynced = true;
+            try {
+                await syncUserClaims(auth, user);
+            } catch (err) {
+                console.error("Failed to restore role claim:", err);
+                claimsSynced = false;
+            }
+
+            res.status(200).json({ ...req.t("USER_RESTORED"), claimsSynced });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json(req.t("SERVER_ERROR"));
+        }
+    });
+
+    // Restore a Deleted Donation Request
+    app.put("/dashboard/donation-request/:id/restore", verifyFirebaseToken, requireRole("admin"), auditLog("donationRequest.restore", { collection: "donationRequests", targetType: "donationRequest" }), async (req, res) => {
+        try {
+            const { id } = req.params;
+            const donationRequestsCollection = req.db.collection("donationRequests");
+
+            const result = await donationRequestsCollection.updateOne(
+                { _id: new ObjectId(id), deletedAt: { $ne: null } },
+                restoreUpdate()
+            );
+            if (result.matchedCount === 0) return res.status(404).json(req.t("DELETED_DONATION_REQUEST_NOT_FOUND"));
+
+            res.status(200).json(req.t("DONATION_REQUEST_RESTORED"));
+        } catch (err) {
+            console.error(err);
+            res.status(500).json(req.t("SERVER_ERROR"));
+        }
+    });
+
+    // Get Dashboard Analytics (Admin)
+    // Query: from/to (ISO dates, defaults to the last 30 days), interval=day|week|month
+    app.get("/dashboard/analytics", verifyFirebaseToken, requireRole("admin"), async (req, res) => {
+        try {
+            const { interval = "day" } = req.query;
+            const to = req.query.to ? new Date(req.query.to) : new Date();
+            const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+
+            if (!ANALYTICS_INTERVALS.includes(interval)) {
+                return res.status(400).json(req.t("INVALID_ANALYTICS_INTERVAL", { intervals: ANALYTICS_INTERVALS.join(", ") }));
+            }
+            if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || from > to) {
+                return res.status(400).json(req.t("INVALID_DATE_RANGE"));
+            }
+
+            const analytics = await getDonationAnalytics(req.db, { from, to, interval });
+
+            res.status(200).json(analytics);
+        } catch (err) {
+            console.error(err);
+            res.status(500).json(req.t("SERVER_ERROR"));
+        }
+    });
+
+    // Get Audit Logs (Admin)
+    // Filters: actor (email), targetId, targetType, action, from/to (ISO dates)
+    app.get("/dashboard/audit-logs", verifyFirebaseToken, requireRole("admin"), async (req, res) => {
+        try {
+            const auditLogsCollection = req.db.collection("auditLogs");
+            const { actor, targetId, targetType, action, from, to } = req.query;
+            const { page, limit, skip } = parsePagination(req.query, { defaultLimit: 20, maxLimit: 100 });
+
+            const query = {};
+            if (actor) query.actorEmail = actor;
+            if (targetType) query.targetType = targetType;
+            if (action) query.action = action;
+            if (targetId) {
+                if (!ObjectId.isValid(targetId)) return res.status(400).json(req.t("INVALID_TARGET_ID"));
+                query.targetId = new ObjectId(targetId);
+            }
+            if (from || to) {
+                const range = {};
+                if (from) range.$gte = new Date(from);
+                if (to) range.$lte = new Date(to);
+                if (Object.values(range).some((date) => Number.isNaN(date.getTime()))) {
+                    return res.status(400).json(req.t("INVALID_DATE_RANGE"));
+                }
+                query.createdAt = range;
+            }
+
+            const total = await auditLogsCollection.countDocuments(query);
+            const logs = await auditLogsCollection
+                .find(query)
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(limit)
+                .toArray();
+
+            res.status(200).json({ total, page, limit, logs });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json(req.t("SERVER_ERROR"));
+        }
+    });
+
+    // BULK EXPORT / IMPORT (Admin)
+
+    // Export Users as CSV or JSON (streamed, same status filter as /dashboard/all-users)
+    app.get("/dashboard/export/users", verifyFirebaseToken, requireRole("admin"), async (req, res) => {
+        try {
+            const { format = "csv", status } = req.query;
+            if (!EXPORT_FORMATS.includes(format)) return res.status(400).json(req.t("INVALID_EXPORT_FORMAT"));
+            if (status && !USER_STATUSES.includes(status)) return res.status(400).json(req.t("INVALID_STATUS"));
+
+            const query = { ...NOT_DELETED };
+            if (status) query.status = status;
+
+            const cursor = req.db.collection("users").find(query).sort({ createdAt: 1, _id: 1 });
+            await streamExport(res, cursor, { format, columns: USER_EXPORT_COLUMNS, filename: "users" });
+        } catch (err) {
+            console.error(err);
+            // Once streaming started the only honest signal left is a broken download
+            if (res.headersSent) return res.destroy();
+            res.status(500).json(req.t("SERVER_ERROR"));
+        }
+    });
+
+    // Export Donation Requests as CSV or JSON (streamed, same status filter as /dashboard/all-blood-donation-request)
+    app.get("/dashboard/export/donation-requests", verifyFirebaseToken, requireRole("admin"), async (req, res) => {
+        try {
+            const { format = "csv", status } = req.query;
+            if (!EXPORT_FORMATS.includes(format)) return res.status(400).json(req.t("INVALID_EXPORT_FORMAT"));
+            if (status && !DONATION_STATUSES.includes(status)) return res.status(400).json(req.t("INVALID_STATUS"));
+
+            const query = { ...NOT_DELETED };
+            if (status) query.status = status;
+
+            const cursor = req.db.collection("donationRequests").find(query).sort({ createdAt: 1, _id: 1 });
+            await streamExport(res, cursor, {
+                format,
+                columns: DONATION_REQUEST_EXPORT_COLUMNS,
+                filename: "donation-requests",
+            });
+        } catch (err) {
+            console.error(err);
+            if (res.headersSent) return res.destroy();
+            res.status(500).json(req.t("SERVER_ERROR"));
+        }
+    });
+
+    // Import Donors from a CSV upload (multipart field "file"); dryRun=true only validates
+    app.post("/dashboard/import/donors", verifyFirebaseToken, requireRole("admin"), uploadCsv, async (req, res) => {
+        try {
+            if (!req.file) return res.status(400).json(req.t("CSV_FILE_REQUIRED"));
+            const dryRun = req.query.dryRun === "true";
+
+            const result = await importDonors(req.db, req.file.buffer.toString("utf-8"), {
+                dryRun,
+                importedBy: req.user.email,
+                origin: requestOrigin(req),
+            });
+            // File-level problems (bad header, too many rows, broken quoting)
+            if (result.error) return res.status(400).json(req.t(result.error, result.params));
+
+            if (!dryRun && result.imported > 0) {
+                const actor = req.dbUser || { email: req.user.email, role: req.userRole };
+                await recordAuditEntry(req, actor, {
+                    action: "user.import",
+                    targetType: "user",
+                    changes: { imported: result.imported, failed: result.failed },
+                });
+            }
+
+            res.status(dryRun ? 200 : 201).json(result);
+        } catch (err) {
+            console.error(err);
+            res.status(500).json(req.t("SERVER_ERROR"));
+        }
+    });
+
+    // CAMPAIGN APIS
+    // Donation camps run by admins and volunteers; donors sign up and are checked in on the day
+
+    // Create Campaign (Admin/Volunteer)
+    app.post("/dashboard/campaigns", verifyFirebaseToken, requireAnyRole(["admin", "volunteer"]), validateBody(campaignSchema), async (req, res) => {
+        try {
+            const campaign = {
+                ...req.body,
+                targets: req.body.targets || {},
+                status: "scheduled",
+                registeredCount: 0,
+                createdBy: req.user.email,
+                createdAt: new Date(),
+            };
+            const result = await req.db.collection("campaigns").insertOne(campaign);
+
+            const actor = req.dbUser || { email: req.user.email, role: req.userRole };
+            await recordAuditEntry(req, actor, {
+                action: "campaign.create",
+                targetType: "campaign",
+                targetId: result.insertedId,
+                changes: {
+                    title: { from: null, to: campaign.title },
+                    startDate: { from: null, to: campaign.startDate },
+                    endDate: { from: null, to: campaign.endDate },
+                    capacity: { from: null, to: campaign.capacity },
+                },
+            });
+
+            res.status(201).json({ ...req.t("CAMPAIGN_CREATED"), campaign: { _id: result.insertedId, ...campaign } });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json(req.t("SERVER_ERROR"));
+        }
+    });
+
+    // Get Campaigns (Admin/Volunteer) - all of them, upcoming=true for the ones that haven't ended
+    app.get("/dashboard/campaigns", verifyFirebaseToken, requireAnyRole(["admin", "volunteer"]), async (req, res) => {
+        try {
+            const { status, upcoming } = req.query;
+            const { page, limit, skip } = parsePagination(req.query);
+            const campaignsCollection = req.db.collection("campaigns");
+
+            if (status && !CAMPAIGN_STATUSES.includes(status)) return res.status(400).json(req.t("INVALID_STATUS"));
+
+            const query = {};
+            if (status) query.status = status;
+            if (upcoming === "true") query.endDate = { $gte: todayString() };
+
+            const total = await campaignsCollection.countDocuments(query);
+            const campaigns = await campaignsCollection
+                .find(query)
+                .sort({ startDate: -1, _id: -1 })
+                .skip(skip)
+                .limit(limit)
+                .toArray();
+
+            res.status(200).json({ total, page, limit, campaigns: campaigns.map(withSeatsLeft) });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json(req.t("SERVER_ERROR"));
+        }
+    });
+
+    // Update Campaign (Admin/Volunteer) - capacity can't drop below the current sign-ups
+    app.put("/dashboard/campaigns/:id", verifyFirebaseToken, requireAnyRole(["admin", "volunteer"]), validateBody(updateCampaignSchema, { partial: true }), auditLog("campaign.update", { collection: "campaigns", targetType: "campaign" }), async (req, res) => {
+        try {
+            const { id } = req.params;
+            const campaignsCollection = req.db.collection("campaigns");
+
+            const campaign = await campaignsCollection.findOne({ _id: new ObjectId(id) });
+            if (!campaign) return res.status(404).json(req.t("CAMPAIGN_NOT_FOUND"));
+            if (campaign.status !== "scheduled") return res.status(400).json(req.t("CANCELED_CAMPAIGN_NOT_EDITABLE"));
+
+            const startDate = req.body.startDate || campaign.startDate;
+            const endDate = req.body.endDate || campaign.endDate;
+            if (endDate < startDate) return res.status(400).json(req.t("CAMPAIGN_END_BEFORE_START"));
+
+            const filter = { _id: campaign._id, status: "scheduled" };
+            if (req.body.capacity !== undefined) filter.registeredCount = { $lte: req.body.capacity };
+
+            const updated = await campaignsCollection.findOneAndUpdate(
+                filter,
+                { $set: { ...req.body, updatedAt: new Date() } },
+                { returnDocument: "after" }
+            );
+            if (!updated) {
+                return res.status(409).json(req.t("CAMPAIGN_CAPACITY_TOO_LOW"));
+            }
+
+            res.status(200).json({ ...req.t("CAMPAIGN_UPDATED"), campaign: withSeatsLeft(updated) });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json(req.t("SERVER_ERROR"));
+        }
+    });
+
+    // Cancel Campaign (Admin/Volunteer)
+    // The campaign and its registrations are kept (check-ins stay in donor histories); registered donors are told
+    app.delete("/dashboard/campaigns/:id", verifyFirebaseToken, requireAnyRole(["admin", "volunteer"]), auditLog("campaign.cancel", { collection: "campaigns", targetType: "campaign" }), async (req, res) => {
+        try {
+            const { id } = req.params;
+
+            const campaign = await req.db.collection("campaigns").findOneAndUpdate(
+                { _id: new ObjectId(id), status: "scheduled" },
+                { $set: { status: "canceled", canceledAt: new Date(), canceledBy: req.user.email } },
+                { returnDocument: "after" }
+            );
+            if (!campaign) return res.status(404).json(req.t("SCHEDULED_CAMPAIGN_NOT_FOUND"));
+
+            const registrations = await req.db
+                .collection("campaignRegistrations")
+                .find({ campaignId: campaign._id, status: "registered" }, { projection: { donorEmail: 1 } })
+                .toArray();
+            await notifier.notify(req.db, "campaign.canceled", {
+                campaign,
+                donorEmails: registrations.map((registration) => registration.donorEmail),
+            });
+
+            res.status(200).json(req.t("CAMPAIGN_CANCELED"));
+        } catch (err) {
+            console.error(err);
+            res.status(500).json(req.t("SERVER_ERROR"));
+        }
+    });
+
+    // Get Campaign Registrations (Admin/Volunteer) with collected units against the targets
+    app.get("/dashboard/campaigns/:id/registrations", verifyFirebaseToken, requireAnyRole(["admin", "volunteer"]), async (req, res) => {
+        try {
+            const { id } = req.params;
+            const { status } = req.query;
+            const { page, limit, skip } = parsePagination(req.query, { defaultLimit: 50 });
+
+            if (status && !CAMPAIGN_REGISTRATION_STATUSES.includes(status)) {
+                return res.status(400).json(req.t("INVALID_STATUS"));
+            }
+
+            const campaign = await req.db.collection("campaigns").findOne({ _id: new ObjectId(id) });
+            if (!campaign) return res.status(404).json(req.t("CAMPAIGN_NOT_FOUND"));
+
+            const registrationsCollection = req.db.collection("campaignRegistrations");
+            const query = { campaignId: campaign._id };
+            if (status) query.status = status;
+
+            const total = await registrationsCollection.countDocuments(query);
+            const registrations = await registrationsCollection
+                .find(query)
+                .sort({ registeredAt: 1, _id: 1 })
+                .skip(skip)
+                .limit(limit)
+                .toArray();
+
+            res.status(200).json({
+                campaign: withSeatsLeft(campaign),
+                progress: await getCampaignProgress(req.db, campaign),
+                total,
+                page,
+                limit,
+                registrations,
+            });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json(req.t("SERVER_ERROR"));
+        }
+    });
+
+    // Check In a Registered Donor (Admin/Volunteer)
+    // Only on the campaign days; the donation counts towards the donor's stats and eligibility
+    app.put("/dashboard/campaigns/:id/registrations/:registrationId/check-in", verifyFirebaseToken, requireAnyRole(["admin", "volunteer"]), auditLog("campaign.checkIn", { collection: "campaignRegistrations", targetType: "campaignRegistration", param: "registrationId" }), async (req, res) => {
+        try {
+            const { id, registrationId } = req.params;
+            const registrationsCollection = req.db.collection("campaignRegistrations");
+
+            const campaign = await req.db.collection("campaigns").findOne({ _id: new ObjectId(id) });
+            if (!campaign) return res.status(404).json(req.t("CAMPAIGN_NOT_FOUND"));
+
+            const today = todayString();
+            if (campaign.status !== "scheduled" || today < campaign.startDate || today > campaign.endDate) {
+                return res.status(400).json(req.t("CAMPAIGN_NOT_RUNNING"));
+            }
+
+            const registration = await registrationsCollection.findOne({
+                _id: new ObjectId(registrationId),
+                campaignId: campaign._id,
+            });
+            if (!registration) return res.status(404).json(req.t("REGISTRATION_NOT_FOUND"));
+            if (registration.status !== "registered") {
+                return res.status(400).json(req.t("REGISTRATION_NOT_ACTIVE", { status: registration.status }));
+            }
+
+            // They may have donated elsewhere since signing up
+            const donor = await req.db.collection("users").findOne({ email: registration.donorEmail, ...NOT_DELETED });
+            if (!donor) return res.status(404).json(req.t("DONOR_NOT_FOUND"));
+            if (!isEligibleToDonate(donor)) {
+                return res.status(400).json({
+                    ...req.t("DONOR_NOT_ELIGIBLE"),
+                    nextEligibleDate: getNextEligibleDate(donor.lastDonationDate),
+                });
+            }
+
+            const checkedIn = await registrationsCollection.findOneAndUpdate(
+                { _id: registration._id, status: "registered" },
+                { $set: { status: "checked_in", donationDate: today, checkedInAt: new Date(), checkedInBy: req.user.email } },
+                { returnDocument: "after" }
+            );
+            if (!checkedIn) return res.status(409).json(req.t("REGISTRATION_CONFLICT"));
+
+            await refreshDonorStats(req.db, registration.donorEmail);
+
+            res.status(200).json({ ...req.t("DONOR_CHECKED_IN"), registration: checkedIn });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json(req.t("SERVER_ERROR"));
+        }
+    });
+
+    // Register for a Campaign (Donor)
+    // The donor must be able to donate by the campaign's last day
+    app.post("/campaigns/:id/register", verifyFirebaseToken, async (req, res) => {
+        try {
+            const { id } = req.params;
+            const registrationsCollection = req.db.collection("campaignRegistrations");
+
+            const campaign = await req.db
+                .collection("campaigns")
+                .findOne({ _id: new ObjectId(id), ...upcomingCampaignFilter(todayString()) });
+            if (!campaign) return res.status(404).json(req.t("UPCOMING_CAMPAIGN_NOT_FOUND"));
+
+            const donor = await req.db.collection("users").findOne({ email: req.user.email, ...NOT_DELETED });
+            if (!donor) return res.status(404).json(req.t("USER_NOT_FOUND"));
+            if (donor.status === "blocked") return res.status(403).json(req.t("BLOCKED_CANNOT_REGISTER"));
+
+            const lastDay = new Date(`${campaign.endDate}T23:59:59Z`);
+            if (!isEligibleToDonate(donor, lastDay)) {
+                return res.status(400).json({
+                    ...req.t("NOT_ELIGIBLE_DURING_CAMPAIGN"),
+                    nextEligibleDate: getNextEligibleDate(donor.lastDonationDate),
+                });
+            }
+
+            const existing = await registrationsCollection.findOne({ campaignId: campaign._id, donorEmail: donor.email });
+            if (existing && existing.status !== "canceled") {
+                return res.status(409).json(req.t("ALREADY_REGISTERED_FOR_CAMPAIGN"));
+            }
+
+            if (!(await reserveSeat(req.db, campaign._id))) {
+                return res.status(409).json(req.t("CAMPAIGN_FULL"));
+            }
+
+            const registration = {
+                campaignId: campaign._id,
+                donorEmail: donor.email,
+                donorName: donor.name,
+                bloodGroup: donor.bloodGroup,
+                status: "registered",
+                registeredAt: new Date(),
+            };
+
+            // A second sign-up racing this one hits the unique index (or the status condition) and gives its seat back
+            let saved = true;
+            try {
+                if (existing) {
+                    const result = await registrationsCollection.updateOne(
+                        { _id: existing._id, status: "canceled" },
+                        { $set: registration, $unset: { canceledAt: "" } }
+                    );
+                    saved = result.matchedCount === 1;
+                } else {
+                    await registrationsCollection.insertOne(registration);
+                }
+            } catch (err) {
+                if (err.code !== 11000) {
+                    await releaseSeat(req.db, campaign._id);
+                    throw err;
+                }
+                saved = false;
+            }
+            if (!saved) {
+                await releaseSeat(req.db, campaign._id);
+                return res.status(409).json(req.t("ALREADY_REGISTERED_FOR_CAMPAIGN"));
+            }
+
+            await notifier.notify(req.db, "campaign.registered", { campaign, donorEmail: donor.email });
+
+            res.status(201).json(req.t("REGISTERED_FOR_CAMPAIGN"));
+        } catch (err) {
+            console.error(err);
+            res.status(500).json(req.t("SERVER_ERROR"));
+        }
+    });
+
+    // Cancel own Campaign Registration (Donor)
+    app.delete("/campaigns/:id/register", verifyFirebaseToken, async (req, res) => {
+        try {
+            const { id } = req.params;
+
+            const registration = await req.db.collection("campaignRegistrations").findOneAndUpdate(
+                { campaignId: new ObjectId(id), donorEmail: req.user.email, status: "registered" },
+                { $set: { status: "canceled", canceledAt: new Date() } },
+                { returnDocument: "after" }
+            );
+            if (!registration) return res.status(404).json(req.t("NO_ACTIVE_REGISTRATION"));
+
+            await releaseSeat(req.db, registration.campaignId);
+
+            res.status(200).json(req.t("REGISTRATION_CANCELED"));
+        } catch (err) {
+            console.error(err);
+            res.status(500).json(req.t("SERVER_ERROR"));
+        }
+    });
+
+    // Get own Campaign Registrations (with campaign details)
+    app.get("/dashboard/my-campaigns", verifyFirebaseToken, async (req, res) => {
+        try {
+            const { status } = req.query;
+            const { page, limit, skip } = parsePagination(req.query);
+            const registrationsCollection = req.db.collection("campaignRegistrations");
+
+            const query = { donorEmail: req.user.email };
+            if (status) query.status = status;
+
+            const total = await registrationsCollection.countDocuments(query);
+            const registrations = await registrationsCollection
+                .aggregate([
+                    { $match: query },
+                    { $sort: { registeredAt: -1, _id: -1 } },
+                    { $skip: skip },
+                    { $limit: limit },
+                    {
+                        $lookup: {
+                            from: "campaigns",
+                            localField: "campaignId",
+                            foreignField: "_id",
+                            pipeline: [{ $project: { ...PUBLIC_CAMPAIGN_PROJECTION, status: 1 } }],
+                            as: "campaign",
+                        },
+                    },
+                    { $unwind: "$campaign" },
+                ])
+                .toArray();
+
+            res.status(200).json({ total, page, limit, registrations });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json(req.t("SERVER_ERROR"));
+        }
+    });
+
+    // Get own Donation History - completed requests and campaign check-ins, newest first
+    app.get("/dashboard/my-donations", verifyFirebaseToken, async (req, res) => {
+        try {
+            const { page, limit, skip } = parsePagination(req.query);
+
+            const [result] = await req.db
+                .collection("donationRequests")
+                .aggregate([
+                    { $match: { donorEmail: req.user.email, status: "done" } },
+                    {
+                        $project: {
+                            _id: 0,
+                            type: "request",
+                            requestId: "$_id",
+                            donationDate: 1,
+                            bloodGroup: 1,
+                            place: "$hospitalName",
+                            district: "$recipientDistrict",
+                        },
+                    },
+                    {
+                        $unionWith: {
+                            coll: "campaignRegistrations",
+                            pipeline: [
+                                { $match: { donorEmail: req.user.email, status: "checked_in" } },
+                                { $lookup: { from: "campaigns", localField: "campaignId", foreignField: "_id", as: "campaign" } },
+                                { $unwind: "$campaign" },
+                                {
+                                    $project: {
+                                        _id: 0,
+                                        type: "campaign",
+                                        campaignId: 1,
+                                        donationDate: 1,
+                                        bloodGroup: 1,
+                                        place: "$campaign.venue",
+                                        district: "$campaign.district",
+                                        title: "$campaign.title",
+                                    },
+                                },
+                            ],
+                        },
+                    },
+                    { $sort: { donationDate: -1 } },
+                    { $facet: { total: [{ $count: "count" }], donations: [{ $skip: skip }, { $limit: limit }] } },
+                ])
+                .toArray();
+
+            res.status(200).json({ total: result.total[0]?.count || 0, page, limit, donations: result.donations });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json(req.t("SERVER_ERROR"));
+        }
+    });
+
+    // BLOOD BANK APIS
+    // Partner hospitals (role "hospital") manage the stock of the banks that list them in managerEmails.
+    // Admins create banks and can act on any of them.
+
+    // Create Blood Bank (Admin only) - every manager must already have the hospital role
+    app.post("/dashboard/blood-banks", verifyFirebaseToken, requireRole("admin"), validateBody(bloodBankSchema), async (req, res) => {
+        try {
+            const managerEmails = [...new Set(req.body.managerEmails)];
+            const managers = await req.db
+                .collection("users")
+                .find({ email: { $in: managerEmails }, role: "hospital", ...NOT_DELETED }, { projection: { email: 1 } })
+                .toArray();
+            const notHospitalUsers = managerEmails.filter((email) => !managers.some((user) => user.email === email));
+            if (notHospitalUsers.length > 0) {
+                return res.status(400).json(req.t("NOT_HOSPITAL_USERS", { emails: notHospitalUsers.join(", ") }));
+            }
+
+            const bank = { ...req.body, managerEmails, createdBy: req.user.email, createdAt: new Date() };
+            const result = await req.db.collection("bloodBanks").insertOne(bank);
+
+            const actor = req.dbUser || { email: req.user.email, role: req.userRole };
+            await recordAuditEntry(req, actor, {
+                action: "bloodBank.create",
+                targetType: "bloodBank",
+                targetId: result.insertedId,
+                changes: { name: { from: null, to: bank.name }, managerEmails: { from: null, to: managerEmails } },
+            });
+
+            res.status(201).json({ ...req.t("BLOOD_BANK_CREATED"), bank: { _id: result.insertedId, ...bank } });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json(req.t("SERVER_ERROR"));
+        }
+    });
+
+    // Get Blood Banks (Admin: all, Hospital: the ones they manage) with available stock
+    app.get("/dashboard/blood-banks", verifyFirebaseToken, requireAnyRole(["admin", "hospital"]), async (req, res) => {
+        try {
+            const { page, limit, skip } = parsePagination(req.query);
+            const bloodBanksCollection = req.db.collection("bloodBanks");
+
+            const query = req.userRole === "admin" ? {} : { managerEmails: req.user.email };
+            const total = await bloodBanksCollection.countDocuments(query);
+            const banks = await bloodBanksCollection
+                .aggregate([
+                    { $match: query },
+                    { $sort: { name: 1, _id: 1 } },
+                    { $skip: skip },
+                    { $limit: limit },
+                    availableStockLookup(),
+                ])
+                .toArray();
+
+            res.status(200).json({
+                total,
+                page,
+                limit,
+                banks: banks.map((bank) => ({ ...bank, stock: formatStock(bank.stock) })),
+            });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json(req.t("SERVER_ERROR"));
+        }
+    });
+
+    // Update Blood Bank (Admin or Manager, only admins can change managerEmails)
+    app.put("/dashboard/blood-banks/:id", verifyFirebaseToken, requireAnyRole(["admin", "hospital"]), validateBody(updateBloodBankSchema, { partial: true }), auditLog("bloodBank.update", { collection: "bloodBanks", targetType: "bloodBank" }), async (req, res) => {
+        try {
+            const { id } = req.params;
+            const bloodBanksCollection = req.db.collection("bloodBanks");
+
+            const bank = await bloodBanksCollection.findOne({ _id: new ObjectId(id) });
+            if (!bank) return res.status(404).json(req.t("BLOOD_BANK_NOT_FOUND"));
+            if (!canManageBank(bank, req.user.email, req.userRole)) return res.status(403).json(req.t("NOT_ALLOWED"));
+
+            const updates = { ...req.body };
+            if (updates.managerEmails) {
+                if (req.userRole !== "admin") return res.status(403).json(req.t("ONLY_ADMINS_CHANGE_MANAGERS"));
+
+                updates.managerEmails = [...new Set(updates.managerEmails)];
+                const hospitalUsers = await req.db
+                    .collection("users")
+                    .countDocuments({ email: { $in: updates.managerEmails }, role: "hospital", ...NOT_DELETED });
+                if (hospitalUsers !== updates.managerEmails.length) {
+                    return res.status(400).json(req.t("MANAGERS_MUST_BE_HOSPITAL_USERS"));
+                }
+            }
+
+            await bloodBanksCollection.updateOne({ _id: bank._id }, { $set: { ...updates, updatedAt: new Date() } });
+
+            res.status(200).json(req.t("BLOOD_BANK_UPDATED"));
+        } catch (err) {
+            console.error(err);
+            res.status(500).json(req.t("SERVER_ERROR"));
+        }
+    });
+
+    // Get Stock Batches of a Bank (Admin or Manager)
+    // Empty and expired batches are left out unless includeEmpty=true
+    app.get("/dashboard/blood-banks/:id/stock", verifyFirebaseToken, requireAnyRole(["admin", "hospital"]), async (req, res) => {
+        try {
+            const { id } = req.params;
+            const { bloodGroup, includeEmpty } = req.query;
+
+            const bank = await req.db.collection("bloodBanks").findOne({ _id: new ObjectId(id) });
+            if (!bank) return res.status(404).json(req.t("BLOOD_BANK_NOT_FOUND"));
+            if (!canManageBank(bank, req.user.email, req.userRole)) return res.status(403).json(req.t("NOT_ALLOWED"));
+
+            const query = { bankId: bank._id };
+            if (bloodGroup) query.bloodGroup = bloodGroup;
+            if (includeEmpty !== "true") {
+                query.units = { $gt: 0 };
+                query.expiresOn = { $gte: todayString() };
+            }
+
+            const batches = await req.db
+                .collection("bloodStock")
+                .find(query)
+                .sort({ expiresOn: 1, _id: 1 })
+                .toArray();
+
+            res.status(200).json({ bank: { _id: bank._id, name: bank.name }, batches });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json(req.t("SERVER_ERROR"));
+        }
+    });
+
+    // Add a Stock Batch (Admin or Manager)
+    app.post("/dashboard/blood-banks/:id/stock", verifyFirebaseToken, requireAnyRole(["admin", "hospital"]), validateBody(bloodStockSchema), async (req, res) => {
+        try {
+            const { id } = req.params;
+
+            const bank = await req.db.collection("bloodBanks").findOne({ _id: new ObjectId(id) });
+            if (!bank) return res.status(404).json(req.t("BLOOD_BANK_NOT_FOUND"));
+            if (!canManageBank(bank, req.user.email, req.userRole)) return res.status(403).json(req.t("NOT_ALLOWED"));
+
+            const batch = { bankId: bank._id, ...req.body, addedBy: req.user.email, createdAt: new Date() };
+            const result = await req.db.collection("bloodStock").insertOne(batch);
+
+            const actor = req.dbUser || { email: req.user.email, role: req.userRole };
+            await recordAuditEntry(req, actor, {
+                action: "bloodStock.add",
+                targetType: "bloodStock",
+                targetId: result.insertedId,
+                changes: {
+                    bankId: { from: null, to: bank._id },
+                    bloodGroup: { from: null, to: batch.bloodGroup },
+                    units: { from: null, to: batch.units },
+                    expiresOn: { from: null, to: batch.expiresOn },
+                },
+            });
+
+            res.status(201).json({ ...req.t("STOCK_ADDED"), batch: { _id: result.insertedId, ...batch } });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json(req.t("SERVER_ERROR"));
+        }
+    });
+
+    // Correct a Stock Batch (Admin or Manager) - e.g. units used outside the platform or discarded
+    app.put("/dashboard/blood-banks/:id/stock/:stockId", verifyFirebaseToken, requireAnyRole(["admin", "hospital"]), validateBody(updateBloodStockSchema), auditLog("bloodStock.update", { collection: "bloodStock", targetType: "bloodStock", param: "stockId" }), async (req, res) => {
+        try {
+            const { id, stockId } = req.params;
+
+            const bank = await req.db.collection("bloodBanks").findOne({ _id: new ObjectId(id) });
+            if (!bank) return res.status(404).json(req.t("BLOOD_BANK_NOT_FOUND"));
+            if (!canManageBank(bank, req.user.email, req.userRole)) return res.status(403).json(req.t("NOT_ALLOWED"));
+
+            const batch = await req.db.collection("bloodStock").findOneAndUpdate(
+                { _id: new ObjectId(stockId), bankId: bank._id },
+                { $set: { units: req.body.units, updatedAt: new Date(), updatedBy: req.user.email } },
+                { returnDocument: "after" }
+            );
+            if (!batch) return res.status(404).json(req.t("STOCK_BATCH_NOT_FOUND"));
+
+            res.status(200).json({ ...req.t("STOCK_UPDATED"), batch });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json(req.t("SERVER_ERROR"));
+        }
+    });
+
+    // Fulfil a Donation Request from Bank Stock (Admin or Manager)
+    // Takes the units from the bank (soonest expiry first) and moves the request to inprogress with the
+    // bank in place of a donor; the requester marks it done once they have the blood.
+    app.put("/dashboard/donation-request/:id/fulfil-from-bank", verifyFirebaseToken, requireAnyRole(["admin", "hospital"]), validateBody(fulfilFromBankSchema), auditLog("donationRequest.fulfilFromBank", { collection: "donationRequests", targetType: "donationRequest" }), async (req, res) => {
+        try {
+            const { id } = req.params;
+            const { bankId, units } = req.body;
+            const donationRequestsCollection = req.db.collection("donationRequests");
+
+            const request = await donationRequestsCollection.findOne({ _id: new ObjectId(id), ...NOT_DELETED });
+            if (!request) return res.status(404).json(req.t("DONATION_REQUEST_NOT_FOUND"));
+            if (request.status !== "pending") {
+                return res.status(400).json(req.t("ONLY_PENDING_CAN_BE_FULFILLED"));
+            }
+
+            const bank = await req.db.collection("bloodBanks").findOne({ _id: new ObjectId(bankId) });
+            if (!bank) return res.status(404).json(req.t("BLOOD_BANK_NOT_FOUND"));
+            if (!canManageBank(bank, req.user.email, req.userRole)) return res.status(403).json(req.t("NOT_ALLOWED"));
+
+            const bloodGroup = req.body.bloodGroup || request.bloodGroup;
+            if (!getCompatibleDonorGroups(request.bloodGroup).includes(bloodGroup)) {
+                return res
+                    .status(400)
+                    .json(req.t("BLOOD_GROUP_NOT_COMPATIBLE", { bloodGroup, recipientBloodGroup: request.bloodGroup }));
+            }
+
+            const reserved = await reserveStock(req.db, bank._id, bloodGroup, units);
+            if (reserved.error) {
+                return res.status(409).json({
+                    ...req.t("INSUFFICIENT_STOCK", { bloodGroup, available: reserved.available }),
+                    available: reserved.available,
+                });
+            }
+
+            const bankFulfilment = {
+                bankId: bank._id,
+                bankName: bank.name,
+                bloodGroup,
+                units,
+                batches: reserved.batches,
+                fulfilledBy: req.user.email,
+                fulfilledAt: new Date(),
+            };
+
+            const result = await transitionDonationRequest(donationRequestsCollection, request._id, "inprogress", {
+                actor: { email: req.user.email, role: req.userRole },
+                allowedFrom: ["pending"],
+                set: { donorName: bank.name, bankFulfilment },
+            });
+
+            // Someone else claimed the request meanwhile - give the units back
+            if (result.error) {
+                await releaseStock(req.db, reserved.batches);
+                return sendTransitionError(req, res, result, "inprogress");
+            }
+
+            await notifier.notify(req.db, "request.bank_fulfilled", { request: result.request });
+
+            res.status(200).json({ ...req.t("FULFILLED_FROM_BANK"), bankFulfilment });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json(req.t("SERVER_ERROR"));
+        }
+    });
+
+    // FUND APIS
+
+    // Record a Contribution (starts a payment with the active provider)
+    app.post("/dashboard/funds", verifyFirebaseToken, async (req, res) => {
+        try {
+            const { amount, currency = "BDT" } = req.body;
+            const parsedAmount = Number(amount);
+
+            if (!SUPPORTED_CURRENCIES.includes(currency)) {
+                return res.status(400).json(req.t("INVALID_CURRENCY", { currencies: SUPPORTED_CURRENCIES.join(", ") }));
+            }
+
+            if (!Number.isFinite(parsedAmount) || parsedAmount <= 0) {
+                return res.status(400).json(req.t("INVALID_AMOUNT"));
+            }
+
+            if (parsedAmount > CONTRIBUTION_LIMITS[currency]) {
+                return res.status(400).json(req.t("AMOUNT_TOO_LARGE", { max: CONTRIBUTION_LIMITS[currency], currency }));
+            }
+
+            const usersCollection = req.db.collection("users");
+            const currentUser = await usersCollection.findOne({ email: req.user.email });
+
+            if (!currentUser || currentUser.status === "blocked") {
+                return res.status(403).json(req.t("BLOCKED_CANNOT_CONTRIBUTE"));
+            }
+
+            const payment = await paymentProvider.createPayment({
+                amount: parsedAmount,
+                currency,
+                metadata: { email: currentUser.email },
+            });
+
+            const fundsCollection = req.db.collection("funds");
+
+            const newFund = {
+                userName: currentUser.name,
+                userEmail: currentUser.email,
+                amount: parsedAmount,
+                currency,
+                provider: paymentProvider.name,
+                paymentId: payment.paymentId,
+                status: payment.status,
+                createdAt: new Date(),
+            };
+
+            await fundsCollection.insertOne(newFund);
+
+            res.status(201).json({
+                ...req.t("CONTRIBUTION_RECORDED"),
+                fund: newFund,
+                clientSecret: payment.clientSecret,
+            });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json(req.t("SERVER_ERROR"));
+        }
+    });
+
+    // Payment Webhook (provider confirms or fails a pending contribution)
+    app.post("/funds/webhook", async (req, res) => {
+        let event;
+        try {
+            event = paymentProvider.parseWebhook(req);
+        } catch (err) {
+            console.error("Rejected payment webhook:", err.message);
+            return res.status(400).json(req.t("INVALID_WEBHOOK"));
+        }
+
+        try {
+            const fundsCollection = req.db.collection("funds");
+
+            const result = await fundsCollection.updateOne(
+                { paymentId: event.paymentId, status: "pending" },
+                { $set: { status: event.status, settledAt: new Date() } }
+            );
+
+            if (result.matchedCount === 0) {
+                return res.status(404).json(req.t("PENDING_PAYMENT_NOT_FOUND"));
+            }
+
+            res.status(200).json(req.t("PAYMENT_SETTLED", { status: event.status }));
+        } catch (err) {
+            console.error(err);
+            res.status(500).json(req.t("SERVER_ERROR"));
+        }
+    });
+
+    // Get All Contributions (Admin & Volunteer)
+    app.get("/dashboard/funds", verifyFirebaseToken, requireAnyRole(["admin", "volunteer"]), async (req, res) => {
+        try {
+            const fundsCollection = req.db.collection("funds");
+            const { status, page = 1, limit = 10 } = req.query;
+
+            const query = {};
+            if (status) query.status = status;
+
+            const total = await fundsCollection.countDocuments(query);
+            const funds = await fundsCollection
+                .find(query)
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(parseInt(limit))
+                .toArray();
+
+            res.status(200).json({ total, page: parseInt(page), limit: parseInt(limit), funds });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json(req.t("SERVER_ERROR"));
+        }
+    });
+
+    // SCHEDULED JOB APIS
+
+    // Run a scheduled job (Vercel cron, authorized with CRON_SECRET)
+    app.get("/cron/:job", async (req, res) => {
+        try {
+            if (!isValidCronRequest(req)) return res.status(401).json(req.t("UNAUTHORIZED"));
+
+            if (!Object.hasOwn(JOBS, req.params.job)) return res.status(404).json(req.t("JOB_NOT_FOUND"));
+
+            const result = await JOBS[req.params.job](req.db, notifier, { storage });
+            res.status(200).json({ job: req.params.job, result });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json(req.t("SERVER_ERROR"));
+        }
+    });
+
+    // PUBLIC API
+    // Search Donors
+    // Sort: sort=name|lastDonationDate|createdAt, order=asc|desc (defaults to name A-Z)
+    app.get("/search-donors", throttle("searchDonors"), async (req, res) => {
+        try {
+            const { bloodGroup, district, upazila, eligibleOnly } = req.query;
+            const { page, limit, skip } = parsePagination(req.query, { defaultLimit: 20 });
+            const usersCollection = req.db.collection("users");
+
+            const sort = parseSort(req.query, ["name", "lastDonationDate", "createdAt", "reliability.score"], "name", "asc");
+            if (!sort) return res.status(400).json(req.t("INVALID_SORT_FIELD"));
+
+            let query = { role: "donor", status: "active", ...NOT_DELETED, ...searchableDonorFilter() };
+            if (bloodGroup) query.bloodGroup = bloodGroup;
+            if (district) query.district = district;
+            if (upazila) query.upazila = upazila;
+            if (eligibleOnly === "true") query = { ...query, ...eligibleDonorFilter() };
+
+            const total = await usersCollection.countDocuments(query);
+            const donors = await usersCollection
+                .find(query, { projection: PUBLIC_DONOR_PROJECTION })
+                .sort(sort)
+                .skip(skip)
+                .limit(limit)
+                .toArray();
+
+            res.status(200).json({
+                total,
+                page,
+                limit,
+                donors: donors.map((donor) => ({
+                    ...toMaskedDonor(donor),
+                    nextEligibleDate: getNextEligibleDate(donor.lastDonationDate),
+                })),
+            });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json(req.t("SERVER_ERROR"));
+        }
+    });
+
+    // Blood Availability (Public - no auth required)
+    // Banks with unexpired stock, filtered by district/upazila. With bloodGroup only banks holding that
+    // group are listed, or any group a recipient of it can receive when compatible=true.
+    app.get("/blood-banks", throttle("bloodBanks"), async (req, res) => {
+        try {
+            const { district, upazila, bloodGroup, compatible } = req.query;
+            const { page, limit, skip } = parsePagination(req.query);
+
+            if (bloodGroup && !BLOOD_GROUPS.includes(bloodGroup)) {
+                return res.status(400).json(req.t("INVALID_BLOOD_GROUP"));
+            }
+
+            const query = {};
+            if (district) query.district = district;
+            if (upazila) query.upazila = upazila;
+
+            const groups = bloodGroup && (compatible === "true" ? getCompatibleDonorGroups(bloodGroup) : [bloodGroup]);
+
+            const [result] = await req.db
+                .collection("bloodBanks")
+                .aggregate([
+                    { $match: query },
+                    availableStockLookup(),
+                    ...(groups
+                        ? [
+                              { $set: { stock: { $filter: { input: "$stock", cond: { $in: ["$$this._id", groups] } } } } },
+                              { $match: { "stock.0": { $exists: true } } },
+                          ]
+                        : []),
+                    { $sort: { name: 1, _id: 1 } },
+                    {
+                        $facet: {
+                            total: [{ $count: "count" }],
+                            banks: [{ $skip: skip }, { $limit: limit }, { $project: PUBLIC_BLOOD_BANK_PROJECTION }],
+                        },
+                    },
+                ])
+                .toArray();
+
+            res.status(200).json({
+                total: result.total[0]?.count || 0,
+                page,
+                limit,
+                banks: result.banks.map((bank) => ({ ...bank, stock: formatStock(bank.stock) })),
+            });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json(req.t("SERVER_ERROR"));
+        }
+    });
+
+    // Upcoming Campaigns (Public - no auth required), soonest first
+    app.get("/campaigns", throttle("campaigns"), async (req, res) => {
+        try {
+            const { district, upazila } = req.query;
+            const { page, limit, skip } = parsePagination(req.query);
+            const campaignsCollection = req.db.collection("campaigns");
+
+            const query = upcomingCampaignFilter(todayString());
+            if (district) query.district = district;
+            if (upazila) query.upazila = upazila;
+
+            const total = await campaignsCollection.countDocuments(query);
+            const campaigns = await campaignsCollection
+                .find(query, { projection: PUBLIC_CAMPAIGN_PROJECTION })
+                .sort({ startDate: 1, _id: 1 })
+                .skip(skip)
+                .limit(limit)
+                .toArray();
+
+            res.status(200).json({ total, page, limit, campaigns: campaigns.map(withSeatsLeft) });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json(req.t("SERVER_ERROR"));
+        }
+    });
+
+    // Get Single Campaign (Public - no auth required)
+    app.get("/campaigns/:id", throttle("campaigns"), async (req, res) => {
+        try {
+            const campaign = await req.db
+                .collection("campaigns")
+                .findOne({ _id: new ObjectId(req.params.id) }, { projection: { ...PUBLIC_CAMPAIGN_PROJECTION, status: 1 } });
+            if (!campaign) return res.status(404).json(req.t("CAMPAIGN_NOT_FOUND"));
+
+            res.status(200).json({ campaign: withSeatsLeft(campaign) });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json(req.t("SERVER_ERROR"));
+        }
+    });
+
+    // Get Public Statistics (Public - no auth required)
+    app.get("/public-stats", throttle("publicStats"), async (req, res) => {
+        try {
+            const usersCollection = req.db.collection("users");
+            const donationRequestsCollection = req.db.collection("donationRequests");
+
+            // Count active users (status === "active")
+            const totalActiveUsers = await usersCollection.countDocuments({ status: "active", ...NOT_DELETED });
+
+            // Count all donation requests
+            const totalDonationRequests = await donationRequestsCollection.countDocuments({});
+
+            // Count successful donations (status === "done")
+            const totalSuccessfulDonations = await donationRequestsCollection.countDocuments({ status: "done" });
+
+            // Fund raised per currency (confirmed payments only), e.g. { BDT: 1500, USD: 20 }
+            // Contributions recorded before currencies were tracked are BDT
+            const fundsCollection = req.db.collection("funds");
+            const fundTotals = await fundsCollection
+                .aggregate([
+                    { $match: { status: "confirmed" } },
+                    { $group: { _id: { $ifNull: ["$currency", "BDT"] }, total: { $sum: "$amount" } } },
+                ])
+                .toArray();
+            const fundRaisedByCurrency = Object.fromEntries(fundTotals.map(({ _id, total }) => [_id, total]));
+
+            res.status(200).json({
+                totalActiveUsers,
+                totalDonationRequests,
+                totalSuccessfulDonations,
+                // Stays a BDT number for existing clients
+                totalFundRaised: fundRaisedByCurrency.BDT || 0,
+                fundRaisedByCurrency,
+            });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json(req.t("SERVER_ERROR"));
+        }
+    });
+
+    return app;
+};
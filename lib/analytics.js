@@ -0,0 +1,111 @@
+// DASHBOARD ANALYTICS
+// Aggregation pipelines behind GET /dashboard/analytics.
+// Requests are bucketed by createdAt; fulfilment metrics use the time the request was marked
+// "done", taken from its statusHistory.
+export const ANALYTICS_INTERVALS = ["day", "week", "month"];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Adds doneAt = changedAt of the last "done" entry in statusHistory
+const addDoneAtStage = {
+    $addFields: {
+        doneAt: {
+            $let: {
+                vars: {
+                    doneEntries: {
+                        $filter: { input: { $ifNull: ["$statusHistory", []] }, cond: { $eq: ["$$this.to", "done"] } },
+                    },
+                },
+                in: { $last: "$$doneEntries.changedAt" },
+            },
+        },
+    },
+};
+
+// Counts per status for a breakdown key, e.g. bloodGroup or recipientDistrict
+const breakdownBy = (field) => [
+    {
+        $group: {
+            _id: `$${field}`,
+            total: { $sum: 1 },
+            done: { $sum: { $cond: [{ $eq: ["$status", "done"] }, 1, 0] } },
+            canceled: { $sum: { $cond: [{ $eq: ["$status", "canceled"] }, 1, 0] } },
+        },
+    },
+    { $sort: { total: -1 } },
+];
+
+export const getDonationAnalytics = async (db, { from, to, interval }) => {
+    const donationRequestsCollection = db.collection("donationRequests");
+
+    const [created] = await donationRequestsCollection
+        .aggregate([
+            { $match: { createdAt: { $gte: from, $lte: to } } },
+            {
+                $facet: {
+                    series: [
+                        { $group: { _id: { $dateTrunc: { date: "$createdAt", unit: interval } }, count: { $sum: 1 } } },
+                        { $sort: { _id: 1 } },
+                    ],
+                    byBloodGroup: breakdownBy("bloodGroup"),
+                    byDistrict: breakdownBy("recipientDistrict"),
+                    totals: [
+                        {
+                            $group: {
+                                _id: null,
+                                total: { $sum: 1 },
+                                canceled: { $sum: { $cond: [{ $eq: ["$status", "canceled"] }, 1, 0] } },
+                            },
+                        },
+                    ],
+                },
+            },
+        ])
+        .toArray();
+
+    const [fulfilled] = await donationRequestsCollection
+        .aggregate([
+            { $match: { status: "done" } },
+            addDoneAtStage,
+            { $match: { doneAt: { $gte: from, $lte: to } } },
+            {
+                $facet: {
+                    series: [
+                        { $group: { _id: { $dateTrunc: { date: "$doneAt", unit: interval } }, count: { $sum: 1 } } },
+                        { $sort: { _id: 1 } },
+                    ],
+                    fulfilmentTime: [
+                        { $group: { _id: null, averageMs: { $avg: { $subtract: ["$doneAt", "$createdAt"] } } } },
+                    ],
+                    topDonors: [
+                        { $match: { donorEmail: { $ne: null } } },
+                        { $group: { _id: "$donorEmail", donorName: { $last: "$donorName" }, donations: { $sum: 1 } } },
+                        { $sort: { donations: -1, _id: 1 } },
+                        { $limit: 10 },
+                    ],
+                },
+            },
+        ])
+        .toArray();
+
+    const totals = created.totals[0] || { total: 0, canceled: 0 };
+    const averageMs = fulfilled.fulfilmentTime[0]?.averageMs;
+    const toSeries = (buckets) => buckets.map((bucket) => ({ period: bucket._id, count: bucket.count }));
+    const toBreakdown = (buckets) => buckets.map(({ _id, ...counts }) => ({ key: _id, ...counts }));
+
+    return {
+        range: { from, to, interval },
+        requestsCreated: toSeries(created.series),
+        requestsFulfilled: toSeries(fulfilled.series),
+        averageHoursToDone: averageMs ? Math.round((averageMs / HOUR_MS) * 10) / 10 : null,
+        cancelRate: totals.total ? Math.round((totals.canceled / totals.total) * 1000) / 1000 : 0,
+        totalRequests: totals.total,
+        byBloodGroup: toBreakdown(created.byBloodGroup),
+        byDistrict: toBreakdown(created.byDistrict),
+        topDonors: fulfilled.topDonors.map((donor) => ({
+            donorEmail: donor._id,
+            donorName: donor.donorName,
+            donations: donor.donations,
+        })),
+    };
+};
@@ -0,0 +1,81 @@
+// AUDIT LOG
+// auditLog(action, { collection, targetType, param }) is route middleware for privileged routes.
+// It snapshots the target document (req.params[param], "id" by default) before the handler runs and,
+// once the handler answers with a success status, stores actor, action, target, before/after diff,
+// IP and timestamp in the auditLogs collection. Only admin, volunteer and hospital actions are recorded.
+// Routes without a single target (bulk actions) call recordAuditEntry() themselves.
+import { ObjectId } from "mongodb";
+
+const AUDITED_ROLES = ["admin", "volunteer", "hospital"];
+
+// Top-level fields that changed, as { field: { from, to } }
+export const diffDocuments = (before, after) => {
+    const changes = {};
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+    for (const field of fields) {
+        if (field === "_id") continue;
+        const from = before ? before[field] : undefined;
+        const to = after ? after[field] : undefined;
+        if (JSON.stringify(from) !== JSON.stringify(to)) {
+            changes[field] = { from: from ?? null, to: to ?? null };
+        }
+    }
+
+    return changes;
+};
+
+export const recordAuditEntry = (req, actor, { action, targetType, targetId = null, changes = {} }) => {
+    return req.db.collection("auditLogs").insertOne({
+        actorEmail: actor.email,
+        actorRole: actor.role,
+        action,
+        targetType,
+        targetId,
+        changes,
+        // req.ip honours "trust proxy" (app.js), so a client can't pick the address with its own X-Forwarded-For
+        ip: req.ip,
+        createdAt: new Date(),
+    });
+};
+
+export const auditLog = (action, { collection, targetType, param = "id" }) => {
+    return async (req, res, next) => {
+        try {
+            // requireRole/requireAnyRole already loaded the actor on most privileged routes
+            const actor = req.dbUser || (await req.db.collection("users").findOne({ email: req.user.email }));
+            if (!actor || !AUDITED_ROLES.includes(actor.role)) return next();
+
+            const targetId = new ObjectId(req.params[param]);
+            const targetCollection = req.db.collection(collection);
+            const before = await targetCollection.findOne({ _id: targetId });
+
+            // Hold the response until the log entry is written, so it isn't lost when a
+            // serverless function is frozen right after responding
+            const sendJson = res.json.bind(res);
+            res.json = (body) => {
+                if (res.statusCode >= 400) return sendJson(body);
+
+                targetCollection
+                    .findOne({ _id: targetId })
+                    .then((after) =>
+                        recordAuditEntry(req, actor, {
+                            action,
+                            targetType,
+                            targetId,
+                            changes: diffDocuments(before, after),
+                        })
+                    )
+                    .catch((err) => console.error("Audit log write failed:", err))
+                    .finally(() => sendJson(body));
+
+                return res;
+            };
+
+            next();
+        } catch (err) {
+            console.error(err);
+            res.status(500).json(req.t("SERVER_ERROR"));
+        }
+    };
+};
@@ -0,0 +1,76 @@
+// BLOOD BANKS
+// Partner hospitals keep their inventory in the bloodStock collection, one document per batch
+// (bank, blood group, units, expiresOn). Expired batches stay for the records but never count as
+// available. Units are taken first-expiring-first, each batch with a conditional $inc so two
+// fulfilments can't spend the same units; if a batch runs dry midway the units taken so far are put back.
+import { BLOOD_GROUPS } from "./schemas.js";
+import { todayString } from "./dates.js";
+
+// Admins manage every bank, hospital users the banks that list them as managers
+export const canManageBank = (bank, email, role) => role === "admin" || (bank.managerEmails || []).includes(email);
+
+// Pipeline stage that attaches the available (unexpired, non-empty) units per blood group as `stock`
+export const availableStockLookup = (today = todayString()) => ({
+    $lookup: {
+        from: "bloodStock",
+        let: { bankId: "$_id" },
+        pipeline: [
+            { $match: { $expr: { $eq: ["$bankId", "$$bankId"] }, units: { $gt: 0 }, expiresOn: { $gte: today } } },
+            { $group: { _id: "$bloodGroup", units: { $sum: "$units" }, nextExpiry: { $min: "$expiresOn" } } },
+        ],
+        as: "stock",
+    },
+});
+
+// [{ _id: group, units, nextExpiry }] from the lookup -> [{ bloodGroup, units, nextExpiry }] in BLOOD_GROUPS order
+export const formatStock = (stock = []) =>
+    stock
+        .map(({ _id, units, nextExpiry }) => ({ bloodGroup: _id, units, nextExpiry }))
+        .sort((a, b) => BLOOD_GROUPS.indexOf(a.bloodGroup) - BLOOD_GROUPS.indexOf(b.bloodGroup));
+
+// Put units taken by reserveStock back
+export const releaseStock = async (db, batches) => {
+    const stockCollection = db.collection("bloodStock");
+    await Promise.all(
+        batches.map((batch) =>
+            stockCollection.updateOne({ _id: batch.stockId }, { $inc: { units: batch.units }, $set: { updatedAt: new Date() } })
+        )
+    );
+};
+
+// Take `units` of one blood group from a bank, soonest expiry first.
+// Returns { batches: [{ stockId, expiresOn, units }] } or { error: "insufficient", available }
+export const reserveStock = async (db, bankId, bloodGroup, units, { now = new Date() } = {}) => {
+    const stockCollection = db.collection("bloodStock");
+    const batches = await stockCollection
+        .find({ bankId, bloodGroup, units: { $gt: 0 }, expiresOn: { $gte: todayString(now) } })
+        .sort({ expiresOn: 1, _id: 1 })
+        .toArray();
+
+    const available = batches.reduce((sum, batch) => sum + batch.units, 0);
+    if (available < units) return { error: "insufficient", available };
+
+    const taken = [];
+    let remaining = units;
+    for (const batch of batches) {
+        if (remaining === 0) break;
+        const take = Math.min(batch.units, remaining);
+
+        // Only succeeds if nobody took these units meanwhile
+        const result = await stockCollection.updateOne(
+            { _id: batch._id, units: { $gte: take } },
+            { $inc: { units: -take }, $set: { updatedAt: now } }
+        );
+        if (result.modifiedCount === 0) continue;
+
+        taken.push({ stockId: batch._id, expiresOn: batch.expiresOn, units: take });
+        remaining -= take;
+    }
+
+    if (remaining > 0) {
+        await releaseStock(db, taken);
+        return { error: "insufficient", available: units - remaining };
+    }
+
+    return { batches: taken };
+};
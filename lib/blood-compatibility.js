@@ -0,0 +1,14 @@
+// BLOOD COMPATIBILITY
+// Red cell compatibility: recipient blood group -> donor blood groups they can receive from
+export const COMPATIBLE_DONORS = {
+    "O-": ["O-"],
+    "O+": ["O+", "O-"],
+    "A-": ["A-", "O-"],
+    "A+": ["A+", "A-", "O+", "O-"],
+    "B-": ["B-", "O-"],
+    "B+": ["B+", "B-", "O+", "O-"],
+    "AB-": ["AB-", "A-", "B-", "O-"],
+    "AB+": ["AB+", "AB-", "A+", "A-", "B+", "B-", "O+", "O-"],
+};
+
+export const getCompatibleDonorGroups = (recipientGroup) => COMPATIBLE_DONORS[recipientGroup] || [];
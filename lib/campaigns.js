@@ -0,0 +1,61 @@
+// DONATION CAMPAIGNS
+// Blood drives organized by admins and volunteers. Donors sign up for a seat (campaigns.registeredCount
+// is only incremented while it is below capacity, so concurrent sign-ups can't overbook), and staff
+// check them in on the day, which counts as a completed donation in the donor's history and stats.
+// Registrations are unique per campaign and donor; canceling frees the seat and the donor can sign up again.
+import { BLOOD_GROUPS } from "./schemas.js";
+
+export const CAMPAIGN_STATUSES = ["scheduled", "canceled"];
+export const CAMPAIGN_REGISTRATION_STATUSES = ["registered", "canceled", "checked_in"];
+
+// Scheduled campaigns that haven't ended yet (dates are YYYY-MM-DD strings)
+export const upcomingCampaignFilter = (today) => ({ status: "scheduled", endDate: { $gte: today } });
+
+// Fields shown on the public listing
+export const PUBLIC_CAMPAIGN_PROJECTION = {
+    title: 1,
+    description: 1,
+    venue: 1,
+    district: 1,
+    upazila: 1,
+    startDate: 1,
+    endDate: 1,
+    capacity: 1,
+    registeredCount: 1,
+    targets: 1,
+};
+
+export const withSeatsLeft = (campaign) => ({
+    ...campaign,
+    seatsLeft: Math.max(campaign.capacity - (campaign.registeredCount || 0), 0),
+});
+
+// Take one seat; false when the campaign is full or no longer scheduled
+export const reserveSeat = async (db, campaignId) => {
+    const result = await db.collection("campaigns").updateOne(
+        { _id: campaignId, status: "scheduled", $expr: { $lt: ["$registeredCount", "$capacity"] } },
+        { $inc: { registeredCount: 1 } }
+    );
+    return result.modifiedCount === 1;
+};
+
+export const releaseSeat = (db, campaignId) =>
+    db.collection("campaigns").updateOne({ _id: campaignId, registeredCount: { $gt: 0 } }, { $inc: { registeredCount: -1 } });
+
+// Checked-in donors per blood group against the campaign's targets, in BLOOD_GROUPS order
+export const getCampaignProgress = async (db, campaign) => {
+    const collected = await db
+        .collection("campaignRegistrations")
+        .aggregate([
+            { $match: { campaignId: campaign._id, status: "checked_in" } },
+            { $group: { _id: "$bloodGroup", count: { $sum: 1 } } },
+        ])
+        .toArray();
+
+    const targets = campaign.targets || {};
+    return BLOOD_GROUPS.filter((group) => targets[group] || collected.some((row) => row._id === group)).map((group) => ({
+        bloodGroup: group,
+        target: targets[group] || 0,
+        collected: collected.find((row) => row._id === group)?.count || 0,
+    }));
+};
@@ -0,0 +1,84 @@
+// STARTUP CONFIG
+// Reads and validates env vars once, so a bad deployment fails with a readable list of problems
+// instead of an opaque error deep inside firebase-admin or the MongoDB driver.
+import fs from "fs";
+import { Buffer } from "buffer";
+import { isWebhookSecretRequired } from "./payments.js";
+import { isValidTimezone } from "./dates.js";
+
+// Used for local development when FIREBASE_SERVICE_ACCOUNT isn't set
+const LOCAL_FIREBASE_KEY_FILE = "./bloodbridge-firebase-adminsdk.json";
+
+const REQUIRED_SERVICE_ACCOUNT_FIELDS = ["project_id", "client_email", "private_key"];
+
+const readServiceAccount = (env, problems) => {
+    let json;
+
+    if (env.FIREBASE_SERVICE_ACCOUNT) {
+        json = Buffer.from(env.FIREBASE_SERVICE_ACCOUNT, "base64").toString("utf-8");
+    } else if (fs.existsSync(LOCAL_FIREBASE_KEY_FILE)) {
+        json = fs.readFileSync(LOCAL_FIREBASE_KEY_FILE, "utf-8");
+    } else {
+        problems.push(
+            `FIREBASE_SERVICE_ACCOUNT is missing - set it to the base64 encoded service account JSON (or add ${LOCAL_FIREBASE_KEY_FILE} locally)`
+        );
+        return null;
+    }
+
+    let serviceAccount;
+    try {
+        serviceAccount = JSON.parse(json);
+    } catch (err) {
+        problems.push("FIREBASE_SERVICE_ACCOUNT is not valid base64 encoded JSON");
+        return null;
+    }
+
+    const missing = REQUIRED_SERVICE_ACCOUNT_FIELDS.filter((field) => !serviceAccount[field]);
+    if (missing.length > 0) {
+        problems.push(`Firebase service account is missing: ${missing.join(", ")}`);
+        return null;
+    }
+
+    return serviceAccount;
+};
+
+export const loadConfig = (env = process.env) => {
+    const problems = [];
+
+    if (!env.MONGO_URI) {
+        problems.push("MONGO_URI is missing - set it to your MongoDB connection string");
+    } else if (!/^mongodb(\+srv)?:\/\//.test(env.MONGO_URI)) {
+        problems.push("MONGO_URI must start with mongodb:// or mongodb+srv://");
+    }
+
+    const port = env.PORT ? parseInt(env.PORT) : 5000;
+    if (!Number.isInteger(port) || port <= 0 || port > 65535) {
+        problems.push(`PORT must be a number between 1 and 65535 (got "${env.PORT}")`);
+    }
+
+    const firebaseServiceAccount = readServiceAccount(env, problems);
+
+    if (env.APP_TIMEZONE && !isValidTimezone(env.APP_TIMEZONE)) {
+        problems.push(`APP_TIMEZONE must be an IANA timezone like Asia/Dhaka (got "${env.APP_TIMEZONE}")`);
+    }
+
+    // Not fatal - only the payment webhook needs it, and parseWebhook refuses unsigned webhooks on its own
+    const warnings = [];
+    if (!env.PAYMENT_WEBHOOK_SECRET && isWebhookSecretRequired(env)) {
+        warnings.push("PAYMENT_WEBHOOK_SECRET is missing - payment webhooks are rejected until it is set");
+    }
+
+    if (problems.length > 0) {
+        throw new Error(`Invalid server configuration:\n  - ${problems.join("\n  - ")}`);
+    }
+
+    warnings.forEach((warning) => console.warn(`Server configuration warning: ${warning}`));
+
+    return {
+        warnings,
+        mongoUri: env.MONGO_URI,
+        dbName: env.MONGO_DB_NAME || "BloodBridge",
+        port,
+        firebaseServiceAccount,
+    };
+};
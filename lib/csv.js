@@ -0,0 +1,63 @@
+// CSV
+// Minimal RFC 4180 reading/writing for admin exports and imports: comma separated,
+// double-quoted fields with "" escapes, CRLF or LF line endings.
+
+// Cells starting with these are run as formulas by spreadsheet apps
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+export const formatCsvCell = (value) => {
+    if (value === undefined || value === null) return "";
+    let text = value instanceof Date ? value.toISOString() : String(value);
+    if (FORMULA_PREFIX.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const formatCsvRow = (values) => `${values.map(formatCsvCell).join(",")}\r\n`;
+
+// Returns an array of rows (arrays of strings); blank lines are skipped
+export const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let cell = "";
+    let inQuotes = false;
+
+    // Strip a UTF-8 BOM left by Excel
+    const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+    const endRow = () => {
+        row.push(cell);
+        if (row.length > 1 || row[0].trim() !== "") rows.push(row);
+        row = [];
+        cell = "";
+    };
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ",") {
+            row.push(cell);
+            cell = "";
+        } else if (char === "\n" || char === "\r") {
+            if (char === "\r" && input[i + 1] === "\n") i++;
+            endRow();
+        } else {
+            cell += char;
+        }
+    }
+
+    if (inQuotes) throw new Error("Unterminated quoted field");
+    if (cell !== "" || row.length > 0) endRow();
+
+    return rows;
+};
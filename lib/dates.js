@@ -0,0 +1,23 @@
+// CALENDAR DATES
+// donationDate, campaign days and stock expiry are YYYY-MM-DD strings meant in local time, so "today"
+// is taken in APP_TIMEZONE (default "Asia/Dhaka", UTC+6) - in UTC it would lag six hours behind Bangladesh.
+export const DEFAULT_APP_TIMEZONE = "Asia/Dhaka";
+
+export const getAppTimezone = () => process.env.APP_TIMEZONE || DEFAULT_APP_TIMEZONE;
+
+export const isValidTimezone = (timeZone) => {
+    try {
+        new Intl.DateTimeFormat("en", { timeZone });
+        return true;
+    } catch (err) {
+        return false;
+    }
+};
+
+// YYYY-MM-DD of `now` in the app timezone
+export const todayString = (now = new Date(), timeZone = getAppTimezone()) => {
+    const parts = new Intl.DateTimeFormat("en", { timeZone, year: "numeric", month: "2-digit", day: "2-digit" })
+        .formatToParts(now)
+        .reduce((acc, { type, value }) => ({ ...acc, [type]: value }), {});
+    return `${parts.year}-${parts.month}-${parts.day}`;
+};
@@ -0,0 +1,40 @@
+// MONGODB CONNECTION
+// One cached client per process - reused across serverless invocations and closed on shutdown
+import { MongoClient } from "mongodb";
+import { ensureIndexes } from "./indexes.js";
+
+let cachedClient = null;
+let connecting = null;
+
+export async function connectDB({ mongoUri, dbName }) {
+    // Requests arriving during a cold start share one connection attempt instead of opening a client each
+    if (!connecting) {
+        connecting = (async () => {
+            const client = new MongoClient(mongoUri);
+            await client.connect();
+            cachedClient = client;
+            console.log("MongoDB connected");
+
+            const db = client.db(dbName);
+            // Once per process; never fails the connection
+            await ensureIndexes(db);
+            return db;
+        })().catch((err) => {
+            // Forget the failed attempt so the next request retries
+            connecting = null;
+            throw err;
+        });
+    }
+
+    return connecting;
+}
+
+export async function closeDB() {
+    if (!cachedClient) return;
+
+    const client = cachedClient;
+    cachedClient = null;
+    connecting = null;
+    await client.close();
+    console.log("MongoDB connection closed");
+}
@@ -0,0 +1,84 @@
+// DONATION REQUEST STATE MACHINE
+// Single source of truth for which status changes are allowed.
+// Forward flow: pending -> inprogress -> done/canceled
+// Allowed reverts: inprogress -> pending (donor dropped out), done -> inprogress (marked done by mistake),
+// canceled -> pending (request reopened)
+// Pending requests whose donationDate passed become expired (lib/expiry.js); they can be reopened or canceled
+export const DONATION_STATUS_TRANSITIONS = {
+    pending: ["inprogress", "canceled", "expired"],
+    inprogress: ["done", "canceled", "pending"],
+    done: ["inprogress"],
+    canceled: ["pending"],
+    expired: ["pending", "canceled"],
+};
+
+// Actor recorded for changes made by scheduled jobs
+export const SYSTEM_ACTOR = { email: null, role: "system" };
+
+export const DONATION_STATUSES = Object.keys(DONATION_STATUS_TRANSITIONS);
+
+export const canTransition = (from, to) => {
+    const allowed = DONATION_STATUS_TRANSITIONS[from] || [];
+    return allowed.includes(to);
+};
+
+// Build a statusHistory entry
+export const createStatusHistoryEntry = (from, to, actor = {}) => {
+    return {
+        from,
+        to,
+        changedBy: actor.email || null,
+        role: actor.role || null,
+        changedAt: new Date(),
+    };
+};
+
+// Move a request to a new status with a conditional update, so two concurrent writers
+// can't both act on the same starting status.
+// Returns { request, from, releasedFulfilment } on success or { error, from } where error is
+// "not_found" | "invalid_transition" | "conflict".
+// releasedFulfilment is the bankFulfilment a revert or cancel took off the request - the caller
+// has to put its batches back with releaseStock (lib/blood-banks.js)
+export const transitionDonationRequest = async (collection, _id, to, options = {}) => {
+    const { actor, allowedFrom, set = {}, filter = {} } = options;
+
+    // Soft-deleted requests are treated as gone
+    const current = await collection.findOne({ _id, deletedAt: null });
+    if (!current) return { error: "not_found" };
+
+    const from = current.status;
+    if (!canTransition(from, to) || (allowedFrom && !allowedFrom.includes(from))) {
+        return { error: "invalid_transition", from };
+    }
+
+    const update = {
+        $set: { ...set, status: to },
+        $push: { statusHistory: createStatusHistoryEntry(from, to, actor) },
+    };
+
+    // Going back to pending frees the request for another donor (or blood bank)
+    if (to === "pending") {
+        update.$unset = { donorName: "", donorEmail: "", bankFulfilment: "" };
+    }
+
+    // A follow-up flag only makes sense while the request stays inprogress
+    if (from === "inprogress") {
+        update.$unset = { ...update.$unset, followUpRequired: "", followUpFlaggedAt: "" };
+    }
+
+    // Units a bank set aside aren't needed once the request is reopened or canceled
+    const releasedFulfilment = ["pending", "canceled"].includes(to) ? current.bankFulfilment || null : null;
+    if (releasedFulfilment) {
+        update.$unset = { ...update.$unset, bankFulfilment: "" };
+    }
+
+    const request = await collection.findOneAndUpdate(
+        { ...filter, _id, status: from, deletedAt: null },
+        update,
+        { returnDocument: "after" }
+    );
+
+    if (!request) return { error: "conflict", from };
+
+    return { request, from, releasedFulfilment };
+};
@@ -0,0 +1,106 @@
+// DONOR IMPORT
+// Bulk registration of donors from a blood drive CSV. Every row is validated like /register-user
+// and checked for duplicate emails (in the file and in the database). With dryRun nothing is written,
+// so admins can fix the file until every row is valid. Imported donors have no Firebase uid yet;
+// they claim their record when they sign up with the same email.
+import { parseCsv } from "./csv.js";
+import { validate } from "./validation.js";
+import { importDonorSchema } from "./schemas.js";
+import { avatarKeyFromUrl } from "./uploads.js";
+
+export const IMPORT_REQUIRED_COLUMNS = ["name", "email", "bloodGroup", "district", "upazila"];
+export const IMPORT_MAX_ROWS = 5000;
+
+// Returns { rows } or { error, params } (a message code) when the file itself is unusable
+const readRows = (csvText) => {
+    let rows;
+    try {
+        rows = parseCsv(csvText);
+    } catch (err) {
+        return { error: "CSV_PARSE_FAILED", params: { reason: err.message } };
+    }
+
+    if (rows.length < 2) return { error: "CSV_EMPTY" };
+    if (rows.length - 1 > IMPORT_MAX_ROWS) return { error: "CSV_TOO_MANY_ROWS", params: { max: IMPORT_MAX_ROWS } };
+
+    const header = rows[0].map((column) => column.trim());
+    const missing = IMPORT_REQUIRED_COLUMNS.filter((column) => !header.includes(column));
+    if (missing.length > 0) return { error: "CSV_MISSING_COLUMNS", params: { columns: missing.join(", ") } };
+    const unknown = header.filter((column) => !importDonorSchema[column]);
+    if (unknown.length > 0) return { error: "CSV_UNKNOWN_COLUMNS", params: { columns: unknown.join(", ") } };
+
+    return {
+        rows: rows.slice(1).map((cells, index) => ({
+            // Row number in the file, counting the header as row 1
+            row: index + 2,
+            body: Object.fromEntries(header.map((column, i) => [column, (cells[i] ?? "").trim()])),
+        })),
+    };
+};
+
+// Returns the per-row report, or { error, params } for file-level problems.
+// origin ("<protocol>://<host>") is this server's, avatars must have been uploaded to it
+export const importDonors = async (db, csvText, { dryRun = true, importedBy, origin }) => {
+    const { rows, error, params } = readRows(csvText);
+    if (error) return { error, params };
+    const usersCollection = db.collection("users");
+
+    const emails = rows.map(({ body }) => (body.email || "").toLowerCase()).filter(Boolean);
+    const existing = await usersCollection
+        .find({ email: { $in: emails } }, { projection: { email: 1 } })
+        .toArray();
+    const takenEmails = new Set(existing.map((user) => user.email.toLowerCase()));
+    const seenEmails = new Set();
+
+    const results = [];
+    const donors = [];
+    const now = new Date();
+
+    for (const { row, body } of rows) {
+        const { value, errors } = validate(importDonorSchema, body);
+        const email = value.email?.toLowerCase();
+
+        if (email && takenEmails.has(email)) {
+            errors.push({ field: "email", message: "email is already registered" });
+        } else if (email && seenEmails.has(email)) {
+            errors.push({ field: "email", message: "email appears more than once in the file" });
+        }
+        if (email) seenEmails.add(email);
+
+        const avatarKey = value.avatar ? avatarKeyFromUrl(value.avatar, origin) : null;
+        if (value.avatar && !avatarKey) {
+            errors.push({ field: "avatar", message: "avatar must be a URL returned by /dashboard/upload/avatar" });
+        }
+
+        if (errors.length > 0) {
+            results.push({ row, email: body.email || null, status: "error", errors });
+            continue;
+        }
+
+        donors.push({
+            ...value,
+            ...(avatarKey && { avatarKey }),
+            email,
+            role: "donor",
+            status: "active",
+            importedAt: now,
+            importedBy,
+            createdAt: now,
+        });
+        results.push({ row, email, status: dryRun ? "valid" : "imported" });
+    }
+
+    if (!dryRun && donors.length > 0) {
+        await usersCollection.insertMany(donors, { ordered: false });
+    }
+
+    const failed = results.filter((result) => result.status === "error").length;
+    return {
+        dryRun,
+        total: rows.length,
+        valid: rows.length - failed,
+        failed,
+        imported: dryRun ? 0 : donors.length,
+        rows: results,
+    };
+};
@@ -0,0 +1,53 @@
+// DONOR PRIVACY
+// Donors control their exposure through users.privacy:
+//   hideFromSearch      - left out of /search-donors and request matches
+//   hideContactDetails  - email/avatar only shared after the donor accepts a contact request
+//   availableFrom/To    - HH:MM window in which the donor prefers to be contacted
+// Public search always shows masked data; contact details travel through contactRequests.
+
+export const CONTACT_REQUEST_STATUSES = ["pending", "accepted", "declined"];
+
+export const DEFAULT_PRIVACY = {
+    hideFromSearch: false,
+    hideContactDetails: false,
+    availableFrom: null,
+    availableTo: null,
+};
+
+export const getPrivacy = (user) => ({ ...DEFAULT_PRIVACY, ...user?.privacy });
+
+// Mongo filter for donors who allow being found
+export const searchableDonorFilter = () => ({ "privacy.hideFromSearch": { $ne: true } });
+
+// "Rahim Uddin Khan" -> "Rahim K."
+export const maskName = (name = "") => {
+    const parts = name.trim().split(/\s+/).filter(Boolean);
+    if (parts.length <= 1) return parts[0] || "";
+    return `${parts[0]} ${parts[parts.length - 1][0].toUpperCase()}.`;
+};
+
+const getAvailability = (privacy) =>
+    privacy.availableFrom && privacy.availableTo ? { from: privacy.availableFrom, to: privacy.availableTo } : null;
+
+// Anonymous search result - never includes contact details
+export const toMaskedDonor = (donor) => {
+    const { privacy, name, email, avatar, ...rest } = donor;
+    return { ...rest, name: maskName(name), availability: getAvailability(getPrivacy(donor)) };
+};
+
+// Result for a signed-in requester - contact details unless the donor hid them (staff always see them)
+export const toRequesterDonorView = (donor, { revealContact = false } = {}) => {
+    const privacy = getPrivacy(donor);
+    if (revealContact || !privacy.hideContactDetails) {
+        const { privacy: _privacy, ...rest } = donor;
+        return { ...rest, availability: getAvailability(privacy), contactHidden: false };
+    }
+    return { ...toMaskedDonor(donor), contactHidden: true };
+};
+
+// A contact request as its sender sees it - the donor's contact only once they accepted
+export const toSentContactRequest = (contactRequest) => {
+    const { donorEmail, donorName, ...rest } = contactRequest;
+    if (contactRequest.status !== "accepted") return { ...rest, donorName: maskName(donorName) };
+    return { ...rest, donorName, donorContact: { name: donorName, email: donorEmail } };
+};
@@ -0,0 +1,58 @@
+// DONOR ELIGIBILITY
+// A donor has to wait MIN_DONATION_INTERVAL_DAYS (default 90) after a completed donation
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const getMinDonationIntervalDays = () => {
+    const days = parseInt(process.env.MIN_DONATION_INTERVAL_DAYS);
+    return Number.isFinite(days) && days >= 0 ? days : 90;
+};
+
+// Date from which the donor can donate again, or null if they never donated
+export const getNextEligibleDate = (lastDonationDate) => {
+    if (!lastDonationDate) return null;
+    return new Date(new Date(lastDonationDate).getTime() + getMinDonationIntervalDays() * DAY_MS);
+};
+
+export const isEligibleToDonate = (user, now = new Date()) => {
+    const nextEligibleDate = getNextEligibleDate(user?.lastDonationDate);
+    return !nextEligibleDate || nextEligibleDate <= now;
+};
+
+// Mongo filter matching donors who are eligible right now
+export const eligibleDonorFilter = (now = new Date()) => {
+    const cutoff = new Date(now.getTime() - getMinDonationIntervalDays() * DAY_MS);
+    return {
+        $or: [{ lastDonationDate: { $exists: false } }, { lastDonationDate: null }, { lastDonationDate: { $lte: cutoff } }],
+    };
+};
+
+// Recompute a donor's lastDonationDate and donationCount from their completed requests and
+// donation camp check-ins, so reverting a "done" request also corrects the donor record
+export const refreshDonorStats = async (db, donorEmail) => {
+    if (!donorEmail) return;
+
+    const [stats] = await db
+        .collection("donationRequests")
+        .aggregate([
+            { $match: { donorEmail, status: "done" } },
+            { $project: { donationDate: 1 } },
+            {
+                $unionWith: {
+                    coll: "campaignRegistrations",
+                    pipeline: [{ $match: { donorEmail, status: "checked_in" } }, { $project: { donationDate: 1 } }],
+                },
+            },
+            { $group: { _id: null, donationCount: { $sum: 1 }, lastDonationDate: { $max: "$donationDate" } } },
+        ])
+        .toArray();
+
+    await db.collection("users").updateOne(
+        { email: donorEmail },
+        {
+            $set: {
+                donationCount: stats ? stats.donationCount : 0,
+                lastDonationDate: stats?.lastDonationDate ? new Date(stats.lastDonationDate) : null,
+            },
+        }
+    );
+};
@@ -0,0 +1,48 @@
+// REQUEST EXPIRY JOB
+// Pending requests whose donationDate has passed are moved to "expired" and the requester is told.
+// Inprogress requests past their date are flagged (followUpRequired) so staff can check whether
+// the donation happened; requester and donor are asked to update the status.
+// Dates are compared as YYYY-MM-DD strings in APP_TIMEZONE, like the donationDate validation.
+import { todayString } from "./dates.js";
+import { SYSTEM_ACTOR, transitionDonationRequest } from "./donation-status.js";
+import { NOT_DELETED } from "./soft-delete.js";
+
+export const runExpiryJob = async (db, notifier, { now = new Date() } = {}) => {
+    const donationRequestsCollection = db.collection("donationRequests");
+    const today = todayString(now);
+
+    let expired = 0;
+    const stale = await donationRequestsCollection
+        .find({ status: "pending", donationDate: { $lt: today }, ...NOT_DELETED }, { projection: { _id: 1 } })
+        .toArray();
+
+    for (const { _id } of stale) {
+        // A donor may claim the request meanwhile - the conditional transition then just skips it
+        const result = await transitionDonationRequest(donationRequestsCollection, _id, "expired", {
+            actor: SYSTEM_ACTOR,
+        });
+        if (result.error) continue;
+
+        expired++;
+        await notifier.notify(db, "request.expired", { request: result.request });
+    }
+
+    let flaggedForFollowUp = 0;
+    const overdue = await donationRequestsCollection
+        .find({ status: "inprogress", donationDate: { $lt: today }, followUpRequired: { $ne: true }, ...NOT_DELETED })
+        .toArray();
+
+    for (const request of overdue) {
+        const flagged = await donationRequestsCollection.findOneAndUpdate(
+            { _id: request._id, status: "inprogress", followUpRequired: { $ne: true }, ...NOT_DELETED },
+            { $set: { followUpRequired: true, followUpFlaggedAt: now } },
+            { returnDocument: "after" }
+        );
+        if (!flagged) continue;
+
+        flaggedForFollowUp++;
+        await notifier.notify(db, "request.follow_up", { request: flagged });
+    }
+
+    return { expired, flaggedForFollowUp };
+};
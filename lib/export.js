@@ -0,0 +1,88 @@
+// BULK EXPORT
+// Streams a MongoDB cursor to the response as CSV or JSON, one document at a time,
+// so exporting every user or request never loads the whole collection into memory.
+import { formatCsvRow } from "./csv.js";
+
+export const EXPORT_FORMATS = ["csv", "json"];
+
+export const USER_EXPORT_COLUMNS = [
+    "_id",
+    "name",
+    "email",
+    "bloodGroup",
+    "district",
+    "upazila",
+    "role",
+    "status",
+    "donationCount",
+    "lastDonationDate",
+    "createdAt",
+];
+
+export const DONATION_REQUEST_EXPORT_COLUMNS = [
+    "_id",
+    "requesterName",
+    "requesterEmail",
+    "recipientName",
+    "recipientDistrict",
+    "recipientUpazila",
+    "hospitalName",
+    "address",
+    "bloodGroup",
+    "donationDate",
+    "donationTime",
+    "urgency",
+    "status",
+    "donorName",
+    "donorEmail",
+    "createdAt",
+];
+
+// Respect backpressure - wait for the socket to drain when its buffer is full
+const write = (res, chunk) =>
+    new Promise((resolve, reject) => {
+        if (res.write(chunk)) return resolve();
+        const onDrain = () => {
+            res.off("close", onClose);
+            resolve();
+        };
+        const onClose = () => {
+            res.off("drain", onDrain);
+            reject(new Error("Client closed the connection"));
+        };
+        res.once("drain", onDrain);
+        res.once("close", onClose);
+    });
+
+// Only `columns` are exported, in that order (JSON too, so both formats carry the same data)
+export const streamExport = async (res, cursor, { format, columns, filename }) => {
+    const pick = (doc) => Object.fromEntries(columns.map((column) => [column, doc[column] ?? null]));
+
+    res.status(200);
+    res.set("Content-Disposition", `attachment; filename="${filename}.${format}"`);
+    res.type(format === "csv" ? "text/csv; charset=utf-8" : "application/json; charset=utf-8");
+
+    try {
+        let count = 0;
+
+        if (format === "csv") {
+            await write(res, formatCsvRow(columns));
+            for await (const doc of cursor) {
+                await write(res, formatCsvRow(columns.map((column) => doc[column])));
+                count++;
+            }
+        } else {
+            await write(res, "[");
+            for await (const doc of cursor) {
+                await write(res, `${count > 0 ? "," : ""}\n${JSON.stringify(pick(doc))}`);
+                count++;
+            }
+            await write(res, "\n]\n");
+        }
+
+        res.end();
+        return count;
+    } finally {
+        await cursor.close();
+    }
+};
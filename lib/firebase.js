@@ -0,0 +1,12 @@
+// FIREBASE SETUP
+import admin from "firebase-admin";
+
+// Initializes firebase-admin once and returns its Auth instance
+export const getFirebaseAuth = (serviceAccount) => {
+    if (!admin.apps.length) {
+        admin.initializeApp({
+            credential: admin.credential.cert(serviceAccount),
+        });
+    }
+    return admin.auth();
+};
@@ -0,0 +1,336 @@
+// I18N
+// Every API message has a stable code (clients should branch on it, never on the text) and a
+// translation per supported locale. Routes answer with req.t(code, params), which gives
+// { code, message } in the request's locale:
+//   1. the signed-in user's saved preference (users.locale, set through PUT /dashboard/profile and
+//      carried in the ID token's locale claim, see lib/role-claims.js)
+//   2. the best supported language in the Accept-Language header
+//   3. English
+// {placeholders} in a message are filled from params. Field-level validation errors (errors[])
+// and status values stay in English, they are machine-readable.
+export const SUPPORTED_LOCALES = ["en", "bn"];
+export const DEFAULT_LOCALE = "en";
+
+// code -> { en, bn }
+export const MESSAGES = {
+    // General
+    SERVER_ERROR: { en: "Server error", bn: "সার্ভারে সমস্যা হয়েছে" },
+    DATABASE_CONNECTION_FAILED: { en: "Database connection failed", bn: "ডেটাবেসের সাথে সংযোগ করা যায়নি" },
+    VALIDATION_FAILED: { en: "Validation failed", bn: "দেওয়া তথ্য সঠিক নয়" },
+    TOO_MANY_REQUESTS: {
+        en: "Too many requests, please try again later",
+        bn: "অনেক বেশি অনুরোধ করা হয়েছে, কিছুক্ষণ পরে আবার চেষ্টা করুন",
+    },
+    NOT_ALLOWED: { en: "Not allowed", bn: "আপনার এই কাজের অনুমতি নেই" },
+    INVALID_STATUS: { en: "Invalid status", bn: "স্ট্যাটাসটি সঠিক নয়" },
+    INVALID_SORT_FIELD: { en: "Invalid sort field", bn: "সাজানোর ফিল্ডটি সঠিক নয়" },
+    INVALID_DATE_FORMAT: {
+        en: "Dates must be in YYYY-MM-DD format",
+        bn: "তারিখ অবশ্যই YYYY-MM-DD ফরম্যাটে হতে হবে",
+    },
+    INVALID_DATE_RANGE: { en: "Invalid date range", bn: "তারিখের সীমা সঠিক নয়" },
+    INVALID_BLOOD_GROUP: { en: "Invalid bloodGroup", bn: "রক্তের গ্রুপটি সঠিক নয়" },
+
+    // Authentication
+    UNAUTHORIZED: { en: "Unauthorized", bn: "অনুমোদন নেই" },
+    MISSING_TOKEN: { en: "Unauthorized: Missing token", bn: "অনুমোদন নেই: টোকেন পাওয়া যায়নি" },
+    INVALID_TOKEN: { en: "Unauthorized: Invalid token", bn: "অনুমোদন নেই: টোকেনটি সঠিক নয়" },
+    TOKEN_REVOKED: {
+        en: "Unauthorized: Session revoked, please sign in again",
+        bn: "অনুমোদন নেই: সেশনটি বাতিল হয়েছে, আবার সাইন ইন করুন",
+    },
+    ACCESS_DENIED: { en: "Forbidden: Access denied", bn: "নিষিদ্ধ: প্রবেশের অনুমতি নেই" },
+
+    // Users
+    USER_NOT_FOUND: { en: "User not found", bn: "ব্যবহারকারী পাওয়া যায়নি" },
+    EMAIL_ALREADY_EXISTS: { en: "Email already exists", bn: "এই ইমেইল দিয়ে আগেই অ্যাকাউন্ট খোলা হয়েছে" },
+    EMAIL_MISMATCH: {
+        en: "Email does not match the signed-in account",
+        bn: "ইমেইলটি সাইন-ইন করা অ্যাকাউন্টের সাথে মিলছে না",
+    },
+    USER_REGISTERED: { en: "User registered successfully", bn: "নিবন্ধন সফল হয়েছে" },
+    PROFILE_UPDATED: { en: "Profile updated successfully", bn: "প্রোফাইল হালনাগাদ করা হয়েছে" },
+    USER_UPDATED: { en: "User updated successfully", bn: "ব্যবহারকারীর তথ্য হালনাগাদ করা হয়েছে" },
+    USER_DELETED: { en: "User deleted", bn: "ব্যবহারকারীকে মুছে ফেলা হয়েছে" },
+    USER_RESTORED: { en: "User restored", bn: "ব্যবহারকারীকে ফিরিয়ে আনা হয়েছে" },
+    DELETED_USER_NOT_FOUND: { en: "Deleted user not found", bn: "মুছে ফেলা ব্যবহারকারী পাওয়া যায়নি" },
+    CANNOT_DELETE_SELF: { en: "You cannot delete your own account", bn: "আপনি নিজের অ্যাকাউন্ট মুছতে পারবেন না" },
+    DONOR_NOT_FOUND: { en: "Donor not found", bn: "রক্তদাতা পাওয়া যায়নি" },
+
+    // Uploads
+    IMAGE_FILE_REQUIRED: { en: 'Image file is required (field "file")', bn: 'ছবির ফাইল দিতে হবে ("file" ফিল্ডে)' },
+    DOCUMENT_FILE_REQUIRED: {
+        en: 'Document file is required (field "file")',
+        bn: 'ডকুমেন্ট ফাইল দিতে হবে ("file" ফিল্ডে)',
+    },
+    CSV_FILE_REQUIRED: { en: 'CSV file is required (field "file")', bn: 'CSV ফাইল দিতে হবে ("file" ফিল্ডে)' },
+    FILE_TOO_LARGE: { en: "File is too large (max {max} MB)", bn: "ফাইলটি অনেক বড় (সর্বোচ্চ {max} MB)" },
+    AVATAR_TYPE_NOT_ALLOWED: {
+        en: "Avatar must be a JPEG, PNG or WebP image",
+        bn: "প্রোফাইল ছবি অবশ্যই JPEG, PNG বা WebP হতে হবে",
+    },
+    DOCUMENT_TYPE_NOT_ALLOWED: {
+        en: "Document must be a PDF, JPEG or PNG file",
+        bn: "ডকুমেন্ট অবশ্যই PDF, JPEG বা PNG ফাইল হতে হবে",
+    },
+    CSV_TYPE_NOT_ALLOWED: { en: "File must be a CSV", bn: "ফাইলটি অবশ্যই CSV হতে হবে" },
+    UPLOAD_FAILED: { en: "Upload failed: {reason}", bn: "আপলোড ব্যর্থ হয়েছে: {reason}" },
+    INVALID_IMAGE: { en: "File is not a valid image", bn: "ফাইলটি সঠিক ছবি নয়" },
+    INVALID_PDF: { en: "File is not a valid PDF", bn: "ফাইলটি সঠিক PDF নয়" },
+    FILE_NOT_FOUND: { en: "File not found", bn: "ফাইলটি পাওয়া যায়নি" },
+    AVATAR_UPLOADED: { en: "Avatar uploaded", bn: "প্রোফাইল ছবি আপলোড হয়েছে" },
+    DOCUMENT_NOT_FOUND: { en: "Document not found", bn: "ডকুমেন্টটি পাওয়া যায়নি" },
+    DOCUMENT_LIMIT_REACHED: {
+        en: "A request can have at most {max} documents",
+        bn: "একটি অনুরোধে সর্বোচ্চ {max}টি ডকুমেন্ট রাখা যায়",
+    },
+    DOCUMENT_UPLOADED: { en: "Document uploaded", bn: "ডকুমেন্ট আপলোড হয়েছে" },
+    DOCUMENT_DELETED: { en: "Document deleted", bn: "ডকুমেন্ট মুছে ফেলা হয়েছে" },
+
+    // Donation requests
+    DONATION_REQUEST_NOT_FOUND: { en: "Donation request not found", bn: "রক্তদানের অনুরোধটি পাওয়া যায়নি" },
+    REQUEST_NOT_FOUND: { en: "Request not found", bn: "অনুরোধটি পাওয়া যায়নি" },
+    DELETED_DONATION_REQUEST_NOT_FOUND: {
+        en: "Deleted donation request not found",
+        bn: "মুছে ফেলা রক্তদানের অনুরোধটি পাওয়া যায়নি",
+    },
+    BLOCKED_CANNOT_CREATE_REQUEST: {
+        en: "Blocked user cannot create donation request",
+        bn: "ব্লক করা ব্যবহারকারী রক্তদানের অনুরোধ করতে পারবেন না",
+    },
+    OPEN_REQUEST_LIMIT: {
+        en: "You already have {count} pending requests, the limit is {max}",
+        bn: "আপনার ইতিমধ্যে {count}টি অপেক্ষমাণ অনুরোধ আছে, সর্বোচ্চ {max}টি রাখা যায়",
+    },
+    DONATION_REQUEST_CREATED: { en: "Donation request created", bn: "রক্তদানের অনুরোধ তৈরি হয়েছে" },
+    DONATION_REQUEST_UPDATED: { en: "Donation request updated", bn: "রক্তদানের অনুরোধ হালনাগাদ করা হয়েছে" },
+    DONATION_REQUEST_DELETED: { en: "Donation request deleted", bn: "রক্তদানের অনুরোধ মুছে ফেলা হয়েছে" },
+    DONATION_REQUEST_RESTORED: { en: "Donation request restored", bn: "রক্তদানের অনুরোধ ফিরিয়ে আনা হয়েছে" },
+    DONATION_REQUEST_CONFLICT: {
+        en: "Donation request was updated by someone else, please retry",
+        bn: "অন্য কেউ অনুরোধটি হালনাগাদ করেছেন, আবার চেষ্টা করুন",
+    },
+    STATUS_CHANGE_NOT_ALLOWED: {
+        en: "Cannot change status from {from} to {to}",
+        bn: "স্ট্যাটাস {from} থেকে {to} করা যায় না",
+    },
+    ONLY_INPROGRESS_CAN_BE_UPDATED: {
+        en: "Only inprogress requests can be updated",
+        bn: "শুধু inprogress অবস্থার অনুরোধ হালনাগাদ করা যায়",
+    },
+    DONATION_STATUS_UPDATED: { en: "Donation status updated", bn: "রক্তদানের স্ট্যাটাস হালনাগাদ করা হয়েছে" },
+    MARKED_AS_STATUS: { en: "Marked as {status}", bn: "{status} হিসেবে চিহ্নিত করা হয়েছে" },
+    NOT_ELIGIBLE_UNTIL: { en: "You can donate again from {date}", bn: "আপনি {date} থেকে আবার রক্ত দিতে পারবেন" },
+    REQUEST_ALREADY_CLAIMED: {
+        en: "Request was just claimed by another donor",
+        bn: "অন্য একজন রক্তদাতা এইমাত্র অনুরোধটি গ্রহণ করেছেন",
+    },
+    DONATION_CONFIRMED: { en: "Donation confirmed", bn: "রক্তদান নিশ্চিত করা হয়েছে" },
+
+    // Notifications
+    NOTIFICATION_NOT_FOUND: { en: "Notification not found", bn: "নোটিফিকেশনটি পাওয়া যায়নি" },
+    NOTIFICATION_READ: { en: "Notification marked as read", bn: "নোটিফিকেশনটি পড়া হয়েছে বলে চিহ্নিত করা হয়েছে" },
+    NOTIFICATIONS_READ: { en: "Notifications marked as read", bn: "নোটিফিকেশনগুলো পড়া হয়েছে বলে চিহ্নিত করা হয়েছে" },
+
+    // Contact requests
+    BLOCKED_CANNOT_SEND_CONTACT_REQUEST: {
+        en: "Blocked user cannot send contact requests",
+        bn: "ব্লক করা ব্যবহারকারী যোগাযোগের অনুরোধ পাঠাতে পারবেন না",
+    },
+    CANNOT_CONTACT_SELF: {
+        en: "You cannot send a contact request to yourself",
+        bn: "আপনি নিজেকে যোগাযোগের অনুরোধ পাঠাতে পারবেন না",
+    },
+    CONTACT_REQUEST_PENDING: {
+        en: "You already have a pending contact request for this donor",
+        bn: "এই রক্তদাতার কাছে আপনার একটি যোগাযোগের অনুরোধ অপেক্ষমাণ আছে",
+    },
+    CONTACT_ALREADY_SHARED: {
+        en: "This donor already shared their contact details with you",
+        bn: "এই রক্তদাতা ইতিমধ্যে আপনার সাথে যোগাযোগের তথ্য শেয়ার করেছেন",
+    },
+    CONTACT_REQUEST_SENT: { en: "Contact request sent", bn: "যোগাযোগের অনুরোধ পাঠানো হয়েছে" },
+    CONTACT_REQUEST_NOT_FOUND: { en: "Contact request not found", bn: "যোগাযোগের অনুরোধটি পাওয়া যায়নি" },
+    INVALID_CONTACT_REQUEST_BOX: { en: "box must be received or sent", bn: "box অবশ্যই received অথবা sent হতে হবে" },
+    CONTACT_REQUEST_ALREADY_ANSWERED: {
+        en: "Contact request was already {status}",
+        bn: "যোগাযোগের অনুরোধটির উত্তর আগেই দেওয়া হয়েছে ({status})",
+    },
+    CONTACT_REQUEST_ANSWERED: { en: "Contact request {status}", bn: "যোগাযোগের অনুরোধের উত্তর দেওয়া হয়েছে ({status})" },
+
+    // Feedback
+    FEEDBACK_REQUEST_NOT_CLOSED: {
+        en: "Feedback can only be left on done or canceled requests",
+        bn: "শুধু done বা canceled অনুরোধে মতামত দেওয়া যায়",
+    },
+    FEEDBACK_NO_DONOR: {
+        en: "This request has no donor to leave feedback on",
+        bn: "এই অনুরোধে মতামত দেওয়ার মতো কোনো রক্তদাতা নেই",
+    },
+    FEEDBACK_ALREADY_LEFT: {
+        en: "Feedback was already left for this request",
+        bn: "এই অনুরোধে আগেই মতামত দেওয়া হয়েছে",
+    },
+    FEEDBACK_SAVED: { en: "Feedback saved", bn: "মতামত সংরক্ষণ করা হয়েছে" },
+    FEEDBACK_NOT_FOUND: { en: "Feedback not found", bn: "মতামতটি পাওয়া যায়নি" },
+    FEEDBACK_MODERATED: { en: "Feedback {status}", bn: "মতামতের স্ট্যাটাস এখন {status}" },
+
+    // Admin
+    INVALID_TARGET_ID: { en: "Invalid targetId", bn: "targetId সঠিক নয়" },
+    INVALID_ANALYTICS_INTERVAL: {
+        en: "interval must be one of: {intervals}",
+        bn: "interval অবশ্যই এগুলোর একটি হতে হবে: {intervals}",
+    },
+    INVALID_EXPORT_FORMAT: { en: "format must be csv or json", bn: "format অবশ্যই csv অথবা json হতে হবে" },
+    CSV_PARSE_FAILED: { en: "CSV could not be parsed: {reason}", bn: "CSV ফাইলটি পড়া যায়নি: {reason}" },
+    CSV_EMPTY: {
+        en: "CSV must have a header row and at least one donor",
+        bn: "CSV ফাইলে একটি হেডার সারি ও অন্তত একজন রক্তদাতা থাকতে হবে",
+    },
+    CSV_TOO_MANY_ROWS: { en: "CSV can have at most {max} donors", bn: "CSV ফাইলে সর্বোচ্চ {max} জন রক্তদাতা থাকতে পারে" },
+    CSV_MISSING_COLUMNS: { en: "CSV is missing columns: {columns}", bn: "CSV ফাইলে এই কলামগুলো নেই: {columns}" },
+    CSV_UNKNOWN_COLUMNS: { en: "CSV has unknown columns: {columns}", bn: "CSV ফাইলে অজানা কলাম আছে: {columns}" },
+    JOB_NOT_FOUND: { en: "Job not found", bn: "জবটি পাওয়া যায়নি" },
+
+    // Campaigns
+    CAMPAIGN_NOT_FOUND: { en: "Campaign not found", bn: "ক্যাম্পেইনটি পাওয়া যায়নি" },
+    UPCOMING_CAMPAIGN_NOT_FOUND: { en: "Upcoming campaign not found", bn: "আসন্ন ক্যাম্পেইনটি পাওয়া যায়নি" },
+    SCHEDULED_CAMPAIGN_NOT_FOUND: { en: "Scheduled campaign not found", bn: "নির্ধারিত ক্যাম্পেইনটি পাওয়া যায়নি" },
+    CAMPAIGN_CREATED: { en: "Campaign created", bn: "ক্যাম্পেইন তৈরি হয়েছে" },
+    CAMPAIGN_UPDATED: { en: "Campaign updated", bn: "ক্যাম্পেইন হালনাগাদ করা হয়েছে" },
+    CAMPAIGN_CANCELED: { en: "Campaign canceled", bn: "ক্যাম্পেইন বাতিল করা হয়েছে" },
+    CANCELED_CAMPAIGN_NOT_EDITABLE: {
+        en: "Canceled campaigns can't be edited",
+        bn: "বাতিল করা ক্যাম্পেইন সম্পাদনা করা যায় না",
+    },
+    CAMPAIGN_END_BEFORE_START: {
+        en: "endDate cannot be before startDate",
+        bn: "endDate কখনো startDate-এর আগে হতে পারে না",
+    },
+    CAMPAIGN_CAPACITY_TOO_LOW: {
+        en: "capacity can't be lower than the number of registered donors",
+        bn: "capacity নিবন্ধিত রক্তদাতার সংখ্যার চেয়ে কম হতে পারে না",
+    },
+    CAMPAIGN_FULL: { en: "Campaign is full", bn: "ক্যাম্পেইনে আর কোনো আসন খালি নেই" },
+    ALREADY_REGISTERED_FOR_CAMPAIGN: {
+        en: "You are already registered for this campaign",
+        bn: "আপনি এই ক্যাম্পেইনে আগেই নিবন্ধন করেছেন",
+    },
+    BLOCKED_CANNOT_REGISTER: {
+        en: "Blocked users cannot register",
+        bn: "ব্লক করা ব্যবহারকারী নিবন্ধন করতে পারবেন না",
+    },
+    NOT_ELIGIBLE_DURING_CAMPAIGN: {
+        en: "You will not be eligible to donate during this campaign",
+        bn: "এই ক্যাম্পেইন চলাকালীন আপনি রক্তদানের যোগ্য হবেন না",
+    },
+    REGISTERED_FOR_CAMPAIGN: { en: "Registered for the campaign", bn: "ক্যাম্পেইনে নিবন্ধন সম্পন্ন হয়েছে" },
+    NO_ACTIVE_REGISTRATION: {
+        en: "No active registration for this campaign",
+        bn: "এই ক্যাম্পেইনে আপনার কোনো সক্রিয় নিবন্ধন নেই",
+    },
+    REGISTRATION_CANCELED: { en: "Registration canceled", bn: "নিবন্ধন বাতিল করা হয়েছে" },
+    REGISTRATION_NOT_FOUND: { en: "Registration not found", bn: "নিবন্ধনটি পাওয়া যায়নি" },
+    REGISTRATION_NOT_ACTIVE: { en: "Registration is {status}", bn: "নিবন্ধনটির বর্তমান স্ট্যাটাস {status}" },
+    REGISTRATION_CONFLICT: {
+        en: "Registration was updated by someone else, please retry",
+        bn: "অন্য কেউ নিবন্ধনটি হালনাগাদ করেছেন, আবার চেষ্টা করুন",
+    },
+    CAMPAIGN_NOT_RUNNING: {
+        en: "Donors can only be checked in while the campaign is running",
+        bn: "ক্যাম্পেইন চলাকালীনই শুধু রক্তদাতাদের চেক-ইন করা যায়",
+    },
+    DONOR_NOT_ELIGIBLE: { en: "Donor is not eligible to donate yet", bn: "রক্তদাতা এখনো রক্তদানের যোগ্য নন" },
+    DONOR_CHECKED_IN: { en: "Donor checked in", bn: "রক্তদাতার চেক-ইন সম্পন্ন হয়েছে" },
+
+    // Blood banks
+    BLOOD_BANK_NOT_FOUND: { en: "Blood bank not found", bn: "ব্লাড ব্যাংকটি পাওয়া যায়নি" },
+    MANAGERS_MUST_BE_HOSPITAL_USERS: {
+        en: "Every manager must be a hospital user",
+        bn: "প্রত্যেক ব্যবস্থাপককে অবশ্যই হাসপাতাল ব্যবহারকারী হতে হবে",
+    },
+    NOT_HOSPITAL_USERS: { en: "Not hospital users: {emails}", bn: "এরা হাসপাতাল ব্যবহারকারী নন: {emails}" },
+    ONLY_ADMINS_CHANGE_MANAGERS: {
+        en: "Only admins can change managers",
+        bn: "শুধু অ্যাডমিনরা ব্যবস্থাপক পরিবর্তন করতে পারেন",
+    },
+    BLOOD_BANK_CREATED: { en: "Blood bank created", bn: "ব্লাড ব্যাংক তৈরি হয়েছে" },
+    BLOOD_BANK_UPDATED: { en: "Blood bank updated", bn: "ব্লাড ব্যাংকের তথ্য হালনাগাদ করা হয়েছে" },
+    STOCK_ADDED: { en: "Stock added", bn: "মজুদ যোগ করা হয়েছে" },
+    STOCK_UPDATED: { en: "Stock updated", bn: "মজুদ হালনাগাদ করা হয়েছে" },
+    STOCK_BATCH_NOT_FOUND: { en: "Stock batch not found", bn: "মজুদের ব্যাচটি পাওয়া যায়নি" },
+    REQUEST_NOT_PENDING: { en: "Request is not pending", bn: "অনুরোধটি অপেক্ষমাণ অবস্থায় নেই" },
+    ONLY_PENDING_CAN_BE_FULFILLED: {
+        en: "Only pending requests can be fulfilled from a blood bank",
+        bn: "শুধু অপেক্ষমাণ অনুরোধ ব্লাড ব্যাংক থেকে পূরণ করা যায়",
+    },
+    BLOOD_GROUP_NOT_COMPATIBLE: {
+        en: "{bloodGroup} is not compatible with {recipientBloodGroup}",
+        bn: "{bloodGroup} রক্ত {recipientBloodGroup} গ্রুপের সাথে মেলে না",
+    },
+    INSUFFICIENT_STOCK: {
+        en: "Not enough {bloodGroup} stock ({available} unit(s) available)",
+        bn: "{bloodGroup} রক্তের যথেষ্ট মজুদ নেই ({available} ইউনিট আছে)",
+    },
+    FULFILLED_FROM_BANK: {
+        en: "Request fulfilled from blood bank stock",
+        bn: "ব্লাড ব্যাংকের মজুদ থেকে অনুরোধটি পূরণ করা হয়েছে",
+    },
+
+    // Funds
+    BLOCKED_CANNOT_CONTRIBUTE: {
+        en: "Blocked user cannot contribute funds",
+        bn: "ব্লক করা ব্যবহারকারী অনুদান দিতে পারবেন না",
+    },
+    INVALID_AMOUNT: { en: "Amount must be a positive number", bn: "পরিমাণ অবশ্যই ধনাত্মক সংখ্যা হতে হবে" },
+    INVALID_CURRENCY: { en: "Currency must be one of: {currencies}", bn: "মুদ্রা অবশ্যই এগুলোর একটি হতে হবে: {currencies}" },
+    AMOUNT_TOO_LARGE: {
+        en: "A single contribution can be at most {max} {currency}",
+        bn: "একবারে সর্বোচ্চ {max} {currency} অনুদান দেওয়া যায়",
+    },
+    CONTRIBUTION_RECORDED: { en: "Contribution recorded", bn: "অনুদান গ্রহণ করা হয়েছে" },
+    INVALID_WEBHOOK: { en: "Invalid webhook", bn: "ওয়েবহুকটি সঠিক নয়" },
+    PENDING_PAYMENT_NOT_FOUND: { en: "Pending payment not found", bn: "অপেক্ষমাণ পেমেন্টটি পাওয়া যায়নি" },
+    PAYMENT_SETTLED: { en: "Payment {status}", bn: "পেমেন্টের স্ট্যাটাস: {status}" },
+};
+
+export const isSupportedLocale = (locale) => SUPPORTED_LOCALES.includes(locale);
+
+// "bn-BD,bn;q=0.9,en;q=0.8" -> "bn"; null when no supported language is listed
+export const parseAcceptLanguage = (header) => {
+    if (!header) return null;
+
+    const languages = header
+        .split(",")
+        .map((part) => {
+            const [tag, ...options] = part.trim().split(";");
+            const quality = options.find((option) => option.trim().startsWith("q="));
+            return { language: tag.trim().split("-")[0].toLowerCase(), q: quality ? parseFloat(quality.trim().slice(2)) : 1 };
+        })
+        .filter(({ q }) => Number.isFinite(q) && q > 0)
+        .sort((a, b) => b.q - a.q);
+
+    return languages.find(({ language }) => isSupportedLocale(language))?.language || null;
+};
+
+// Unknown codes fall back to the code itself so a missing entry is visible instead of crashing the route
+export const translate = (locale, code, params = {}) => {
+    const entry = MESSAGES[code];
+    if (!entry) return code;
+    const template = entry[locale] || entry[DEFAULT_LOCALE];
+    return template.replace(/\{(\w+)\}/g, (placeholder, name) => (name in params ? String(params[name]) : placeholder));
+};
+
+export const setLocale = (req, res, locale) => {
+    req.locale = locale;
+    res.set("Content-Language", locale);
+};
+
+// Picks the locale from Accept-Language and adds req.t(code, params) -> { code, message }.
+// verifyFirebaseToken switches to the locale claim of the token once it knows who is asking.
+export const localize = (req, res, next) => {
+    res.vary("Accept-Language");
+    setLocale(req, res, parseAcceptLanguage(req.headers["accept-language"]) || DEFAULT_LOCALE);
+    req.t = (code, params) => ({ code, message: translate(req.locale, code, params) });
+    next();
+};
@@ -0,0 +1,76 @@
+// INDEXES
+// Every index the routes rely on, created once per process when the database connects.
+// createIndex is a no-op when an index already exists, so this is safe on every cold start.
+
+export const DONATION_REQUEST_TEXT_INDEX = "donationRequests_text";
+
+// collection -> [[keys, options]]
+export const INDEXES = {
+    users: [
+        [{ email: 1 }, { unique: true }],
+        // /search-donors, request matches and urgent broadcasts
+        [{ role: 1, status: 1, bloodGroup: 1, district: 1, upazila: 1 }],
+        // Trash listing and the purge job
+        [{ deletedAt: 1 }],
+    ],
+    donationRequests: [
+        // Text search for /dashboard/search-donation-requests; recipient name matters most
+        [
+            { recipientName: "text", hospitalName: "text", address: "text", message: "text" },
+            {
+                name: DONATION_REQUEST_TEXT_INDEX,
+                weights: { recipientName: 5, hospitalName: 3, address: 1, message: 1 },
+                default_language: "none",
+            },
+        ],
+        [{ status: 1, createdAt: -1 }],
+        [{ status: 1, bloodGroup: 1, recipientDistrict: 1, recipientUpazila: 1, donationDate: 1 }],
+        [{ requesterEmail: 1, createdAt: -1 }],
+        [{ donorEmail: 1, status: 1 }],
+        [{ deletedAt: 1 }],
+        // Polling fallback of the live update stream
+        [{ "statusHistory.changedAt": 1 }],
+    ],
+    notifications: [[{ userEmail: 1, read: 1, createdAt: -1 }]],
+    auditLogs: [[{ createdAt: -1 }], [{ actorEmail: 1, createdAt: -1 }], [{ targetType: 1, targetId: 1 }]],
+    urgentAlerts: [[{ donorEmail: 1, createdAt: -1 }], [{ requestId: 1 }], [{ status: 1, createdAt: 1 }]],
+    contactRequests: [[{ donorEmail: 1, status: 1, createdAt: -1 }], [{ requesterEmail: 1, status: 1, createdAt: -1 }]],
+    // Public availability search and "my banks" for hospital users
+    bloodBanks: [[{ district: 1, upazila: 1, name: 1 }], [{ managerEmails: 1 }]],
+    // Stock lookups take the soonest-expiring batch of a group first
+    bloodStock: [[{ bankId: 1, bloodGroup: 1, expiresOn: 1 }]],
+    // Public upcoming listing and the one-registration-per-donor rule
+    campaigns: [[{ status: 1, endDate: 1, startDate: 1 }], [{ district: 1, upazila: 1, startDate: 1 }]],
+    campaignRegistrations: [
+        [{ campaignId: 1, donorEmail: 1 }, { unique: true }],
+        [{ donorEmail: 1, status: 1, registeredAt: -1 }],
+    ],
+    // One feedback per request, the donor's reliability recount and the moderation queue
+    donorFeedback: [
+        [{ requestId: 1 }, { unique: true }],
+        [{ donorEmail: 1, status: 1 }],
+        [{ status: 1, createdAt: -1 }],
+    ],
+    funds: [[{ status: 1, createdAt: -1 }], [{ paymentId: 1 }]],
+};
+
+// Failures are logged, not thrown - e.g. a unique index can't be built while duplicates exist,
+// and the API should still come up
+export const ensureIndexes = async (db) => {
+    const results = await Promise.allSettled(
+        Object.entries(INDEXES).flatMap(([collection, indexes]) =>
+            indexes.map(([keys, options = {}]) =>
+                db
+                    .collection(collection)
+                    .createIndex(keys, options)
+                    .catch((err) => {
+                        throw new Error(`${collection} ${JSON.stringify(keys)}: ${err.message}`);
+                    })
+            )
+        )
+    );
+
+    const failed = results.filter((result) => result.status === "rejected");
+    failed.forEach((result) => console.error("Index creation failed:", result.reason.message));
+    return { created: results.length - failed.length, failed: failed.length };
+};
@@ -0,0 +1,42 @@
+// SCHEDULED JOBS
+// name -> job(db, notifier, options), options.storage is the file storage adapter. On Vercel a cron hits GET /cron/:job (see vercel.json);
+// server.js runs every job on an interval instead.
+import { Buffer } from "buffer";
+import { timingSafeEqual } from "crypto";
+import { runExpiryJob } from "./expiry.js";
+import { purgeDeletedRecords } from "./soft-delete.js";
+import { deliverUrgentAlerts } from "./urgent-broadcast.js";
+
+export const JOBS = {
+    "expire-requests": runExpiryJob,
+    "purge-deleted": purgeDeletedRecords,
+    "deliver-alerts": deliverUrgentAlerts,
+};
+
+// Minutes between runs in local mode (JOB_INTERVAL_MINUTES, default 60)
+export const getJobIntervalMinutes = () => {
+    const minutes = parseInt(process.env.JOB_INTERVAL_MINUTES);
+    return Number.isFinite(minutes) && minutes > 0 ? minutes : 60;
+};
+
+// Vercel cron sends "Authorization: Bearer <CRON_SECRET>"; without CRON_SECRET the endpoints stay closed
+export const isValidCronRequest = (req, secret = process.env.CRON_SECRET) => {
+    if (!secret) return false;
+    const expected = Buffer.from(`Bearer ${secret}`);
+    const received = Buffer.from(req.headers.authorization || "");
+    return received.length === expected.length && timingSafeEqual(received, expected);
+};
+
+// Runs every job once, one after another; a failing job doesn't stop the others
+export const runAllJobs = async (db, notifier, options = {}) => {
+    const results = {};
+    for (const [name, job] of Object.entries(JOBS)) {
+        try {
+            results[name] = await job(db, notifier, options);
+        } catch (err) {
+            console.error(`Job ${name} failed:`, err);
+            results[name] = { error: err.message };
+        }
+    }
+    return results;
+};
@@ -0,0 +1,155 @@
+// LIVE UPDATES
+// Pushes donation request events to dashboards over Server-Sent Events (GET /dashboard/stream).
+// Every status change appends a statusHistory entry, so events are derived from those entries:
+// the initial entry (from: null) is "request.created", pending -> inprogress is "request.donor_assigned",
+// anything else "request.status_changed".
+// One source per process feeds every subscriber: a MongoDB change stream when the deployment supports it
+// (replica sets and Atlas), otherwise polling for new history entries. The source starts with the first
+// subscriber and stops with the last one.
+export const STREAM_EVENTS = ["request.created", "request.donor_assigned", "request.status_changed"];
+
+// Re-read this far behind the previous poll so entries committed late aren't missed; `seen` drops duplicates
+const POLL_OVERLAP_MS = 5000;
+
+// Seconds between polls when change streams aren't available (STREAM_POLL_INTERVAL_SECONDS, default 5)
+export const getStreamPollIntervalMs = () => {
+    const seconds = parseInt(process.env.STREAM_POLL_INTERVAL_SECONDS);
+    return (Number.isFinite(seconds) && seconds > 0 ? seconds : 5) * 1000;
+};
+
+export const eventForHistoryEntry = (entry) => {
+    if (entry.from === null) return "request.created";
+    if (entry.from === "pending" && entry.to === "inprogress") return "request.donor_assigned";
+    return "request.status_changed";
+};
+
+// Request fields sent with every event
+const toStreamRequest = (request) => ({
+    _id: request._id,
+    requesterName: request.requesterName,
+    recipientName: request.recipientName,
+    recipientDistrict: request.recipientDistrict,
+    recipientUpazila: request.recipientUpazila,
+    hospitalName: request.hospitalName,
+    bloodGroup: request.bloodGroup,
+    donationDate: request.donationDate,
+    donationTime: request.donationTime,
+    urgency: request.urgency,
+    status: request.status,
+    donorName: request.donorName || null,
+});
+
+// Admins and volunteers see every request, everyone else only the ones they asked for or donate to
+export const canReceive = (subscriber, request) =>
+    ["admin", "volunteer"].includes(subscriber.role) ||
+    request.requesterEmail === subscriber.email ||
+    request.donorEmail === subscriber.email;
+
+// subscriber: { email, role, send({ event, data }), close() }
+export const createLiveUpdates = ({ pollIntervalMs = getStreamPollIntervalMs() } = {}) => {
+    const subscribers = new Set();
+    let source = null;
+
+    const publish = (request, entry) => {
+        if (request.deletedAt) return;
+        const message = {
+            event: eventForHistoryEntry(entry),
+            data: { request: toStreamRequest(request), from: entry.from, to: entry.to, changedAt: entry.changedAt },
+        };
+        for (const subscriber of subscribers) {
+            if (canReceive(subscriber, request)) subscriber.send(message);
+        }
+    };
+
+    const startPolling = (db) => {
+        const collection = db.collection("donationRequests");
+        const seen = new Map();
+        // Nothing from before polling started is sent, the overlap only covers entries between polls
+        const startedAt = new Date();
+        let since = startedAt;
+        let polling = false;
+
+        const poll = async () => {
+            if (polling) return;
+            polling = true;
+            try {
+                const now = new Date();
+                const from = new Date(Math.max(since.getTime() - POLL_OVERLAP_MS, startedAt.getTime()));
+                const requests = await collection.find({ "statusHistory.changedAt": { $gt: from } }).toArray();
+
+                for (const request of requests) {
+                    for (const entry of request.statusHistory) {
+                        if (entry.changedAt <= from) continue;
+                        const key = `${request._id}:${entry.changedAt.getTime()}:${entry.to}`;
+                        if (seen.has(key)) continue;
+                        seen.set(key, entry.changedAt);
+                        publish(request, entry);
+                    }
+                }
+
+                for (const [key, changedAt] of seen) {
+                    if (changedAt <= from) seen.delete(key);
+                }
+                since = now;
+            } catch (err) {
+                console.error("Live update poll failed:", err);
+            } finally {
+                polling = false;
+            }
+        };
+
+        const timer = setInterval(poll, pollIntervalMs);
+        timer.unref();
+        return { mode: "polling", stop: () => clearInterval(timer) };
+    };
+
+    const startChangeStream = (db) => {
+        const stream = db
+            .collection("donationRequests")
+            .watch([{ $match: { operationType: { $in: ["insert", "update"] } } }], { fullDocument: "updateLookup" });
+
+        const current = { mode: "change-stream", stop: () => stream.close().catch(() => {}) };
+
+        stream.on("change", (change) => {
+            const request = change.fullDocument;
+            const entry = request?.statusHistory?.at(-1);
+            if (!entry) return;
+            // Updates that don't touch the status (edits, documents, soft delete) aren't events
+            if (change.operationType === "update" && !("status" in (change.updateDescription?.updatedFields || {}))) return;
+            publish(request, entry);
+        });
+
+        // Standalone servers reject change streams - switch to polling for as long as anyone listens
+        stream.on("error", (err) => {
+            current.stop();
+            if (source !== current) return;
+            console.error(`Change stream unavailable (${err.message}), polling for live updates instead`);
+            source = startPolling(db);
+        });
+
+        return current;
+    };
+
+    return {
+        subscribe: (db, subscriber) => {
+            subscribers.add(subscriber);
+            if (!source) source = startChangeStream(db);
+
+            return () => {
+                subscribers.delete(subscriber);
+                if (subscribers.size === 0 && source) {
+                    source.stop();
+                    source = null;
+                }
+            };
+        },
+
+        // Ends every open stream (graceful shutdown)
+        close: () => {
+            for (const subscriber of subscribers) subscriber.close();
+            subscribers.clear();
+            if (source) source.stop();
+            source = null;
+        },
+    };
+};
@@ -0,0 +1,105 @@
+// BANGLADESH DISTRICTS & UPAZILAS
+// Used by the request validators to reject unknown locations.
+// Names follow the bangladesh-geocode dataset the client uses; Dhaka also lists the city thanas
+// since most Dhaka users pick those instead of the rural upazilas.
+export const UPAZILAS_BY_DISTRICT = {
+    Comilla: ["Debidwar", "Barura", "Brahmanpara", "Chandina", "Chauddagram", "Daudkandi", "Homna", "Laksam", "Muradnagar", "Nangalkot", "Comilla Sadar", "Meghna", "Monohargonj", "Sadarsouth", "Titas", "Burichang", "Lalmai"],
+    Feni: ["Chhagalnaiya", "Feni Sadar", "Sonagazi", "Fulgazi", "Parshuram", "Daganbhuiyan"],
+    Brahmanbaria: ["Brahmanbaria Sadar", "Kasba", "Nasirnagar", "Sarail", "Ashuganj", "Akhaura", "Nabinagar", "Bancharampur", "Bijoynagar"],
+    Rangamati: ["Rangamati Sadar", "Kaptai", "Kawkhali", "Baghaichari", "Barkal", "Langadu", "Rajasthali", "Belaichari", "Juraichari", "Naniarchar"],
+    Noakhali: ["Noakhali Sadar", "Companiganj", "Begumganj", "Hatia", "Subarnachar", "Kabirhat", "Senbug", "Chatkhil", "Sonaimori"],
+    Chandpur: ["Haimchar", "Kachua", "Shahrasti", "Chandpur Sadar", "Matlab South", "Hajiganj", "Matlab North", "Faridgonj"],
+    Lakshmipur: ["Lakshmipur Sadar", "Kamalnagar", "Raipur", "Ramgati", "Ramganj"],
+    Chattogram: ["Rangunia", "Sitakunda", "Mirsharai", "Patiya", "Sandwip", "Banshkhali", "Boalkhali", "Anwara", "Chandanaish", "Satkania", "Lohagara", "Hathazari", "Fatikchhari", "Raozan", "Karnafuli"],
+    Coxsbazar: ["Coxsbazar Sadar", "Chakaria", "Kutubdia", "Ukhiya", "Moheshkhali", "Pekua", "Ramu", "Teknaf", "Eidgaon"],
+    Khagrachhari: ["Khagrachhari Sadar", "Dighinala", "Panchari", "Laxmichhari", "Mohalchari", "Manikchari", "Ramgarh", "Matiranga", "Guimara"],
+    Bandarban: ["Bandarban Sadar", "Alikadam", "Naikhongchhari", "Rowangchhari", "Lama", "Ruma", "Thanchi"],
+    Sirajganj: ["Belkuchi", "Chauhali", "Kamarkhand", "Kazipur", "Raigonj", "Shahjadpur", "Sirajganj Sadar", "Tarash", "Ullapara"],
+    Pabna: ["Sujanagar", "Ishurdi", "Bhangura", "Pabna Sadar", "Bera", "Atghoria", "Chatmohar", "Santhia", "Faridpur"],
+    Bogura: ["Kahaloo", "Bogra Sadar", "Shariakandi", "Shajahanpur", "Dupchanchia", "Adamdighi", "Nondigram", "Sonatala", "Dhunot", "Gabtali", "Sherpur", "Shibganj"],
+    Rajshahi: ["Paba", "Durgapur", "Mohonpur", "Charghat", "Puthia", "Bagha", "Godagari", "Tanore", "Bagmara"],
+    Natore: ["Natore Sadar", "Singra", "Baraigram", "Bagatipara", "Lalpur", "Gurudaspur", "Naldanga"],
+    Joypurhat: ["Akkelpur", "Kalai", "Khetlal", "Panchbibi", "Joypurhat Sadar"],
+    Chapainawabganj: ["Chapainawabganj Sadar", "Gomostapur", "Nachol", "Bholahat", "Shibganj"],
+    Naogaon: ["Mohadevpur", "Badalgachi", "Patnitala", "Dhamoirhat", "Niamatpur", "Manda", "Atrai", "Raninagar", "Naogaon Sadar", "Porsha", "Sapahar"],
+    Jashore: ["Manirampur", "Abhaynagar", "Bagherpara", "Chougachha", "Jhikargacha", "Keshabpur", "Jessore Sadar", "Sharsha"],
+    Satkhira: ["Assasuni", "Debhata", "Kalaroa", "Satkhira Sadar", "Shyamnagar", "Tala", "Kaliganj"],
+    Meherpur: ["Mujibnagar", "Meherpur Sadar", "Gangni"],
+    Narail: ["Narail Sadar", "Lohagara", "Kalia"],
+    Chuadanga: ["Chuadanga Sadar", "Alamdanga", "Damurhuda", "Jibannagar"],
+    Kushtia: ["Kushtia Sadar", "Kumarkhali", "Khoksa", "Mirpur", "Daulatpur", "Bheramara"],
+    Magura: ["Shalikha", "Sreepur", "Magura Sadar", "Mohammadpur"],
+    Khulna: ["Paikgasa", "Fultola", "Digholia", "Rupsha", "Terokhada", "Dumuria", "Botiaghata", "Dakop", "Koyra"],
+    Bagerhat: ["Fakirhat", "Bagerhat Sadar", "Mollahat", "Sarankhola", "Rampal", "Morrelganj", "Kachua", "Mongla", "Chitalmari"],
+    Jhenaidah: ["Jhenaidah Sadar", "Shailkupa", "Harinakundu", "Kaliganj", "Kotchandpur", "Moheshpur"],
+    Jhalakathi: ["Jhalakathi Sadar", "Kathalia", "Nalchity", "Rajapur"],
+    Patuakhali: ["Bauphal", "Patuakhali Sadar", "Dumki", "Dashmina", "Kalapara", "Mirzaganj", "Galachipa", "Rangabali"],
+    Pirojpur: ["Pirojpur Sadar", "Nazirpur", "Kawkhali", "Zianagar", "Bhandaria", "Mathbaria", "Nesarabad"],
+    Barishal: ["Barisal Sadar", "Bakerganj", "Babuganj", "Wazirpur", "Banaripara", "Gournadi", "Agailjhara", "Mehendiganj", "Muladi", "Hizla"],
+    Bhola: ["Bhola Sadar", "Borhan Sddin", "Charfesson", "Doulatkhan", "Monpura", "Tazumuddin", "Lalmohan"],
+    Barguna: ["Amtali", "Barguna Sadar", "Betagi", "Bamna", "Pathorghata", "Taltali"],
+    Sylhet: ["Balaganj", "Beanibazar", "Bishwanath", "Companiganj", "Fenchuganj", "Golapganj", "Gowainghat", "Jaintiapur", "Kanaighat", "Sylhet Sadar", "Zakiganj", "Dakshinsurma", "Osmaninagar"],
+    Moulvibazar: ["Barlekha", "Kamolganj", "Kulaura", "Moulvibazar Sadar", "Rajnagar", "Sreemangal", "Juri"],
+    Habiganj: ["Nabiganj", "Bahubal", "Ajmiriganj", "Baniachong", "Lakhai", "Chunarughat", "Habiganj Sadar", "Madhabpur", "Shayestaganj"],
+    Sunamganj: ["Sunamganj Sadar", "South Sunamganj", "Bishwambarpur", "Chhatak", "Jagannathpur", "Dowarabazar", "Tahirpur", "Dharmapasha", "Jamalganj", "Shalla", "Derai", "Madhyanagar"],
+    Narsingdi: ["Belabo", "Monohardi", "Narsingdi Sadar", "Palash", "Raipura", "Shibpur"],
+    Gazipur: ["Kaliganj", "Kaliakair", "Kapasia", "Gazipur Sadar", "Sreepur"],
+    Shariatpur: ["Shariatpur Sadar", "Naria", "Zajira", "Gosairhat", "Bhedarganj", "Damudya"],
+    Narayanganj: ["Araihazar", "Bandar", "Narayanganj Sadar", "Rupganj", "Sonargaon"],
+    Tangail: ["Basail", "Bhuapur", "Delduar", "Ghatail", "Gopalpur", "Madhupur", "Mirzapur", "Nagarpur", "Sakhipur", "Tangail Sadar", "Kalihati", "Dhanbari"],
+    Kishoreganj: ["Itna", "Katiadi", "Bhairab", "Tarail", "Hossainpur", "Pakundia", "Kuliarchar", "Kishoreganj Sadar", "Karimgonj", "Bajitpur", "Austagram", "Mithamoin", "Nikli"],
+    Manikganj: ["Harirampur", "Saturia", "Manikganj Sadar", "Gior", "Shibaloy", "Doulatpur", "Singiar"],
+    Dhaka: [
+        "Savar", "Dhamrai", "Keraniganj", "Nawabganj", "Dohar",
+        // Dhaka city thanas
+        "Adabor", "Badda", "Banani", "Bangshal", "Bhashantek", "Bimanbandar", "Cantonment", "Chawkbazar", "Dakshinkhan", "Darus Salam", "Demra", "Dhanmondi", "Gendaria", "Gulshan", "Hazaribagh", "Jatrabari", "Kadamtali", "Kafrul", "Kalabagan", "Kamrangirchar", "Khilgaon", "Khilkhet", "Kotwali", "Lalbagh", "Mirpur", "Mohammadpur", "Motijheel", "Mugda", "New Market", "Pallabi", "Paltan", "Ramna", "Rampura", "Rupnagar", "Sabujbagh", "Shah Ali", "Shahbagh", "Shahjahanpur", "Sher-e-Bangla Nagar", "Shyampur", "Sutrapur", "Tejgaon", "Turag", "Uttara", "Uttarkhan", "Vatara", "Wari",
+    ],
+    Munshiganj: ["Munshiganj Sadar", "Sreenagar", "Sirajdikhan", "Louhajanj", "Gajaria", "Tongibari"],
+    Rajbari: ["Rajbari Sadar", "Goalanda", "Pangsa", "Baliakandi", "Kalukhali"],
+    Madaripur: ["Madaripur Sadar", "Shibchar", "Kalkini", "Rajoir", "Dasar"],
+    Gopalganj: ["Gopalganj Sadar", "Kashiani", "Tungipara", "Kotalipara", "Muksudpur"],
+    Faridpur: ["Faridpur Sadar", "Alfadanga", "Boalmari", "Sadarpur", "Nagarkanda", "Bhanga", "Charbhadrasan", "Madhukhali", "Saltha"],
+    Panchagarh: ["Panchagarh Sadar", "Debiganj", "Boda", "Atwari", "Tetulia"],
+    Dinajpur: ["Nawabganj", "Birganj", "Ghoraghat", "Birampur", "Parbatipur", "Bochaganj", "Kaharol", "Fulbari", "Dinajpur Sadar", "Hakimpur", "Khansama", "Birol", "Chirirbandar"],
+    Lalmonirhat: ["Lalmonirhat Sadar", "Kaliganj", "Hatibandha", "Patgram", "Aditmari"],
+    Nilphamari: ["Syedpur", "Domar", "Dimla", "Jaldhaka", "Kishorganj", "Nilphamari Sadar"],
+    Gaibandha: ["Sadullapur", "Gaibandha Sadar", "Palashbari", "Saghata", "Gobindaganj", "Sundarganj", "Phulchari"],
+    Thakurgaon: ["Thakurgaon Sadar", "Pirganj", "Ranisankail", "Haripur", "Baliadangi"],
+    Rangpur: ["Rangpur Sadar", "Gangachara", "Taragonj", "Badargonj", "Mithapukur", "Pirgonj", "Kaunia", "Pirgacha"],
+    Kurigram: ["Kurigram Sadar", "Nageshwari", "Bhurungamari", "Phulbari", "Rajarhat", "Ulipur", "Chilmari", "Rowmari", "Charrajibpur"],
+    Sherpur: ["Sherpur Sadar", "Nalitabari", "Sreebordi", "Nokla", "Jhenaigati"],
+    Mymensingh: ["Fulbaria", "Trishal", "Bhaluka", "Muktagacha", "Mymensingh Sadar", "Dhobaura", "Phulpur", "Haluaghat", "Gouripur", "Gafargaon", "Iswarganj", "Nandail", "Tarakanda"],
+    Jamalpur: ["Jamalpur Sadar", "Melandah", "Islampur", "Dewangonj", "Sarishabari", "Madarganj", "Bokshiganj"],
+    Netrokona: ["Barhatta", "Durgapur", "Kendua", "Atpara", "Madan", "Khaliajuri", "Kalmakanda", "Mohongonj", "Purbadhala", "Netrokona Sadar"],
+};
+
+export const DISTRICTS = Object.keys(UPAZILAS_BY_DISTRICT);
+
+// Older/alternate spellings still common in user input
+const DISTRICT_ALIASES = {
+    cumilla: "Comilla",
+    chittagong: "Chattogram",
+    bogra: "Bogura",
+    jessore: "Jashore",
+    barisal: "Barishal",
+    jhalokati: "Jhalakathi",
+    netrakona: "Netrokona",
+    chapainawabgonj: "Chapainawabganj",
+};
+
+// Compare names ignoring case, spaces and punctuation ("Cox's Bazar" === "Coxsbazar")
+const normalize = (name) => String(name).toLowerCase().replace(/[^a-z0-9]/g, "");
+
+// Returns the canonical district name, or null if unknown
+export const findDistrict = (name) => {
+    if (!name) return null;
+    const key = normalize(name);
+    return DISTRICTS.find((district) => normalize(district) === key) || DISTRICT_ALIASES[key] || null;
+};
+
+export const isKnownUpazila = (district, upazila) => {
+    const canonical = findDistrict(district);
+    if (!canonical || !upazila) return false;
+    const key = normalize(upazila);
+    return UPAZILAS_BY_DISTRICT[canonical].some((name) => normalize(name) === key);
+};
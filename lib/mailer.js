@@ -0,0 +1,33 @@
+// MAIL TRANSPORTS
+// Every transport exposes sendMail({ to, subject, text }).
+// With SMTP_HOST set mails go out over SMTP, otherwise the console stand-in just logs them.
+import nodemailer from "nodemailer";
+
+const createSmtpTransport = () => {
+    const transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === "true",
+        auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+    });
+    const from = process.env.MAIL_FROM || "Blood Bridge <no-reply@bloodbridge.app>";
+
+    return {
+        name: "smtp",
+        sendMail: ({ to, subject, text }) => transporter.sendMail({ from, to, subject, text }),
+    };
+};
+
+// Local stand-in for development and tests
+const createConsoleTransport = () => {
+    return {
+        name: "console",
+        sendMail: async ({ to, subject, text }) => {
+            console.log(`[mail] to=${to} subject="${subject}"\n${text}`);
+        },
+    };
+};
+
+export const createMailTransport = () => {
+    return process.env.SMTP_HOST ? createSmtpTransport() : createConsoleTransport();
+};
@@ -0,0 +1,173 @@
+// NOTIFICATIONS
+// Routes fire lifecycle events with notifier.notify(db, event, data).
+// Each event maps to a list of messages, and every message is delivered through all enabled channels.
+// Channels expose deliver(db, notification); new ones just need to be added to createChannel().
+import { createMailTransport } from "./mailer.js";
+
+// Event -> messages ({ to, title, body })
+const EVENT_MESSAGES = {
+    "request.created": ({ request }) => [
+        {
+            to: request.requesterEmail,
+            title: "Donation request created",
+            body: `Your ${request.bloodGroup} request for ${request.recipientName} is now pending.`,
+        },
+    ],
+
+    "request.donor_assigned": ({ request }) => [
+        {
+            to: request.requesterEmail,
+            title: "A donor confirmed your request",
+            body: `${request.donorName || "A donor"} will donate ${request.bloodGroup} for ${request.recipientName}.`,
+        },
+    ],
+
+    "request.bank_fulfilled": ({ request }) => [
+        {
+            to: request.requesterEmail,
+            title: "A blood bank is providing your blood",
+            body: `${request.bankFulfilment.bankName} set aside ${request.bankFulfilment.units} unit(s) of ${request.bankFulfilment.bloodGroup} for ${request.recipientName}. Mark the request as done once you have received it.`,
+        },
+    ],
+
+    "request.urgent_alert": ({ request, donorEmail }) => [
+        {
+            to: donorEmail,
+            title: `Urgent: ${request.bloodGroup} blood needed in ${request.recipientDistrict}`,
+            body: `${request.recipientName} needs ${request.bloodGroup} blood at ${request.hospitalName} on ${request.donationDate} ${request.donationTime}. You are a compatible donor nearby.`,
+        },
+    ],
+
+    // Requester and donor hear about it, except whoever made the change
+    "request.status_changed": ({ request, from, to, actorEmail }) =>
+        [request.requesterEmail, request.donorEmail]
+            .filter((email) => email && email !== actorEmail)
+            .map((email) => ({
+                to: email,
+                title: "Donation request status changed",
+                body: `The ${request.bloodGroup} request for ${request.recipientName} changed from ${from} to ${to}.`,
+            })),
+
+    "request.expired": ({ request }) => [
+        {
+            to: request.requesterEmail,
+            title: "Donation request expired",
+            body: `Your ${request.bloodGroup} request for ${request.recipientName} expired because ${request.donationDate} has passed. Update the donation date to reopen it.`,
+        },
+    ],
+
+    "request.follow_up": ({ request }) =>
+        [request.requesterEmail, request.donorEmail].filter(Boolean).map((email) => ({
+            to: email,
+            title: "Did the donation happen?",
+            body: `The ${request.bloodGroup} donation for ${request.recipientName} was due on ${request.donationDate}. Please mark the request as done or canceled.`,
+        })),
+
+    "campaign.registered": ({ campaign, donorEmail }) => [
+        {
+            to: donorEmail,
+            title: "You are registered for a donation camp",
+            body: `See you at ${campaign.venue} for "${campaign.title}" (${campaign.startDate} to ${campaign.endDate}).`,
+        },
+    ],
+
+    "campaign.canceled": ({ campaign, donorEmails }) =>
+        donorEmails.map((email) => ({
+            to: email,
+            title: "Donation camp canceled",
+            body: `"${campaign.title}" at ${campaign.venue} (${campaign.startDate}) has been canceled.`,
+        })),
+
+    "contact.requested": ({ contactRequest }) => [
+        {
+            to: contactRequest.donorEmail,
+            title: "Someone asked for your contact details",
+            body: `${contactRequest.requesterName} would like to contact you about a blood donation. Accept or decline from your dashboard.`,
+        },
+    ],
+
+    // The donor's name is only shared once they accepted
+    "contact.responded": ({ contactRequest }) => [
+        contactRequest.status === "accepted"
+            ? {
+                  to: contactRequest.requesterEmail,
+                  title: "Contact request accepted",
+                  body: `${contactRequest.donorName} shared their contact details with you.`,
+              }
+            : {
+                  to: contactRequest.requesterEmail,
+                  title: "Contact request declined",
+                  body: "The donor declined your contact request.",
+              },
+    ],
+};
+
+// In-app channel - stores the notification for GET /dashboard/notifications
+const createInAppChannel = () => {
+    return {
+        name: "in-app",
+        deliver: async (db, notification) => {
+            await db.collection("notifications").insertOne({ ...notification, read: false });
+        },
+    };
+};
+
+const createEmailChannel = (transport = createMailTransport()) => {
+    return {
+        name: "email",
+        deliver: async (db, notification) => {
+            await transport.sendMail({
+                to: notification.userEmail,
+                subject: notification.title,
+                text: notification.body,
+            });
+        },
+    };
+};
+
+const createChannel = (name) => {
+    if (name === "in-app") return createInAppChannel();
+    if (name === "email") return createEmailChannel();
+    throw new Error(`Unknown notification channel: ${name}`);
+};
+
+// Channels come from NOTIFICATION_CHANNELS (comma separated, defaults to in-app only)
+export const createNotifier = (
+    channelNames = (process.env.NOTIFICATION_CHANNELS || "in-app").split(",").map((name) => name.trim()).filter(Boolean)
+) => {
+    const channels = channelNames.map(createChannel);
+
+    return {
+        channels,
+
+        // Never throws - a failed notification must not fail the request that triggered it.
+        // Resolves to the settled result of every delivery, for callers that track delivery themselves
+        notify: async (db, event, data = {}) => {
+            const buildMessages = EVENT_MESSAGES[event];
+            if (!buildMessages) {
+                console.error(`Unknown notification event: ${event}`);
+                return [];
+            }
+
+            const messages = buildMessages(data).filter((message) => message.to);
+
+            const deliveries = messages.flatMap((message) => {
+                const notification = {
+                    userEmail: message.to,
+                    event,
+                    title: message.title,
+                    body: message.body,
+                    requestId: data.request?._id || null,
+                    createdAt: new Date(),
+                };
+                return channels.map((channel) => channel.deliver(db, notification));
+            });
+
+            const results = await Promise.allSettled(deliveries);
+            results
+                .filter((result) => result.status === "rejected")
+                .forEach((result) => console.error("Notification delivery failed:", result.reason));
+            return results;
+        },
+    };
+};
@@ -0,0 +1,60 @@
+// PAYMENT PROVIDERS
+// Every provider exposes the same shape so the fund routes don't care which one is active:
+//   createPayment({ amount, currency, metadata }) -> { paymentId, status, clientSecret }
+//   parseWebhook(req) -> { paymentId, status } or throws if the webhook can't be trusted
+import { randomUUID } from "crypto";
+
+// Accepted currencies and the largest single contribution in each
+export const CONTRIBUTION_LIMITS = { BDT: 1000000, USD: 10000 };
+export const SUPPORTED_CURRENCIES = Object.keys(CONTRIBUTION_LIMITS);
+
+// Webhooks are only accepted without a shared secret while developing or testing
+export const isWebhookSecretRequired = (env = process.env) => !["development", "test"].includes(env.NODE_ENV);
+
+// Local/mock provider - no external calls, payments stay pending until the webhook confirms them
+const createLocalProvider = () => {
+    return {
+        name: "local",
+
+        createPayment: async ({ amount, currency }) => {
+            return {
+                paymentId: `local_${randomUUID()}`,
+                status: "pending",
+                clientSecret: randomUUID(),
+                amount,
+                currency,
+            };
+        },
+
+        parseWebhook: (req) => {
+            const secret = process.env.PAYMENT_WEBHOOK_SECRET;
+            if (!secret && isWebhookSecretRequired()) {
+                throw new Error("PAYMENT_WEBHOOK_SECRET is not configured");
+            }
+            if (secret && req.headers["x-webhook-secret"] !== secret) {
+                throw new Error("Invalid webhook secret");
+            }
+
+            // paymentId goes straight into a MongoDB filter, so anything but a string (e.g. { $ne: null }) is refused
+            const { paymentId, status } = req.body || {};
+            if (typeof paymentId !== "string" || !paymentId || !["confirmed", "failed"].includes(status)) {
+                throw new Error("Invalid webhook payload");
+            }
+
+            return { paymentId, status };
+        },
+    };
+};
+
+const providers = {
+    local: createLocalProvider,
+};
+
+// Pick the provider from PAYMENT_PROVIDER (defaults to the local one)
+export const createPaymentProvider = (name = process.env.PAYMENT_PROVIDER || "local") => {
+    const factory = providers[name];
+    if (!factory) {
+        throw new Error(`Unknown payment provider: ${name}`);
+    }
+    return factory();
+};
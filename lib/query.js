@@ -0,0 +1,20 @@
+// QUERY STRING HELPERS
+// Shared parsing for paginated/sortable list endpoints
+
+// page/limit from the query string, clamped to sane values
+export const parsePagination = (query, { defaultLimit = 10, maxLimit = 50 } = {}) => {
+    const page = Math.max(parseInt(query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(query.limit) || defaultLimit, 1), maxLimit);
+    return { page, limit, skip: (page - 1) * limit };
+};
+
+// sort/order from the query string; only whitelisted fields are accepted.
+// Returns null for an unknown sort field so the route can send a 400.
+export const parseSort = (query, allowedFields, defaultField, defaultOrder = "desc") => {
+    const field = query.sort || defaultField;
+    if (!allowedFields.includes(field)) return null;
+
+    const direction = (query.order || defaultOrder) === "asc" ? 1 : -1;
+    // _id as a tie-breaker keeps page boundaries stable
+    return { [field]: direction, _id: direction };
+};
@@ -0,0 +1,135 @@
+// RATE LIMITING
+// Fixed-window counters per bucket (route budget + client IP or signed-in user).
+// A store only needs increment(db, key, windowMs) -> { count, resetAt }:
+// - memory: per-process Map, fine for a single long-running server
+// - mongo: shared `rateLimits` collection, needed on serverless where every instance has its own memory
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+// Route budgets - `by` picks the bucket key: "ip" for public routes, "user" after verifyFirebaseToken
+export const RATE_LIMITS = {
+    searchDonors: { by: "ip", windowMs: MINUTE_MS, max: 30 },
+    donationRequests: { by: "ip", windowMs: MINUTE_MS, max: 60 },
+    publicStats: { by: "ip", windowMs: MINUTE_MS, max: 60 },
+    registerUser: { by: "ip", windowMs: HOUR_MS, max: 20 },
+    createRequestIp: { by: "ip", windowMs: HOUR_MS, max: 30 },
+    createRequestUser: { by: "user", windowMs: HOUR_MS, max: 10 },
+    donate: { by: "user", windowMs: HOUR_MS, max: 10 },
+    contactRequest: { by: "user", windowMs: HOUR_MS, max: 20 },
+    upload: { by: "user", windowMs: HOUR_MS, max: 30 },
+    bloodBanks: { by: "ip", windowMs: MINUTE_MS, max: 60 },
+    campaigns: { by: "ip", windowMs: MINUTE_MS, max: 60 },
+};
+
+// How many pending requests one user may have open at once (MAX_OPEN_REQUESTS_PER_USER, default 3)
+export const getMaxOpenRequestsPerUser = () => {
+    const max = parseInt(process.env.MAX_OPEN_REQUESTS_PER_USER);
+    return Number.isFinite(max) && max > 0 ? max : 3;
+};
+
+export const createMemoryStore = () => {
+    const buckets = new Map();
+
+    return {
+        increment: async (db, key, windowMs) => {
+            const now = Date.now();
+            let bucket = buckets.get(key);
+            if (!bucket || bucket.resetAt <= now) {
+                // Drop expired buckets now and then so the map doesn't grow forever
+                if (buckets.size > 10000) {
+                    for (const [bucketKey, { resetAt }] of buckets) {
+                        if (resetAt <= now) buckets.delete(bucketKey);
+                    }
+                }
+                bucket = { count: 0, resetAt: now + windowMs };
+                buckets.set(key, bucket);
+            }
+            bucket.count += 1;
+            return { count: bucket.count, resetAt: new Date(bucket.resetAt) };
+        },
+
+        clear: () => buckets.clear(),
+    };
+};
+
+export const createMongoStore = () => {
+    let indexReady = null;
+
+    const increment = async (db, key, windowMs) => {
+        const collection = db.collection("rateLimits");
+        // TTL index removes buckets once their window is over
+        indexReady ??= collection.createIndex({ resetAt: 1 }, { expireAfterSeconds: 0 }).catch((err) => {
+            indexReady = null;
+            throw err;
+        });
+        await indexReady;
+
+        const now = new Date();
+        const windowOpen = { $gt: ["$resetAt", now] };
+        // Pipeline update so "start a new window or count in the current one" is a single atomic write
+        return collection.findOneAndUpdate(
+            { _id: key },
+            [
+                {
+                    $set: {
+                        count: { $cond: [windowOpen, { $add: ["$count", 1] }, 1] },
+                        resetAt: { $cond: [windowOpen, "$resetAt", new Date(now.getTime() + windowMs)] },
+                    },
+                },
+            ],
+            { upsert: true, returnDocument: "after" }
+        );
+    };
+
+    return {
+        increment: async (db, key, windowMs) => {
+            try {
+                return await increment(db, key, windowMs);
+            } catch (err) {
+                // Two first hits on the same bucket can race on the upsert, the retry finds the document
+                if (err.code === 11000) return increment(db, key, windowMs);
+                throw err;
+            }
+        },
+    };
+};
+
+const stores = {
+    memory: createMemoryStore,
+    mongo: createMongoStore,
+};
+
+// Pick the store from RATE_LIMIT_STORE (defaults to memory)
+export const createRateLimitStore = (name = process.env.RATE_LIMIT_STORE || "memory") => {
+    const factory = stores[name];
+    if (!factory) {
+        throw new Error(`Unknown rate limit store: ${name}`);
+    }
+    return factory();
+};
+
+// Middleware for one budget. Fails open - a broken store must not take the API down.
+export const rateLimit = (store, name, { by, windowMs, max }) => {
+    return async (req, res, next) => {
+        try {
+            const client = by === "user" ? req.user?.email : req.ip;
+            if (!client) return next();
+
+            const { count, resetAt } = await store.increment(req.db, `${name}:${by}:${client}`, windowMs);
+
+            res.set("X-RateLimit-Limit", String(max));
+            res.set("X-RateLimit-Remaining", String(Math.max(0, max - count)));
+
+            if (count > max) {
+                const retryAfter = Math.max(1, Math.ceil((new Date(resetAt).getTime() - Date.now()) / 1000));
+                res.set("Retry-After", String(retryAfter));
+                return res.status(429).json({ ...req.t("TOO_MANY_REQUESTS"), retryAfter });
+            }
+
+            next();
+        } catch (err) {
+            console.error("Rate limit check failed:", err);
+            next();
+        }
+    };
+};
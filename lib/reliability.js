@@ -0,0 +1,50 @@
+// DONOR RELIABILITY
+// Requesters leave feedback once a request with a donor is done or canceled: did the donor show up,
+// a 1-5 rating (only when they did) and an optional comment. One feedback per request, stored in donorFeedback.
+// Admins can hide abusive or mistaken feedback; hidden feedback no longer counts.
+// users.reliability is recomputed from the published feedback whenever it changes:
+//   score         - 0-100, the show-up rate smoothed towards 50% (one no-show doesn't sink a new donor),
+//                   null until the donor has published feedback
+//   showUpRate    - share of feedback where the donor showed up
+//   averageRating - mean rating, null until someone rated the donor
+//   feedbackCount - published feedback counted
+export const FEEDBACK_STATUSES = ["published", "hidden"];
+
+// Request statuses that can be reviewed
+export const FEEDBACK_REQUEST_STATUSES = ["done", "canceled"];
+
+// show-ups + 1 out of feedback + 2, so early scores stay close to 50 and move with every review.
+// Donors without feedback have no score (null) rather than a made-up 50
+export const getReliabilityScore = (showUps, feedbackCount) =>
+    feedbackCount ? Math.round(((showUps + 1) / (feedbackCount + 2)) * 100) : null;
+
+export const refreshDonorReliability = async (db, donorEmail) => {
+    if (!donorEmail) return;
+
+    const [stats] = await db
+        .collection("donorFeedback")
+        .aggregate([
+            { $match: { donorEmail, status: "published" } },
+            {
+                $group: {
+                    _id: null,
+                    feedbackCount: { $sum: 1 },
+                    showUps: { $sum: { $cond: ["$showedUp", 1, 0] } },
+                    // $avg skips feedback without a rating
+                    averageRating: { $avg: "$rating" },
+                },
+            },
+        ])
+        .toArray();
+
+    const feedbackCount = stats?.feedbackCount || 0;
+    const reliability = {
+        score: getReliabilityScore(stats?.showUps || 0, feedbackCount),
+        showUpRate: feedbackCount ? Math.round((stats.showUps / feedbackCount) * 100) / 100 : null,
+        averageRating: stats?.averageRating ? Math.round(stats.averageRating * 10) / 10 : null,
+        feedbackCount,
+    };
+
+    await db.collection("users").updateOne({ email: donorEmail }, { $set: { reliability } });
+    return reliability;
+};
@@ -0,0 +1,24 @@
+// ROLE CLAIMS
+// users.role is the source of truth; a copy lives in the user's Firebase custom claims so the role
+// middlewares can authorize from the verified token without a DB lookup on every request.
+// users.locale rides along the same way, so messages can be translated without looking the user up.
+// Claims only reach the client when its ID token refreshes (at most an hour), so role changes also
+// revoke refresh tokens to force a new sign-in.
+
+// Copy users.role and users.locale into the Firebase custom claims, returns the Firebase uid.
+// setCustomUserClaims replaces every claim, so both are always written together.
+export const syncUserClaims = async (auth, user) => {
+    const uid = user.uid || (await auth.getUserByEmail(user.email)).uid;
+    await auth.setCustomUserClaims(uid, { role: user.role, ...(user.locale && { locale: user.locale }) });
+    return uid;
+};
+
+// Role from the verified token's custom claims, or null if the token predates them
+export const getClaimedRole = (decodedToken) => {
+    return typeof decodedToken?.role === "string" ? decodedToken.role : null;
+};
+
+// Saved language from the verified token's custom claims, or null
+export const getClaimedLocale = (decodedToken) => {
+    return typeof decodedToken?.locale === "string" ? decodedToken.locale : null;
+};
@@ -0,0 +1,283 @@
+// REQUEST SCHEMAS
+// One schema per route body, consumed by validateBody() in lib/validation.js
+import { findDistrict, isKnownUpazila } from "./locations.js";
+import { SUPPORTED_LOCALES } from "./i18n.js";
+import { todayString } from "./dates.js";
+
+export const BLOOD_GROUPS = ["A+", "A-", "B+", "B-", "AB+", "AB-", "O+", "O-"];
+export const USER_ROLES = ["donor", "volunteer", "admin", "hospital"];
+export const USER_STATUSES = ["active", "blocked"];
+export const URGENCY_LEVELS = ["normal", "urgent", "critical"];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+// The URLs POST /dashboard/upload/avatar hands out - arbitrary image links aren't accepted.
+// The host can't be known here; routes check it against their own origin with avatarKeyFromUrl (lib/uploads.js)
+const AVATAR_URL_PATTERN = /^https?:\/\/[^\s/]+\/files\/avatars\/[0-9a-f-]{36}\.webp$/;
+
+// Shared field rules
+
+// District and upazila always change together so they can't drift apart
+const districtRule = (label, upazilaField) => ({
+    type: "string",
+    label,
+    custom: (value, body) => {
+        if (!findDistrict(value)) return `${label} is not a known district`;
+        return body[upazilaField] ? null : `${upazilaField} is required when changing ${label}`;
+    },
+});
+
+// Upazila must belong to the district sent in the same body
+const upazilaRule = (label, districtField) => ({
+    type: "string",
+    label,
+    custom: (value, body) => {
+        if (!body[districtField]) return `${districtField} is required when changing ${label}`;
+        if (!findDistrict(body[districtField])) return null; // district error is reported on its own field
+        return isKnownUpazila(body[districtField], value) ? null : `${label} is not in ${body[districtField]}`;
+    },
+});
+
+const bloodGroupRule = { type: "string", label: "bloodGroup", enum: BLOOD_GROUPS };
+
+const avatarRule = {
+    type: "string",
+    label: "avatar",
+    pattern: AVATAR_URL_PATTERN,
+    message: "avatar must be a URL returned by /dashboard/upload/avatar",
+};
+
+// A real YYYY-MM-DD date that is today or later, today being the date in APP_TIMEZONE (lib/dates.js)
+const futureDateRule = (label) => ({
+    type: "string",
+    label,
+    pattern: DATE_PATTERN,
+    message: `${label} must be in YYYY-MM-DD format`,
+    custom: (value) => {
+        const date = new Date(`${value}T00:00:00Z`);
+        if (Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== value) {
+            return `${label} is not a valid date`;
+        }
+        return value < todayString() ? `${label} cannot be in the past` : null;
+    },
+});
+
+const donationDateRule = futureDateRule("donationDate");
+
+// Whole blood units, one batch or fulfilment at a time
+const unitsRule = (min, label = "units") => ({
+    type: "number",
+    label,
+    min,
+    max: 1000,
+    custom: (value) => (Number.isInteger(value) ? null : `${label} must be a whole number`),
+});
+
+const objectIdRule = (label) => ({ type: "string", label, pattern: /^[0-9a-f]{24}$/i, message: `${label} is invalid` });
+
+// Hospital users that run a blood bank
+const managerEmailsRule = {
+    label: "managerEmails",
+    custom: (value) => {
+        if (!Array.isArray(value) || value.length === 0) return "managerEmails must be a non-empty list of emails";
+        if (value.length > 20) return "managerEmails can have at most 20 emails";
+        return value.every((email) => typeof email === "string" && EMAIL_PATTERN.test(email))
+            ? null
+            : "managerEmails must only contain valid emails";
+    },
+};
+
+const donationTimeRule = {
+    type: "string",
+    label: "donationTime",
+    pattern: TIME_PATTERN,
+    message: "donationTime must be in HH:MM (24-hour) format",
+};
+
+// Contact window - both ends are set together
+const availabilityTimeRule = (label, otherField) => ({
+    type: "string",
+    label,
+    pattern: TIME_PATTERN,
+    message: `${label} must be in HH:MM (24-hour) format`,
+    custom: (value, body) => (body[otherField] ? null : `${otherField} is required when changing ${label}`),
+});
+
+const privacySchema = {
+    hideFromSearch: { type: "boolean" },
+    hideContactDetails: { type: "boolean" },
+    availableFrom: availabilityTimeRule("availableFrom", "availableTo"),
+    availableTo: availabilityTimeRule("availableTo", "availableFrom"),
+};
+
+// Route schemas
+
+// email comes from the verified token; if sent it must match it
+export const registerUserSchema = {
+    name: { type: "string", required: true, maxLength: 100 },
+    email: { type: "string", pattern: EMAIL_PATTERN, message: "email is invalid" },
+    bloodGroup: { ...bloodGroupRule, required: true },
+    district: { ...districtRule("district", "upazila"), required: true },
+    upazila: { ...upazilaRule("upazila", "district"), required: true },
+    avatar: avatarRule,
+};
+
+// One row of an admin donor import - same fields as registration, but the email is required
+export const importDonorSchema = {
+    ...registerUserSchema,
+    email: { ...registerUserSchema.email, required: true },
+};
+
+// Profile updates are partial, email/role/status can't be changed here
+export const updateProfileSchema = {
+    name: { type: "string", maxLength: 100 },
+    bloodGroup: bloodGroupRule,
+    district: districtRule("district", "upazila"),
+    upazila: upazilaRule("upazila", "district"),
+    avatar: avatarRule,
+    privacy: { type: "object", schema: privacySchema },
+    // Language of API messages, see lib/i18n.js
+    locale: { type: "string", enum: SUPPORTED_LOCALES },
+};
+
+export const createDonationRequestSchema = {
+    recipientName: { type: "string", required: true, maxLength: 100 },
+    recipientDistrict: { ...districtRule("recipientDistrict", "recipientUpazila"), required: true },
+    recipientUpazila: { ...upazilaRule("recipientUpazila", "recipientDistrict"), required: true },
+    hospitalName: { type: "string", required: true, maxLength: 200 },
+    address: { type: "string", required: true, maxLength: 300 },
+    bloodGroup: { ...bloodGroupRule, required: true },
+    donationDate: { ...donationDateRule, required: true },
+    donationTime: { ...donationTimeRule, required: true },
+    message: { type: "string", maxLength: 1000 },
+    urgency: { type: "string", enum: URGENCY_LEVELS },
+};
+
+// Requesters can edit the request details, never requester/donor/status fields
+export const updateDonationRequestSchema = {
+    recipientName: { type: "string", maxLength: 100 },
+    recipientDistrict: districtRule("recipientDistrict", "recipientUpazila"),
+    recipientUpazila: upazilaRule("recipientUpazila", "recipientDistrict"),
+    hospitalName: { type: "string", maxLength: 200 },
+    address: { type: "string", maxLength: 300 },
+    bloodGroup: bloodGroupRule,
+    donationDate: donationDateRule,
+    donationTime: donationTimeRule,
+    message: { type: "string", maxLength: 1000 },
+};
+
+export const contactRequestSchema = {
+    message: { type: "string", maxLength: 500 },
+    donationRequestId: objectIdRule("donationRequestId"),
+};
+
+export const respondContactRequestSchema = {
+    status: { type: "string", required: true, enum: ["accepted", "declined"] },
+};
+
+export const bloodBankSchema = {
+    name: { type: "string", required: true, maxLength: 200 },
+    district: { ...districtRule("district", "upazila"), required: true },
+    upazila: { ...upazilaRule("upazila", "district"), required: true },
+    address: { type: "string", required: true, maxLength: 300 },
+    phone: { type: "string", maxLength: 30 },
+    managerEmails: { ...managerEmailsRule, required: true },
+};
+
+// Partial updates; managerEmails is admin-only (enforced by the route)
+export const updateBloodBankSchema = {
+    name: { type: "string", maxLength: 200 },
+    district: districtRule("district", "upazila"),
+    upazila: upazilaRule("upazila", "district"),
+    address: { type: "string", maxLength: 300 },
+    phone: { type: "string", maxLength: 30 },
+    managerEmails: managerEmailsRule,
+};
+
+export const bloodStockSchema = {
+    bloodGroup: { ...bloodGroupRule, required: true },
+    units: { ...unitsRule(1), required: true },
+    expiresOn: { ...futureDateRule("expiresOn"), required: true },
+};
+
+// Stock corrections (units used elsewhere, discarded bags) - 0 empties the batch
+export const updateBloodStockSchema = {
+    units: { ...unitsRule(0), required: true },
+};
+
+// bloodGroup defaults to the request's; any compatible group is accepted
+export const fulfilFromBankSchema = {
+    bankId: { ...objectIdRule("bankId"), required: true },
+    units: { ...unitsRule(1), required: true },
+    bloodGroup: bloodGroupRule,
+};
+
+// Target units per blood group, e.g. { "O+": 40, "B+": 25 }
+const campaignTargetsSchema = Object.fromEntries(BLOOD_GROUPS.map((group) => [group, unitsRule(0, group)]));
+
+const campaignEndDateRule = {
+    ...futureDateRule("endDate"),
+    custom: (value, body) =>
+        futureDateRule("endDate").custom(value) ||
+        (body.startDate && value < body.startDate ? "endDate cannot be before startDate" : null),
+};
+
+const campaignCapacityRule = {
+    type: "number",
+    label: "capacity",
+    min: 1,
+    max: 10000,
+    custom: (value) => (Number.isInteger(value) ? null : "capacity must be a whole number"),
+};
+
+export const campaignSchema = {
+    title: { type: "string", required: true, maxLength: 200 },
+    description: { type: "string", maxLength: 2000 },
+    venue: { type: "string", required: true, maxLength: 300 },
+    district: { ...districtRule("district", "upazila"), required: true },
+    upazila: { ...upazilaRule("upazila", "district"), required: true },
+    startDate: { ...futureDateRule("startDate"), required: true },
+    endDate: { ...campaignEndDateRule, required: true },
+    capacity: { ...campaignCapacityRule, required: true },
+    targets: { type: "object", schema: campaignTargetsSchema },
+};
+
+// Partial updates; the route checks the dates and capacity against the stored campaign
+export const updateCampaignSchema = {
+    title: { type: "string", maxLength: 200 },
+    description: { type: "string", maxLength: 2000 },
+    venue: { type: "string", maxLength: 300 },
+    district: districtRule("district", "upazila"),
+    upazila: upazilaRule("upazila", "district"),
+    startDate: futureDateRule("startDate"),
+    endDate: campaignEndDateRule,
+    capacity: campaignCapacityRule,
+    targets: { type: "object", schema: campaignTargetsSchema },
+};
+
+// Rating is only given when the donor showed up
+export const donorFeedbackSchema = {
+    showedUp: { type: "boolean", required: true },
+    rating: {
+        type: "number",
+        min: 1,
+        max: 5,
+        custom: (value, body) => {
+            if (!Number.isInteger(value)) return "rating must be a whole number";
+            return body.showedUp === false ? "rating can only be given when the donor showed up" : null;
+        },
+    },
+    comment: { type: "string", maxLength: 1000 },
+};
+
+export const moderateFeedbackSchema = {
+    status: { type: "string", required: true, enum: ["published", "hidden"] },
+    moderationNote: { type: "string", maxLength: 500 },
+};
+
+// Admins can only change a user's role and status
+export const updateUserSchema = {
+    role: { type: "string", enum: USER_ROLES },
+    status: { type: "string", enum: USER_STATUSES },
+};
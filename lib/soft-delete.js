@@ -0,0 +1,55 @@
+// SOFT DELETE
+// Deleting a donation request or user only sets deletedAt/deletedBy, so donation history and
+// statistics survive and admins can restore mistakes from the trash. Every listing, search and
+// lookup filters with NOT_DELETED. The purge job removes records that have been in the trash
+// longer than TRASH_RETENTION_DAYS (default 30), together with their avatar and document files.
+import { createStorage } from "./storage.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Matches documents without deletedAt (or with deletedAt: null)
+export const NOT_DELETED = { deletedAt: null };
+
+export const getTrashRetentionDays = () => {
+    const days = parseInt(process.env.TRASH_RETENTION_DAYS);
+    return Number.isFinite(days) && days > 0 ? days : 30;
+};
+
+// When a record deleted at `deletedAt` gets purged
+export const getPurgeDate = (deletedAt) => new Date(new Date(deletedAt).getTime() + getTrashRetentionDays() * DAY_MS);
+
+export const softDeleteUpdate = (actorEmail) => ({ $set: { deletedAt: new Date(), deletedBy: actorEmail } });
+
+export const restoreUpdate = () => ({ $unset: { deletedAt: "", deletedBy: "" } });
+
+// Scheduled job: permanently remove trashed requests and users past the retention period
+export const purgeDeletedRecords = async (db, notifier, { now = new Date(), storage = createStorage() } = {}) => {
+    const cutoff = new Date(now.getTime() - getTrashRetentionDays() * DAY_MS);
+    const filter = { deletedAt: { $ne: null, $lte: cutoff } };
+    const requestsCollection = db.collection("donationRequests");
+    const usersCollection = db.collection("users");
+
+    const requests = await requestsCollection.find(filter, { projection: { "documents.key": 1 } }).toArray();
+    const users = await usersCollection.find(filter, { projection: { avatarKey: 1 } }).toArray();
+
+    const keys = [
+        ...requests.flatMap((request) => (request.documents || []).map((document) => document.key)),
+        ...users.map((user) => user.avatarKey).filter(Boolean),
+    ];
+
+    // A file that can't be removed is logged and left behind, the record is purged anyway
+    let files = 0;
+    for (const key of keys) {
+        try {
+            await storage.remove(key);
+            files += 1;
+        } catch (err) {
+            console.error(`Failed to remove ${key}:`, err);
+        }
+    }
+
+    const deletedRequests = await requestsCollection.deleteMany({ _id: { $in: requests.map((request) => request._id) } });
+    const deletedUsers = await usersCollection.deleteMany({ _id: { $in: users.map((user) => user._id) } });
+
+    return { donationRequests: deletedRequests.deletedCount, users: deletedUsers.deletedCount, files };
+};
@@ -0,0 +1,60 @@
+// FILE STORAGE
+// Every adapter exposes the same shape so the upload routes don't care where files live:
+//   save(key, buffer) -> { key, size }
+//   read(key) -> Buffer, or null when the file doesn't exist
+//   remove(key) -> nothing, missing files are ignored
+// Keys are relative paths like "avatars/<uuid>.webp". Only the local disk adapter exists so far;
+// on Vercel its files don't survive a redeploy, so a bucket-backed adapter belongs here next.
+import path from "path";
+import { mkdir, readFile, rm, writeFile } from "fs/promises";
+
+// Local disk - files under UPLOAD_DIR (defaults to ./uploads), works offline
+const createLocalStorage = ({ dir = process.env.UPLOAD_DIR || "uploads" } = {}) => {
+    const root = path.resolve(dir);
+
+    // Keys come from the app, but never let one escape the upload directory
+    const resolveKey = (key) => {
+        const filePath = path.resolve(root, key);
+        if (!filePath.startsWith(root + path.sep)) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        return filePath;
+    };
+
+    return {
+        name: "local",
+
+        save: async (key, buffer) => {
+            const filePath = resolveKey(key);
+            await mkdir(path.dirname(filePath), { recursive: true });
+            await writeFile(filePath, buffer);
+            return { key, size: buffer.length };
+        },
+
+        read: async (key) => {
+            try {
+                return await readFile(resolveKey(key));
+            } catch (err) {
+                if (err.code === "ENOENT") return null;
+                throw err;
+            }
+        },
+
+        remove: async (key) => {
+            await rm(resolveKey(key), { force: true });
+        },
+    };
+};
+
+const adapters = {
+    local: createLocalStorage,
+};
+
+// Pick the adapter from STORAGE_DRIVER (defaults to local disk); options go to the adapter
+export const createStorage = (name = process.env.STORAGE_DRIVER || "local", options = {}) => {
+    const factory = adapters[name];
+    if (!factory) {
+        throw new Error(`Unknown storage driver: ${name}`);
+    }
+    return factory(options);
+};
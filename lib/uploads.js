@@ -0,0 +1,104 @@
+// UPLOADS
+// Multer keeps uploads in memory (size-capped), the content is checked against what the client
+// claimed, and images are re-encoded with sharp before they reach storage - this resizes them,
+// drops EXIF data (e.g. GPS) and rejects files that only pretend to be images.
+import { randomUUID } from "crypto";
+import multer from "multer";
+import sharp from "sharp";
+
+const MB = 1024 * 1024;
+
+// Images with more pixels than this are refused before decoding (decompression bombs)
+const MAX_INPUT_PIXELS = 40_000_000;
+
+export const AVATAR_SIZE = 256;
+export const DOCUMENT_MAX_DIMENSION = 2000;
+export const MAX_DOCUMENTS_PER_REQUEST = 5;
+
+export const UPLOAD_RULES = {
+    avatar: {
+        mimeTypes: ["image/jpeg", "image/png", "image/webp"],
+        maxSize: 5 * MB,
+        typeError: "AVATAR_TYPE_NOT_ALLOWED",
+    },
+    document: {
+        mimeTypes: ["application/pdf", "image/jpeg", "image/png"],
+        maxSize: 10 * MB,
+        typeError: "DOCUMENT_TYPE_NOT_ALLOWED",
+    },
+};
+
+// Single-file upload middleware for field "file" that answers 400 instead of passing
+// upload errors (too large, wrong type) to Express. typeError is the message code for a refused type.
+export const uploadSingle = ({ mimeTypes, maxSize, typeError }) => {
+    const upload = multer({
+        storage: multer.memoryStorage(),
+        limits: { fileSize: maxSize, files: 1 },
+        fileFilter: (req, file, cb) => {
+            if (!mimeTypes.includes(file.mimetype)) return cb(Object.assign(new Error(typeError), { code: typeError }));
+            cb(null, true);
+        },
+    }).single("file");
+
+    return (req, res, next) => {
+        upload(req, res, (err) => {
+            if (err?.code === "LIMIT_FILE_SIZE") return res.status(400).json(req.t("FILE_TOO_LARGE", { max: maxSize / MB }));
+            if (err?.code === typeError) return res.status(400).json(req.t(typeError));
+            if (err) return res.status(400).json(req.t("UPLOAD_FAILED", { reason: err.message }));
+            next();
+        });
+    };
+};
+
+const isPdf = (buffer) => buffer.subarray(0, 5).toString("latin1") === "%PDF-";
+
+// Square WebP thumbnail - returns { buffer, contentType, extension } or { error } with a message code
+export const processAvatar = async (buffer) => {
+    try {
+        const output = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS })
+            .rotate()
+            .resize(AVATAR_SIZE, AVATAR_SIZE, { fit: "cover" })
+            .webp({ quality: 80 })
+            .toBuffer();
+        return { buffer: output, contentType: "image/webp", extension: "webp" };
+    } catch (err) {
+        return { error: "INVALID_IMAGE" };
+    }
+};
+
+// PDFs are stored as-is once the signature matches; images are scaled down to fit
+// DOCUMENT_MAX_DIMENSION and keep their format. Returns { buffer, contentType, extension } or { error }
+export const processDocument = async (file) => {
+    if (file.mimetype === "application/pdf") {
+        if (!isPdf(file.buffer)) return { error: "INVALID_PDF" };
+        return { buffer: file.buffer, contentType: "application/pdf", extension: "pdf" };
+    }
+
+    try {
+        const { format } = await sharp(file.buffer).metadata();
+        const image = sharp(file.buffer, { limitInputPixels: MAX_INPUT_PIXELS })
+            .rotate()
+            .resize(DOCUMENT_MAX_DIMENSION, DOCUMENT_MAX_DIMENSION, { fit: "inside", withoutEnlargement: true });
+
+        if (format === "png") {
+            return { buffer: await image.png().toBuffer(), contentType: "image/png", extension: "png" };
+        }
+        return { buffer: await image.jpeg({ quality: 85 }).toBuffer(), contentType: "image/jpeg", extension: "jpg" };
+    } catch (err) {
+        return { error: "INVALID_IMAGE" };
+    }
+};
+
+// Random file names, so keys can't be guessed or collide
+export const avatarKey = () => `avatars/${randomUUID()}.webp`;
+export const documentKey = (requestId, extension) => `documents/${requestId}/${randomUUID()}.${extension}`;
+
+const AVATAR_KEY_PATTERN = /^avatars\/[0-9a-f-]{36}\.webp$/;
+
+// Storage key of an avatar URL this server handed out (origin is "<protocol>://<host>"), null for any other URL
+export const avatarKeyFromUrl = (url, origin) => {
+    const prefix = `${origin}/files/`;
+    if (typeof url !== "string" || !url.startsWith(prefix)) return null;
+    const key = url.slice(prefix.length);
+    return AVATAR_KEY_PATTERN.test(key) ? key : null;
+};
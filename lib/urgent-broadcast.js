@@ -0,0 +1,153 @@
+// URGENT REQUEST BROADCASTING
+// Critical requests are pushed to every eligible, compatible donor in the recipient's district.
+// Creating the request only queues the alerts in the urgentAlerts collection; the deliver-alerts job
+// sends them through the notifier, so a large district doesn't hold up the request.
+// A donor gets at most one urgent alert per URGENT_ALERT_COOLDOWN_HOURS (default 24).
+import { ObjectId } from "mongodb";
+import { getCompatibleDonorGroups } from "./blood-compatibility.js";
+import { eligibleDonorFilter } from "./eligibility.js";
+import { NOT_DELETED } from "./soft-delete.js";
+
+// Alerts delivered at once; keeps a large district from opening hundreds of SMTP connections
+const ALERT_DELIVERY_CONCURRENCY = 10;
+// Alerts one job run picks up, so a run stays well inside the serverless function timeout
+const ALERT_DELIVERY_BATCH = 100;
+// A failed alert is retried on later runs, then given up as "failed"
+export const MAX_ALERT_ATTEMPTS = 3;
+// How long a run holds its claimed alerts; a run that crashed releases them once this passes
+const ALERT_CLAIM_MS = 5 * 60 * 1000;
+
+const getAlertCooldownHours = () => {
+    const hours = parseInt(process.env.URGENT_ALERT_COOLDOWN_HOURS);
+    return Number.isFinite(hours) && hours >= 0 ? hours : 24;
+};
+
+// Returns { alerted, rateLimited } counts; alerted alerts are queued for the deliver-alerts job
+export const queueUrgentAlerts = async (db, request) => {
+    const usersCollection = db.collection("users");
+    const alertsCollection = db.collection("urgentAlerts");
+
+    const donors = await usersCollection
+        .find(
+            {
+                role: "donor",
+                status: "active",
+                district: request.recipientDistrict,
+                bloodGroup: { $in: getCompatibleDonorGroups(request.bloodGroup) },
+                email: { $ne: request.requesterEmail },
+                ...NOT_DELETED,
+                ...eligibleDonorFilter(),
+            },
+            { projection: { name: 1, email: 1, upazila: 1 } }
+        )
+        .toArray();
+
+    if (donors.length === 0) return { alerted: 0, rateLimited: 0 };
+
+    // Donors already alerted inside the cooldown window are skipped
+    const cooldownStart = new Date(Date.now() - getAlertCooldownHours() * 60 * 60 * 1000);
+    const recentlyAlerted = new Set(
+        await alertsCollection.distinct("donorEmail", {
+            donorEmail: { $in: donors.map((donor) => donor.email) },
+            createdAt: { $gt: cooldownStart },
+        })
+    );
+
+    const alerts = donors
+        .filter((donor) => !recentlyAlerted.has(donor.email))
+        .map((donor) => ({
+            requestId: request._id,
+            donorName: donor.name,
+            donorEmail: donor.email,
+            sameUpazila: donor.upazila === request.recipientUpazila,
+            status: "queued",
+            attempts: 0,
+            respondedAt: null,
+            createdAt: new Date(),
+        }));
+
+    if (alerts.length > 0) await alertsCollection.insertMany(alerts);
+
+    return { alerted: alerts.length, rateLimited: donors.length - alerts.length };
+};
+
+// DELIVERY JOB
+// Sends queued alerts oldest first. Alerts are claimed before sending, so overlapping runs
+// (cron retries, server.js timers) never send the same alert twice.
+// Returns { sent, failed, canceled } counts
+export const deliverUrgentAlerts = async (db, notifier, { now = new Date() } = {}) => {
+    const alertsCollection = db.collection("urgentAlerts");
+    const unclaimed = { claimedUntil: { $not: { $gt: now } } };
+
+    const pending = await alertsCollection
+        .find({ status: "queued", attempts: { $lt: MAX_ALERT_ATTEMPTS }, ...unclaimed }, { projection: { _id: 1 } })
+        .sort({ createdAt: 1 })
+        .limit(ALERT_DELIVERY_BATCH)
+        .toArray();
+    if (pending.length === 0) return { sent: 0, failed: 0, canceled: 0 };
+
+    const claimId = new ObjectId();
+    await alertsCollection.updateMany(
+        { _id: { $in: pending.map((alert) => alert._id) }, status: "queued", ...unclaimed },
+        { $set: { claimId, claimedUntil: new Date(now.getTime() + ALERT_CLAIM_MS) } }
+    );
+    const alerts = await alertsCollection.find({ claimId }).toArray();
+
+    // Requests that were claimed, closed or deleted meanwhile don't need donors any more
+    const openRequests = await db
+        .collection("donationRequests")
+        .find({ _id: { $in: alerts.map((alert) => alert.requestId) }, status: "pending", ...NOT_DELETED })
+        .toArray();
+    const requestsById = new Map(openRequests.map((request) => [request._id.toString(), request]));
+
+    const sent = [];
+    const failed = [];
+    const canceled = [];
+    const deliverable = alerts.filter((alert) => {
+        if (requestsById.has(alert.requestId.toString())) return true;
+        canceled.push(alert._id);
+        return false;
+    });
+
+    for (let i = 0; i < deliverable.length; i += ALERT_DELIVERY_CONCURRENCY) {
+        const batch = deliverable.slice(i, i + ALERT_DELIVERY_CONCURRENCY);
+        const results = await Promise.all(
+            batch.map((alert) =>
+                notifier.notify(db, "request.urgent_alert", {
+                    request: requestsById.get(alert.requestId.toString()),
+                    donorEmail: alert.donorEmail,
+                })
+            )
+        );
+        // notify logs failed deliveries itself; an alert only counts as sent when every channel delivered it
+        results.forEach((deliveries, index) => {
+            const delivered = deliveries.every((delivery) => delivery.status === "fulfilled");
+            (delivered ? sent : failed).push(batch[index]._id);
+        });
+    }
+
+    const release = { $unset: ["claimId", "claimedUntil"] };
+    if (sent.length > 0) {
+        await alertsCollection.updateMany({ _id: { $in: sent } }, [{ $set: { status: "sent", sentAt: now } }, release]);
+    }
+    if (failed.length > 0) {
+        // Failed alerts stay queued for the next run until they run out of attempts
+        await alertsCollection.updateMany({ _id: { $in: failed } }, [
+            { $set: { attempts: { $add: ["$attempts", 1] } } },
+            { $set: { status: { $cond: [{ $gte: ["$attempts", MAX_ALERT_ATTEMPTS] }, "failed", "queued"] } } },
+            release,
+        ]);
+    }
+    if (canceled.length > 0) {
+        await alertsCollection.updateMany({ _id: { $in: canceled } }, [{ $set: { status: "canceled" } }, release]);
+    }
+
+    return { sent: sent.length, failed: failed.length, canceled: canceled.length };
+};
+
+// Mark a donor's alert as answered when they confirm the request
+export const recordAlertResponse = async (db, requestId, donorEmail) => {
+    await db
+        .collection("urgentAlerts")
+        .updateOne({ requestId, donorEmail, respondedAt: null }, { $set: { respondedAt: new Date() } });
+};
@@ -0,0 +1,94 @@
+// REQUEST BODY VALIDATION
+// Schemas are plain objects of field -> rules:
+//   { type, required, enum, pattern, message, maxLength, min, max, custom(value, body), schema }
+// custom returns an error message string (or nothing when the value is fine).
+// type "object" validates a nested object against `schema` (always partially, errors as "parent.field").
+// Fields not listed in the schema are rejected, so routes can safely $set the validated body.
+
+const checkField = (field, value, rules, body) => {
+    const label = rules.label || field;
+
+    if (rules.type === "string" && typeof value !== "string") return `${label} must be a string`;
+    if (rules.type === "number" && (typeof value !== "number" || !Number.isFinite(value))) {
+        return `${label} must be a number`;
+    }
+    if (rules.type === "boolean" && typeof value !== "boolean") return `${label} must be true or false`;
+
+    if (rules.type === "string" && value.trim() === "") return `${label} cannot be empty`;
+    if (rules.maxLength && value.length > rules.maxLength) {
+        return `${label} must be at most ${rules.maxLength} characters`;
+    }
+    if (rules.min !== undefined && value < rules.min) return `${label} must be at least ${rules.min}`;
+    if (rules.max !== undefined && value > rules.max) return `${label} must be at most ${rules.max}`;
+    if (rules.enum && !rules.enum.includes(value)) {
+        return `${label} must be one of: ${rules.enum.join(", ")}`;
+    }
+    if (rules.pattern && !rules.pattern.test(value)) return rules.message || `${label} is invalid`;
+    if (rules.custom) return rules.custom(value, body);
+
+    return null;
+};
+
+// Validate a body against a schema. In partial mode (updates) missing fields are allowed,
+// but at least one known field must be present.
+export const validate = (schema, body, { partial = false } = {}) => {
+    const errors = [];
+    const value = {};
+
+    if (!body || typeof body !== "object" || Array.isArray(body)) {
+        return { value, errors: [{ field: "body", message: "Request body must be a JSON object" }] };
+    }
+
+    for (const field of Object.keys(body)) {
+        if (!schema[field]) errors.push({ field, message: `${field} is not allowed` });
+    }
+
+    for (const [field, rules] of Object.entries(schema)) {
+        const fieldValue = body[field];
+
+        if (fieldValue === undefined || fieldValue === null || fieldValue === "") {
+            if (rules.required && !partial) {
+                errors.push({ field, message: `${rules.label || field} is required` });
+            }
+            continue;
+        }
+
+        if (rules.type === "object") {
+            if (typeof fieldValue !== "object" || Array.isArray(fieldValue)) {
+                errors.push({ field, message: `${rules.label || field} must be an object` });
+                continue;
+            }
+            const nested = validate(rules.schema, fieldValue, { partial: true });
+            nested.errors.forEach((error) => {
+                errors.push({ ...error, field: error.field === "body" ? field : `${field}.${error.field}` });
+            });
+            if (nested.errors.length === 0) value[field] = nested.value;
+            continue;
+        }
+
+        const message = checkField(field, fieldValue, rules, body);
+        if (message) {
+            errors.push({ field, message });
+        } else {
+            value[field] = typeof fieldValue === "string" ? fieldValue.trim() : fieldValue;
+        }
+    }
+
+    if (partial && errors.length === 0 && Object.keys(value).length === 0) {
+        errors.push({ field: "body", message: "No updatable fields provided" });
+    }
+
+    return { value, errors };
+};
+
+// Express middleware - replaces req.body with the validated, whitelisted fields
+export const validateBody = (schema, options = {}) => {
+    return (req, res, next) => {
+        const { value, errors } = validate(schema, req.body, options);
+        if (errors.length > 0) {
+            return res.status(400).json({ ...req.t("VALIDATION_FAILED"), errors });
+        }
+        req.body = value;
+        next();
+    };
+};
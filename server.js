@@ -0,0 +1,110 @@
+// STANDALONE SERVER
+// Local/self-hosted entry point: node server.js
+import dotenv from "dotenv";
+import { createApp } from "./app.js";
+import { loadConfig } from "./lib/config.js";
+import { connectDB, closeDB } from "./lib/db.js";
+import { getFirebaseAuth } from "./lib/firebase.js";
+import { createNotifier } from "./lib/notifications.js";
+import { createLiveUpdates } from "./lib/live-updates.js";
+import { JOBS, getJobIntervalMinutes, runAllJobs } from "./lib/jobs.js";
+
+dotenv.config();
+
+let config;
+try {
+    config = loadConfig();
+} catch (err) {
+    console.error(err.message);
+    process.exit(1);
+}
+
+const notifier = createNotifier();
+const liveUpdates = createLiveUpdates();
+
+const app = createApp({
+    db: () => connectDB(config),
+    auth: getFirebaseAuth(config.firebaseServiceAccount),
+    notifier,
+    liveUpdates,
+});
+
+const server = app.listen(config.port, () => {
+    console.log(`Blood Bridge server listening on http://localhost:${config.port}`);
+});
+
+// SCHEDULED JOBS
+// Vercel runs them through cron (GET /cron/:job); here they run on an interval
+let jobsRunning = false;
+
+const runJobs = async () => {
+    // Skip a tick rather than overlap with a slow previous run
+    if (jobsRunning) return;
+    jobsRunning = true;
+    try {
+        const results = await runAllJobs(await connectDB(config), notifier);
+        console.log("Scheduled jobs finished:", JSON.stringify(results));
+    } catch (err) {
+        console.error("Scheduled jobs failed:", err);
+    } finally {
+        jobsRunning = false;
+    }
+};
+
+const jobTimer = setInterval(runJobs, getJobIntervalMinutes() * 60 * 1000);
+jobTimer.unref();
+runJobs();
+
+// Urgent alerts can't wait for the next full run, so they go out every minute.
+// Alerts are claimed before sending, so this may overlap with runJobs.
+let alertsRunning = false;
+
+const deliverAlerts = async () => {
+    if (alertsRunning) return;
+    alertsRunning = true;
+    try {
+        await JOBS["deliver-alerts"](await connectDB(config), notifier);
+    } catch (err) {
+        console.error("Urgent alert delivery failed:", err);
+    } finally {
+        alertsRunning = false;
+    }
+};
+
+const alertTimer = setInterval(deliverAlerts, 60 * 1000);
+alertTimer.unref();
+
+// GRACEFUL SHUTDOWN
+// Stop accepting connections, let in-flight requests finish, then close MongoDB
+let shuttingDown = false;
+
+const shutdown = (signal) => {
+    if (shuttingDown) return;
+    shuttingDown = true;
+    console.log(`${signal} received, shutting down`);
+    clearInterval(jobTimer);
+    clearInterval(alertTimer);
+    // Event streams never finish on their own, so end them or server.close would wait for the force exit
+    liveUpdates.close();
+
+    // Don't hang forever on keep-alive connections
+    const forceExit = setTimeout(() => {
+        console.error("Forcing shutdown after 10s");
+        process.exit(1);
+    }, 10000);
+    forceExit.unref();
+
+    server.close(async (err) => {
+        if (err) console.error("Error closing HTTP server:", err);
+        try {
+            await closeDB();
+        } catch (closeErr) {
+            console.error("Error closing MongoDB:", closeErr);
+        }
+        process.exit(err ? 1 : 0);
+    });
+    server.closeIdleConnections();
+};
+
+process.on("SIGINT", () => shutdown("SIGINT"));
+process.on("SIGTERM", () => shutdown("SIGTERM"));
@@ -0,0 +1,275 @@
+import { describe, it, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import request from "supertest";
+import { setupTestApp, authHeader, createUser, createDonationRequest } from "./helpers.js";
+
+describe("Admin APIs", () => {
+    let ctx;
+    let donor;
+
+    before(async () => {
+        ctx = await setupTestApp();
+    });
+
+    after(async () => {
+        await ctx.close();
+    });
+
+    beforeEach(async () => {
+        await ctx.reset();
+        await createUser(ctx.db, { email: "admin@example.com", role: "admin" });
+        await createUser(ctx.db, { email: "vol@example.com", role: "volunteer" });
+        donor = await createUser(ctx.db, { email: "donor@example.com" });
+    });
+
+    describe("GET /dashboard/all-users", () => {
+        it("filters by status and paginates", async () => {
+            await createUser(ctx.db, { email: "blocked@example.com", status: "blocked" });
+
+            const res = await request(ctx.app)
+                .get("/dashboard/all-users")
+                .query({ status: "blocked", page: 1, limit: 10 })
+                .set(authHeader("admin@example.com"));
+
+            assert.equal(res.status, 200);
+            assert.equal(res.body.total, 1);
+            assert.equal(res.body.users[0].email, "blocked@example.com");
+        });
+    });
+
+    describe("PUT /dashboard/user/:id", () => {
+        it("changes role and status and writes an audit log", async () => {
+            const res = await request(ctx.app)
+                .put(`/dashboard/user/${donor._id}`)
+                .set(authHeader("admin@example.com"))
+                .set("X-Forwarded-For", "203.0.113.66, 198.51.100.7")
+                .send({ role: "volunteer", status: "blocked" });
+
+            assert.equal(res.status, 200);
+
+            const saved = await ctx.db.collection("users").findOne({ _id: donor._id });
+            assert.equal(saved.role, "volunteer");
+            assert.equal(saved.status, "blocked");
+
+            const log = await ctx.db.collection("auditLogs").findOne({ targetId: donor._id });
+            assert.equal(log.actorEmail, "admin@example.com");
+            assert.equal(log.action, "user.update");
+            assert.deepEqual(log.changes.role, { from: "donor", to: "volunteer" });
+            // Only the address added by the trusted proxy counts, not the one the client sent
+            assert.equal(log.ip, "198.51.100.7");
+        });
+
+        it("syncs the role claim and revokes the user's tokens", async () => {
+            const res = await request(ctx.app)
+                .put(`/dashboard/user/${donor._id}`)
+                .set(authHeader("admin@example.com"))
+                .send({ role: "volunteer" });
+
+            assert.equal(res.status, 200);
+            assert.equal(res.body.claimsSynced, true);
+            assert.deepEqual(ctx.auth.claimsByUid.get("uid-donor@example.com"), { role: "volunteer" });
+            assert.deepEqual(ctx.auth.revokedUids, ["uid-donor@example.com"]);
+        });
+
+        it("returns 404 for unknown users", async () => {
+            const res = await request(ctx.app)
+                .put("/dashboard/user/650000000000000000000000")
+                .set(authHeader("admin@example.com"))
+                .send({ status: "blocked" });
+            assert.equal(res.status, 404);
+        });
+
+        it("rejects fields other than role and status", async () => {
+            const res = await request(ctx.app)
+                .put(`/dashboard/user/${donor._id}`)
+                .set(authHeader("admin@example.com"))
+                .send({ email: "new@example.com", role: "superuser" });
+
+            assert.equal(res.status, 400);
+            assert.equal(res.body.errors.length, 2);
+        });
+
+        it("is admin only", async () => {
+            const res = await request(ctx.app)
+                .put(`/dashboard/user/${donor._id}`)
+                .set(authHeader("vol@example.com"))
+                .send({ role: "admin" });
+            assert.equal(res.status, 403);
+        });
+    });
+
+    describe("GET /dashboard/audit-logs", () => {
+        it("filters by actor", async () => {
+            const { _id } = await createDonationRequest(ctx.db);
+            await request(ctx.app)
+                .put(`/dashboard/donation-request/${_id}/status`)
+                .set(authHeader("vol@example.com"))
+                .send({ status: "canceled" });
+            await request(ctx.app)
+                .put(`/dashboard/user/${donor._id}`)
+                .set(authHeader("admin@example.com"))
+                .send({ status: "blocked" });
+
+            const res = await request(ctx.app)
+                .get("/dashboard/audit-logs")
+                .query({ actor: "vol@example.com" })
+                .set(authHeader("admin@example.com"));
+
+            assert.equal(res.status, 200);
+            assert.equal(res.body.total, 1);
+            assert.equal(res.body.logs[0].action, "donationRequest.status");
+        });
+
+        it("rejects invalid date ranges", async () => {
+            const res = await request(ctx.app)
+                .get("/dashboard/audit-logs")
+                .query({ from: "yesterday" })
+                .set(authHeader("admin@example.com"));
+            assert.equal(res.status, 400);
+        });
+    });
+
+    describe("GET /dashboard/analytics", () => {
+        it("aggregates requests in the range", async () => {
+            const createdAt = new Date(Date.now() - 2 * 24 * 60 * 60 * 1000);
+            await createDonationRequest(ctx.db, { createdAt, bloodGroup: "A+" });
+            await createDonationRequest(ctx.db, { createdAt, bloodGroup: "A+", status: "canceled" });
+            await createDonationRequest(ctx.db, {
+                createdAt,
+                bloodGroup: "B+",
+                status: "done",
+                donorName: "Donor",
+                donorEmail: "donor@example.com",
+                statusHistory: [{ from: "inprogress", to: "done", changedAt: new Date() }],
+            });
+
+            const res = await request(ctx.app)
+                .get("/dashboard/analytics")
+                .query({ interval: "day" })
+                .set(authHeader("admin@example.com"));
+
+            assert.equal(res.status, 200);
+            assert.equal(res.body.totalRequests, 3);
+            assert.equal(res.body.cancelRate, 0.333);
+            assert.equal(res.body.byBloodGroup[0].key, "A+");
+            assert.equal(res.body.topDonors[0].donorEmail, "donor@example.com");
+            assert.ok(res.body.averageHoursToDone > 40);
+        });
+
+        it("rejects unknown intervals", async () => {
+            const res = await request(ctx.app)
+                .get("/dashboard/analytics")
+                .query({ interval: "year" })
+                .set(authHeader("admin@example.com"));
+            assert.equal(res.status, 400);
+        });
+    });
+
+    describe("bulk export and import", () => {
+        const csvFile = (lines) => Buffer.from(lines.join("\n"));
+        const header = "name,email,bloodGroup,district,upazila";
+
+        it("streams users as CSV honoring the status filter", async () => {
+            await createUser(ctx.db, { email: "blocked@example.com", name: "Blocked, Person", status: "blocked" });
+
+            const res = await request(ctx.app)
+                .get("/dashboard/export/users")
+                .query({ status: "blocked" })
+                .set(authHeader("admin@example.com"));
+
+            assert.equal(res.status, 200);
+            assert.match(res.headers["content-type"], /text\/csv/);
+            const lines = res.text.trim().split("\r\n");
+            assert.equal(lines.length, 2);
+            assert.ok(lines[0].startsWith("_id,name,email"));
+            assert.ok(lines[1].includes('"Blocked, Person",blocked@example.com'));
+        });
+
+        it("streams donation requests as JSON", async () => {
+            await createDonationRequest(ctx.db, { status: "done" });
+            await createDonationRequest(ctx.db);
+
+            const res = await request(ctx.app)
+                .get("/dashboard/export/donation-requests")
+                .query({ format: "json", status: "done" })
+                .set(authHeader("admin@example.com"));
+
+            assert.equal(res.status, 200);
+            const requests = JSON.parse(res.text);
+            assert.equal(requests.length, 1);
+            assert.equal(requests[0].status, "done");
+            assert.equal(requests[0].statusHistory, undefined);
+        });
+
+        it("is admin only", async () => {
+            const res = await request(ctx.app).get("/dashboard/export/users").set(authHeader("vol@example.com"));
+            assert.equal(res.status, 403);
+        });
+
+        it("validates every row in a dry run without writing", async () => {
+            const res = await request(ctx.app)
+                .post("/dashboard/import/donors")
+                .query({ dryRun: "true" })
+                .set(authHeader("admin@example.com"))
+                .attach(
+                    "file",
+                    csvFile([
+                        header,
+                        "Karim,karim@example.com,A+,Dhaka,Savar",
+                        "Dup,donor@example.com,A+,Dhaka,Savar",
+                        "Bad,bad@example.com,Z+,Dhaka,Savar",
+                    ]),
+                    { filename: "drive.csv", contentType: "text/csv" }
+                );
+
+            assert.equal(res.status, 200);
+            assert.equal(res.body.valid, 1);
+            assert.equal(res.body.failed, 2);
+            assert.deepEqual(
+                res.body.rows.map((row) => row.status),
+                ["valid", "error", "error"]
+            );
+            assert.equal(await ctx.db.collection("users").countDocuments({ email: "karim@example.com" }), 0);
+        });
+
+        it("imports valid rows, audits the import and lets donors claim their record", async () => {
+            const res = await request(ctx.app)
+                .post("/dashboard/import/donors")
+                .set(authHeader("admin@example.com"))
+                .attach("file", csvFile([header, "Karim,karim@example.com,A+,Dhaka,Savar"]), {
+                    filename: "drive.csv",
+                    contentType: "text/csv",
+                });
+
+            assert.equal(res.status, 201);
+            assert.equal(res.body.imported, 1);
+
+            const log = await ctx.db.collection("auditLogs").findOne({ action: "user.import" });
+            assert.equal(log.changes.imported, 1);
+
+            const registered = await request(ctx.app)
+                .post("/register-user")
+                .set(authHeader("karim@example.com"))
+                .send({ name: "Karim Rahman", bloodGroup: "A+", district: "Dhaka", upazila: "Savar" });
+            assert.equal(registered.status, 201);
+
+            const users = await ctx.db.collection("users").find({ email: "karim@example.com" }).toArray();
+            assert.equal(users.length, 1);
+            assert.equal(users[0].uid, "uid-karim@example.com");
+            assert.equal(users[0].name, "Karim Rahman");
+        });
+
+        it("rejects files with missing columns", async () => {
+            const res = await request(ctx.app)
+                .post("/dashboard/import/donors")
+                .set(authHeader("admin@example.com"))
+                .attach("file", csvFile(["name,email", "Karim,karim@example.com"]), {
+                    filename: "drive.csv",
+                    contentType: "text/csv",
+                });
+
+            assert.equal(res.status, 400);
+            assert.match(res.body.message, /missing columns: bloodGroup, district, upazila/);
+        });
+    });
+});
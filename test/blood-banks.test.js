@@ -0,0 +1,233 @@
+import { describe, it, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import request from "supertest";
+import { setupTestApp, authHeader, createUser, createDonationRequest, daysFromNow } from "./helpers.js";
+
+describe("Blood bank APIs", () => {
+    let ctx;
+    let bank;
+
+    before(async () => {
+        ctx = await setupTestApp();
+    });
+
+    after(async () => {
+        await ctx.close();
+    });
+
+    beforeEach(async () => {
+        await ctx.reset();
+        await createUser(ctx.db, { email: "admin@example.com", name: "Admin", role: "admin" });
+        await createUser(ctx.db, { email: "hospital@example.com", name: "Hospital Staff", role: "hospital" });
+        await createUser(ctx.db, { email: "other-hospital@example.com", name: "Other Staff", role: "hospital" });
+        await createUser(ctx.db, { email: "requester@example.com", name: "Requester" });
+
+        bank = {
+            name: "Savar Central Blood Bank",
+            district: "Dhaka",
+            upazila: "Savar",
+            address: "Savar Bazar Road",
+            managerEmails: ["hospital@example.com"],
+            createdAt: new Date(),
+        };
+        await ctx.db.collection("bloodBanks").insertOne(bank);
+    });
+
+    const addStock = (overrides = {}) =>
+        ctx.db.collection("bloodStock").insertOne({
+            bankId: bank._id,
+            bloodGroup: "B+",
+            units: 3,
+            expiresOn: daysFromNow(10),
+            createdAt: new Date(),
+            ...overrides,
+        });
+
+    describe("POST /dashboard/blood-banks", () => {
+        it("lets admins create a bank managed by hospital users", async () => {
+            const res = await request(ctx.app)
+                .post("/dashboard/blood-banks")
+                .set(authHeader("admin@example.com"))
+                .send({ ...bank, _id: undefined, createdAt: undefined, name: "Second Bank" });
+
+            assert.equal(res.status, 201);
+            assert.deepEqual(res.body.bank.managerEmails, ["hospital@example.com"]);
+        });
+
+        it("rejects managers without the hospital role", async () => {
+            const res = await request(ctx.app)
+                .post("/dashboard/blood-banks")
+                .set(authHeader("admin@example.com"))
+                .send({ name: "Bank", district: "Dhaka", upazila: "Savar", address: "Road", managerEmails: ["requester@example.com"] });
+
+            assert.equal(res.status, 400);
+            assert.match(res.body.message, /requester@example.com/);
+        });
+    });
+
+    describe("stock", () => {
+        it("lets the bank's manager add stock and blocks other hospitals", async () => {
+            const res = await request(ctx.app)
+                .post(`/dashboard/blood-banks/${bank._id}/stock`)
+                .set(authHeader("hospital@example.com"))
+                .send({ bloodGroup: "O-", units: 4, expiresOn: daysFromNow(20) });
+            assert.equal(res.status, 201);
+
+            const other = await request(ctx.app)
+                .post(`/dashboard/blood-banks/${bank._id}/stock`)
+                .set(authHeader("other-hospital@example.com"))
+                .send({ bloodGroup: "O-", units: 4, expiresOn: daysFromNow(20) });
+            assert.equal(other.status, 403);
+
+            const expired = await request(ctx.app)
+                .post(`/dashboard/blood-banks/${bank._id}/stock`)
+                .set(authHeader("hospital@example.com"))
+                .send({ bloodGroup: "O-", units: 4, expiresOn: daysFromNow(-1) });
+            assert.equal(expired.status, 400);
+        });
+
+        it("audits bank updates and stock changes by the manager", async () => {
+            const updated = await request(ctx.app)
+                .put(`/dashboard/blood-banks/${bank._id}`)
+                .set(authHeader("hospital@example.com"))
+                .send({ address: "Thana Road, Savar" });
+            assert.equal(updated.status, 200);
+
+            const added = await request(ctx.app)
+                .post(`/dashboard/blood-banks/${bank._id}/stock`)
+                .set(authHeader("hospital@example.com"))
+                .send({ bloodGroup: "O-", units: 4, expiresOn: daysFromNow(20) });
+            const stockId = added.body.batch._id;
+
+            const corrected = await request(ctx.app)
+                .put(`/dashboard/blood-banks/${bank._id}/stock/${stockId}`)
+                .set(authHeader("hospital@example.com"))
+                .send({ units: 1 });
+            assert.equal(corrected.status, 200);
+
+            const logs = await ctx.db.collection("auditLogs").find({}).sort({ _id: 1 }).toArray();
+            assert.deepEqual(
+                logs.map((log) => log.action),
+                ["bloodBank.update", "bloodStock.add", "bloodStock.update"]
+            );
+            assert.ok(logs.every((log) => log.actorEmail === "hospital@example.com" && log.actorRole === "hospital"));
+            assert.deepEqual(logs[0].changes.address, { from: "Savar Bazar Road", to: "Thana Road, Savar" });
+            assert.equal(logs[2].targetId.toString(), stockId);
+            assert.deepEqual(logs[2].changes.units, { from: 4, to: 1 });
+        });
+
+        it("shows only unexpired units in the public availability search", async () => {
+            await addStock({ units: 2 });
+            await addStock({ units: 5, expiresOn: daysFromNow(-2) });
+            await addStock({ bloodGroup: "O-", units: 1 });
+
+            const res = await request(ctx.app).get("/blood-banks?district=Dhaka&bloodGroup=B%2B");
+            assert.equal(res.status, 200);
+            assert.equal(res.body.total, 1);
+            assert.deepEqual(
+                res.body.banks[0].stock.map(({ bloodGroup, units }) => ({ bloodGroup, units })),
+                [{ bloodGroup: "B+", units: 2 }]
+            );
+            assert.equal(res.body.banks[0].managerEmails, undefined);
+
+            const compatible = await request(ctx.app).get("/blood-banks?bloodGroup=B%2B&compatible=true");
+            assert.deepEqual(
+                compatible.body.banks[0].stock.map(({ bloodGroup }) => bloodGroup),
+                ["B+", "O-"]
+            );
+
+            const none = await request(ctx.app).get("/blood-banks?bloodGroup=AB-");
+            assert.equal(none.body.total, 0);
+        });
+    });
+
+    describe("PUT /dashboard/donation-request/:id/fulfil-from-bank", () => {
+        it("takes the soonest-expiring units and assigns the bank to the request", async () => {
+            const later = await addStock({ units: 3, expiresOn: daysFromNow(20) });
+            const sooner = await addStock({ units: 1, expiresOn: daysFromNow(2) });
+            const { _id } = await createDonationRequest(ctx.db, { bloodGroup: "B+" });
+
+            const res = await request(ctx.app)
+                .put(`/dashboard/donation-request/${_id}/fulfil-from-bank`)
+                .set(authHeader("hospital@example.com"))
+                .send({ bankId: bank._id.toString(), units: 2 });
+
+            assert.equal(res.status, 200);
+            const stock = ctx.db.collection("bloodStock");
+            assert.equal((await stock.findOne({ _id: sooner.insertedId })).units, 0);
+            assert.equal((await stock.findOne({ _id: later.insertedId })).units, 2);
+
+            const updated = await ctx.db.collection("donationRequests").findOne({ _id });
+            assert.equal(updated.status, "inprogress");
+            assert.equal(updated.donorName, bank.name);
+            assert.equal(updated.bankFulfilment.units, 2);
+            assert.equal(updated.statusHistory.at(-1).role, "hospital");
+
+            // The audit entry records the reserved batches
+            const log = await ctx.db.collection("auditLogs").findOne({ action: "donationRequest.fulfilFromBank" });
+            assert.equal(log.actorEmail, "hospital@example.com");
+            assert.deepEqual(log.targetId, _id);
+            assert.deepEqual(
+                log.changes.bankFulfilment.to.batches.map((reservedBatch) => reservedBatch.units),
+                [1, 1]
+            );
+
+            const done = await request(ctx.app)
+                .put(`/dashboard/my-donation-request/${_id}/status`)
+                .set(authHeader("requester@example.com"))
+                .send({ status: "done" });
+            assert.equal(done.status, 200);
+        });
+
+        it("puts the units back when the request is reopened or canceled", async () => {
+            const batch = await addStock({ units: 3 });
+            const stockUnits = async () => (await ctx.db.collection("bloodStock").findOne({ _id: batch.insertedId })).units;
+            const { _id } = await createDonationRequest(ctx.db, { bloodGroup: "B+" });
+            const fulfil = () =>
+                request(ctx.app)
+                    .put(`/dashboard/donation-request/${_id}/fulfil-from-bank`)
+                    .set(authHeader("hospital@example.com"))
+                    .send({ bankId: bank._id.toString(), units: 2 });
+
+            assert.equal((await fulfil()).status, 200);
+            assert.equal(await stockUnits(), 1);
+
+            const reopened = await request(ctx.app)
+                .put(`/dashboard/donation-request/${_id}/status`)
+                .set(authHeader("admin@example.com"))
+                .send({ status: "pending" });
+            assert.equal(reopened.status, 200);
+            assert.equal(await stockUnits(), 3);
+            assert.equal((await ctx.db.collection("donationRequests").findOne({ _id })).bankFulfilment, undefined);
+
+            assert.equal((await fulfil()).status, 200);
+            const canceled = await request(ctx.app)
+                .put(`/dashboard/my-donation-request/${_id}/status`)
+                .set(authHeader("requester@example.com"))
+                .send({ status: "canceled" });
+            assert.equal(canceled.status, 200);
+            assert.equal(await stockUnits(), 3);
+        });
+
+        it("refuses when there isn't enough stock or the group is incompatible", async () => {
+            await addStock({ units: 1 });
+            await addStock({ bloodGroup: "A+", units: 5 });
+            const { _id } = await createDonationRequest(ctx.db, { bloodGroup: "B+" });
+
+            const short = await request(ctx.app)
+                .put(`/dashboard/donation-request/${_id}/fulfil-from-bank`)
+                .set(authHeader("hospital@example.com"))
+                .send({ bankId: bank._id.toString(), units: 2 });
+            assert.equal(short.status, 409);
+            assert.equal(short.body.available, 1);
+
+            const incompatible = await request(ctx.app)
+                .put(`/dashboard/donation-request/${_id}/fulfil-from-bank`)
+                .set(authHeader("hospital@example.com"))
+                .send({ bankId: bank._id.toString(), units: 1, bloodGroup: "A+" });
+            assert.equal(incompatible.status, 400);
+
+            assert.equal((await ctx.db.collection("donationRequests").findOne({ _id })).status, "pending");
+        });
+    });
+});
@@ -0,0 +1,172 @@
+import { describe, it, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import request from "supertest";
+import { setupTestApp, authHeader, createUser, daysFromNow } from "./helpers.js";
+
+describe("Campaign APIs", () => {
+    let ctx;
+
+    before(async () => {
+        ctx = await setupTestApp();
+    });
+
+    after(async () => {
+        await ctx.close();
+    });
+
+    beforeEach(async () => {
+        await ctx.reset();
+        await createUser(ctx.db, { email: "vol@example.com", name: "Volunteer", role: "volunteer" });
+        await createUser(ctx.db, { email: "donor@example.com", name: "Donor", bloodGroup: "O+" });
+        await createUser(ctx.db, { email: "donor2@example.com", name: "Second Donor", bloodGroup: "B+" });
+    });
+
+    const createCampaign = async (overrides = {}) => {
+        const campaign = {
+            title: "Savar Blood Drive",
+            venue: "Savar Community Hall",
+            district: "Dhaka",
+            upazila: "Savar",
+            startDate: daysFromNow(0),
+            endDate: daysFromNow(1),
+            capacity: 1,
+            targets: { "O+": 2 },
+            status: "scheduled",
+            registeredCount: 0,
+            createdAt: new Date(),
+            ...overrides,
+        };
+        await ctx.db.collection("campaigns").insertOne(campaign);
+        return campaign;
+    };
+
+    const register = (campaign, email) =>
+        request(ctx.app).post(`/campaigns/${campaign._id}/register`).set(authHeader(email));
+
+    it("lets volunteers create campaigns and lists upcoming ones publicly", async () => {
+        const res = await request(ctx.app)
+            .post("/dashboard/campaigns")
+            .set(authHeader("vol@example.com"))
+            .send({
+                title: "Dhanmondi Drive",
+                venue: "Dhanmondi Lake Pavilion",
+                district: "Dhaka",
+                upazila: "Savar",
+                startDate: daysFromNow(5),
+                endDate: daysFromNow(6),
+                capacity: 50,
+                targets: { "O+": 20, "B+": 10 },
+            });
+        assert.equal(res.status, 201);
+
+        const created = await ctx.db.collection("auditLogs").findOne({ action: "campaign.create" });
+        assert.equal(created.actorEmail, "vol@example.com");
+        assert.equal(created.targetId.toString(), res.body.campaign._id);
+
+        await createCampaign({ title: "Past Drive", startDate: daysFromNow(-5), endDate: daysFromNow(-4) });
+
+        const list = await request(ctx.app).get("/campaigns");
+        assert.equal(list.status, 200);
+        assert.deepEqual(list.body.campaigns.map((campaign) => campaign.title), ["Dhanmondi Drive"]);
+        assert.equal(list.body.campaigns[0].seatsLeft, 50);
+
+        const forbidden = await request(ctx.app)
+            .post("/dashboard/campaigns")
+            .set(authHeader("donor@example.com"))
+            .send({});
+        assert.equal(forbidden.status, 403);
+    });
+
+    it("enforces capacity and lets donors cancel to free their seat", async () => {
+        const campaign = await createCampaign();
+
+        assert.equal((await register(campaign, "donor@example.com")).status, 201);
+        assert.equal((await register(campaign, "donor@example.com")).status, 409);
+
+        const full = await register(campaign, "donor2@example.com");
+        assert.equal(full.status, 409);
+        assert.equal(full.body.message, "Campaign is full");
+
+        const cancel = await request(ctx.app)
+            .delete(`/campaigns/${campaign._id}/register`)
+            .set(authHeader("donor@example.com"));
+        assert.equal(cancel.status, 200);
+
+        assert.equal((await register(campaign, "donor2@example.com")).status, 201);
+        const stored = await ctx.db.collection("campaigns").findOne({ _id: campaign._id });
+        assert.equal(stored.registeredCount, 1);
+    });
+
+    it("refuses donors who won't be eligible during the campaign", async () => {
+        const campaign = await createCampaign();
+        await ctx.db
+            .collection("users")
+            .updateOne({ email: "donor@example.com" }, { $set: { lastDonationDate: new Date() } });
+
+        const res = await register(campaign, "donor@example.com");
+        assert.equal(res.status, 400);
+        assert.ok(res.body.nextEligibleDate);
+    });
+
+    it("check-in records the donation in the donor's history and stats", async () => {
+        const campaign = await createCampaign();
+        await register(campaign, "donor@example.com");
+        const registration = await ctx.db.collection("campaignRegistrations").findOne({ donorEmail: "donor@example.com" });
+
+        const res = await request(ctx.app)
+            .put(`/dashboard/campaigns/${campaign._id}/registrations/${registration._id}/check-in`)
+            .set(authHeader("vol@example.com"));
+        assert.equal(res.status, 200);
+
+        const donor = await ctx.db.collection("users").findOne({ email: "donor@example.com" });
+        assert.equal(donor.donationCount, 1);
+        assert.ok(donor.lastDonationDate);
+
+        const history = await request(ctx.app).get("/dashboard/my-donations").set(authHeader("donor@example.com"));
+        assert.equal(history.body.total, 1);
+        assert.equal(history.body.donations[0].type, "campaign");
+        assert.equal(history.body.donations[0].title, "Savar Blood Drive");
+
+        const registrations = await request(ctx.app)
+            .get(`/dashboard/campaigns/${campaign._id}/registrations`)
+            .set(authHeader("vol@example.com"));
+        assert.deepEqual(registrations.body.progress, [{ bloodGroup: "O+", target: 2, collected: 1 }]);
+
+        const again = await request(ctx.app)
+            .put(`/dashboard/campaigns/${campaign._id}/registrations/${registration._id}/check-in`)
+            .set(authHeader("vol@example.com"));
+        assert.equal(again.status, 400);
+
+        const checkIns = await ctx.db.collection("auditLogs").find({ action: "campaign.checkIn" }).toArray();
+        assert.equal(checkIns.length, 1);
+        assert.deepEqual(checkIns[0].changes.status, { from: "registered", to: "checked_in" });
+    });
+
+    it("only checks donors in while the campaign is running", async () => {
+        const campaign = await createCampaign({ startDate: daysFromNow(2), endDate: daysFromNow(3) });
+        await register(campaign, "donor@example.com");
+        const registration = await ctx.db.collection("campaignRegistrations").findOne({ donorEmail: "donor@example.com" });
+
+        const res = await request(ctx.app)
+            .put(`/dashboard/campaigns/${campaign._id}/registrations/${registration._id}/check-in`)
+            .set(authHeader("vol@example.com"));
+        assert.equal(res.status, 400);
+    });
+
+    it("canceling a campaign notifies registered donors", async () => {
+        const campaign = await createCampaign({ capacity: 5 });
+        await register(campaign, "donor@example.com");
+
+        const res = await request(ctx.app).delete(`/dashboard/campaigns/${campaign._id}`).set(authHeader("vol@example.com"));
+        assert.equal(res.status, 200);
+
+        const notification = await ctx.db
+            .collection("notifications")
+            .findOne({ userEmail: "donor@example.com", event: "campaign.canceled" });
+        assert.ok(notification);
+        assert.equal((await register(campaign, "donor2@example.com")).status, 404);
+
+        const audit = await ctx.db.collection("auditLogs").findOne({ action: "campaign.cancel" });
+        assert.deepEqual(audit.changes.status, { from: "scheduled", to: "canceled" });
+    });
+});
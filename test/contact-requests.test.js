@@ -0,0 +1,166 @@
+import { describe, it, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import request from "supertest";
+import { setupTestApp, authHeader, createUser, createDonationRequest } from "./helpers.js";
+
+describe("Donor privacy and contact requests", () => {
+    let ctx;
+    let donor;
+
+    before(async () => {
+        ctx = await setupTestApp();
+    });
+
+    after(async () => {
+        await ctx.close();
+    });
+
+    beforeEach(async () => {
+        await ctx.reset();
+        await createUser(ctx.db, { email: "requester@example.com", name: "Requester" });
+        donor = await createUser(ctx.db, {
+            email: "donor@example.com",
+            name: "Rahim Uddin Khan",
+            bloodGroup: "O-",
+            privacy: { hideContactDetails: true, availableFrom: "18:00", availableTo: "21:00" },
+        });
+    });
+
+    const sendContactRequest = (email = "requester@example.com") =>
+        request(ctx.app)
+            .post(`/donors/${donor._id}/contact-request`)
+            .set(authHeader(email))
+            .send({ message: "My father needs O- blood" });
+
+    describe("privacy preferences", () => {
+        it("masks search results and shows the availability window", async () => {
+            const res = await request(ctx.app).get("/search-donors").query({ bloodGroup: "O-" });
+
+            assert.equal(res.status, 200);
+            const [result] = res.body.donors;
+            assert.equal(result.name, "Rahim K.");
+            assert.equal(result.email, undefined);
+            assert.equal(result.avatar, undefined);
+            assert.equal(result.privacy, undefined);
+            assert.deepEqual(result.availability, { from: "18:00", to: "21:00" });
+        });
+
+        it("leaves donors who hide from search out of search and matches", async () => {
+            await request(ctx.app)
+                .put("/dashboard/profile")
+                .set(authHeader("donor@example.com"))
+                .send({ privacy: { hideFromSearch: true } })
+                .expect(200);
+
+            const saved = await ctx.db.collection("users").findOne({ email: "donor@example.com" });
+            assert.equal(saved.privacy.hideFromSearch, true);
+            assert.equal(saved.privacy.availableFrom, "18:00");
+
+            const search = await request(ctx.app).get("/search-donors").query({ bloodGroup: "O-" });
+            assert.equal(search.body.total, 0);
+
+            const { _id } = await createDonationRequest(ctx.db, { bloodGroup: "O-" });
+            const matches = await request(ctx.app)
+                .get(`/donation-request/${_id}/matches`)
+                .set(authHeader("requester@example.com"));
+            assert.equal(matches.body.total, 0);
+        });
+
+        it("hides contact details in matches unless the caller is staff", async () => {
+            await createUser(ctx.db, { email: "vol@example.com", role: "volunteer" });
+            const { _id } = await createDonationRequest(ctx.db, { bloodGroup: "O-" });
+
+            const asRequester = await request(ctx.app)
+                .get(`/donation-request/${_id}/matches`)
+                .set(authHeader("requester@example.com"));
+            assert.equal(asRequester.body.donors[0].email, undefined);
+            assert.equal(asRequester.body.donors[0].contactHidden, true);
+
+            const asVolunteer = await request(ctx.app)
+                .get(`/donation-request/${_id}/matches`)
+                .set(authHeader("vol@example.com"));
+            assert.equal(asVolunteer.body.donors[0].email, "donor@example.com");
+        });
+
+        it("validates privacy fields", async () => {
+            const res = await request(ctx.app)
+                .put("/dashboard/profile")
+                .set(authHeader("donor@example.com"))
+                .send({ privacy: { hideFromSearch: "yes", availableFrom: "25:00" } });
+
+            assert.equal(res.status, 400);
+            const fields = res.body.errors.map((error) => error.field).sort();
+            assert.deepEqual(fields, ["privacy.availableFrom", "privacy.hideFromSearch"]);
+        });
+    });
+
+    describe("contact request workflow", () => {
+        it("reveals the donor's contact only after they accept", async () => {
+            const created = await sendContactRequest();
+            assert.equal(created.status, 201);
+            assert.equal(created.body.contactRequest.donorEmail, undefined);
+
+            const notification = await ctx.db.collection("notifications").findOne({ userEmail: "donor@example.com" });
+            assert.equal(notification.event, "contact.requested");
+
+            const before = await request(ctx.app)
+                .get("/dashboard/contact-requests")
+                .query({ box: "sent" })
+                .set(authHeader("requester@example.com"));
+            assert.equal(before.body.contactRequests[0].donorContact, undefined);
+
+            const received = await request(ctx.app)
+                .get("/dashboard/contact-requests")
+                .set(authHeader("donor@example.com"));
+            assert.equal(received.body.total, 1);
+            const { _id } = received.body.contactRequests[0];
+
+            const accepted = await request(ctx.app)
+                .put(`/dashboard/contact-requests/${_id}`)
+                .set(authHeader("donor@example.com"))
+                .send({ status: "accepted" });
+            assert.equal(accepted.status, 200);
+
+            const after = await request(ctx.app)
+                .get("/dashboard/contact-requests")
+                .query({ box: "sent" })
+                .set(authHeader("requester@example.com"));
+            assert.deepEqual(after.body.contactRequests[0].donorContact, {
+                name: "Rahim Uddin Khan",
+                email: "donor@example.com",
+            });
+        });
+
+        it("only lets the addressed donor answer, once", async () => {
+            await sendContactRequest();
+            const { _id } = await ctx.db.collection("contactRequests").findOne();
+
+            const byRequester = await request(ctx.app)
+                .put(`/dashboard/contact-requests/${_id}`)
+                .set(authHeader("requester@example.com"))
+                .send({ status: "accepted" });
+            assert.equal(byRequester.status, 404);
+
+            await request(ctx.app)
+                .put(`/dashboard/contact-requests/${_id}`)
+                .set(authHeader("donor@example.com"))
+                .send({ status: "declined" })
+                .expect(200);
+
+            const again = await request(ctx.app)
+                .put(`/dashboard/contact-requests/${_id}`)
+                .set(authHeader("donor@example.com"))
+                .send({ status: "accepted" });
+            assert.equal(again.status, 409);
+        });
+
+        it("rejects duplicate pending requests and requests to yourself", async () => {
+            await sendContactRequest().expect(201);
+            const duplicate = await sendContactRequest();
+            assert.equal(duplicate.status, 409);
+
+            const self = await sendContactRequest("donor@example.com");
+            assert.equal(self.status, 400);
+        });
+    });
+});
@@ -0,0 +1,20 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { todayString } from "../lib/dates.js";
+import { validate } from "../lib/validation.js";
+import { createDonationRequestSchema } from "../lib/schemas.js";
+
+describe("todayString", () => {
+    it("takes the date in Bangladesh by default", () => {
+        // 20:30 in UTC is already 02:30 the next morning in Dhaka
+        const evening = new Date("2026-03-01T20:30:00Z");
+
+        assert.equal(todayString(evening), "2026-03-02");
+        assert.equal(todayString(evening, "UTC"), "2026-03-01");
+    });
+
+    it("accepts today's Dhaka date as a donationDate", () => {
+        const { errors } = validate(createDonationRequestSchema, { donationDate: todayString() }, { partial: true });
+        assert.deepEqual(errors, []);
+    });
+});
@@ -0,0 +1,578 @@
+import { describe, it, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import request from "supertest";
+import {
+    setupTestApp,
+    authHeader,
+    createUser,
+    createDonationRequest,
+    validDonationRequestBody,
+    daysFromNow,
+} from "./helpers.js";
+import { createNotifier } from "../lib/notifications.js";
+import { deliverUrgentAlerts, MAX_ALERT_ATTEMPTS } from "../lib/urgent-broadcast.js";
+
+describe("Donation request APIs", () => {
+    let ctx;
+
+    before(async () => {
+        ctx = await setupTestApp();
+    });
+
+    after(async () => {
+        await ctx.close();
+    });
+
+    beforeEach(async () => {
+        await ctx.reset();
+        await createUser(ctx.db, { email: "requester@example.com", name: "Requester", bloodGroup: "A+" });
+        await createUser(ctx.db, { email: "donor@example.com", name: "Donor", bloodGroup: "O-" });
+        await createUser(ctx.db, { email: "admin@example.com", name: "Admin", role: "admin" });
+        await createUser(ctx.db, { email: "vol@example.com", name: "Volunteer", role: "volunteer" });
+    });
+
+    const findRequest = (_id) => ctx.db.collection("donationRequests").findOne({ _id });
+
+    describe("POST /dashboard/create-donation-request", () => {
+        it("creates a pending request with its first history entry", async () => {
+            const res = await request(ctx.app)
+                .post("/dashboard/create-donation-request")
+                .set(authHeader("requester@example.com"))
+                .send(validDonationRequestBody());
+
+            assert.equal(res.status, 201);
+            assert.equal(res.body.donationRequest.status, "pending");
+            assert.equal(res.body.donationRequest.requesterEmail, "requester@example.com");
+            assert.equal(res.body.donationRequest.statusHistory[0].to, "pending");
+        });
+
+        it("blocks blocked users", async () => {
+            await ctx.db.collection("users").updateOne({ email: "requester@example.com" }, { $set: { status: "blocked" } });
+
+            const res = await request(ctx.app)
+                .post("/dashboard/create-donation-request")
+                .set(authHeader("requester@example.com"))
+                .send(validDonationRequestBody());
+            assert.equal(res.status, 403);
+        });
+
+        it("caps how many pending requests one user can have open", async () => {
+            for (let i = 0; i < 3; i++) await createDonationRequest(ctx.db);
+            await createDonationRequest(ctx.db, { status: "done" });
+
+            const res = await request(ctx.app)
+                .post("/dashboard/create-donation-request")
+                .set(authHeader("requester@example.com"))
+                .send(validDonationRequestBody());
+            assert.equal(res.status, 409);
+        });
+
+        it("rejects past dates and bad times", async () => {
+            const res = await request(ctx.app)
+                .post("/dashboard/create-donation-request")
+                .set(authHeader("requester@example.com"))
+                .send(validDonationRequestBody({ donationDate: daysFromNow(-2), donationTime: "25:00" }));
+
+            assert.equal(res.status, 400);
+            const fields = res.body.errors.map((error) => error.field).sort();
+            assert.deepEqual(fields, ["donationDate", "donationTime"]);
+        });
+
+        it("broadcasts critical requests to compatible donors in the district", async () => {
+            await createUser(ctx.db, { email: "far@example.com", bloodGroup: "O-", district: "Sylhet", upazila: "Balaganj" });
+            await createUser(ctx.db, { email: "incompatible@example.com", bloodGroup: "AB+" });
+
+            const res = await request(ctx.app)
+                .post("/dashboard/create-donation-request")
+                .set(authHeader("requester@example.com"))
+                .send(validDonationRequestBody({ urgency: "critical" }));
+
+            assert.equal(res.status, 201);
+            assert.deepEqual(res.body.broadcast, { alerted: 1, rateLimited: 0 });
+
+            const alerts = await ctx.db.collection("urgentAlerts").find().toArray();
+            assert.deepEqual(alerts.map((alert) => alert.donorEmail), ["donor@example.com"]);
+        });
+
+        it("queues urgent alerts and sends them from the delivery job", async () => {
+            await request(ctx.app)
+                .post("/dashboard/create-donation-request")
+                .set(authHeader("requester@example.com"))
+                .send(validDonationRequestBody({ urgency: "critical" }));
+
+            const alerts = ctx.db.collection("urgentAlerts");
+            assert.equal((await alerts.findOne()).status, "queued");
+            assert.equal(await ctx.db.collection("notifications").countDocuments({ event: "request.urgent_alert" }), 0);
+
+            const result = await deliverUrgentAlerts(ctx.db, createNotifier(["in-app"]));
+            assert.deepEqual(result, { sent: 1, failed: 0, canceled: 0 });
+            assert.equal((await alerts.findOne()).status, "sent");
+            assert.equal(await ctx.db.collection("notifications").countDocuments({ event: "request.urgent_alert" }), 1);
+
+            // Sent alerts aren't picked up again
+            assert.deepEqual(await deliverUrgentAlerts(ctx.db, createNotifier(["in-app"])), { sent: 0, failed: 0, canceled: 0 });
+        });
+
+        it("keeps alerts queued when a channel fails and gives up after the last attempt", async (t) => {
+            const { SMTP_HOST, SMTP_PORT } = process.env;
+            t.after(() => {
+                if (SMTP_HOST === undefined) delete process.env.SMTP_HOST;
+                else process.env.SMTP_HOST = SMTP_HOST;
+                if (SMTP_PORT === undefined) delete process.env.SMTP_PORT;
+                else process.env.SMTP_PORT = SMTP_PORT;
+            });
+            // Nothing listens on port 1, so every email delivery is refused
+            process.env.SMTP_HOST = "127.0.0.1";
+            process.env.SMTP_PORT = "1";
+            const failingNotifier = createNotifier(["in-app", "email"]);
+
+            const donationRequest = await createDonationRequest(ctx.db, { urgency: "critical" });
+            const alerts = ctx.db.collection("urgentAlerts");
+            await alerts.insertOne({
+                requestId: donationRequest._id,
+                donorName: "Donor",
+                donorEmail: "donor@example.com",
+                status: "queued",
+                attempts: 0,
+                respondedAt: null,
+                createdAt: new Date(),
+            });
+
+            assert.deepEqual(await deliverUrgentAlerts(ctx.db, failingNotifier), { sent: 0, failed: 1, canceled: 0 });
+            const retried = await alerts.findOne();
+            assert.equal(retried.status, "queued");
+            assert.equal(retried.attempts, 1);
+            assert.equal(retried.claimId, undefined);
+
+            for (let attempt = 2; attempt <= MAX_ALERT_ATTEMPTS; attempt++) await deliverUrgentAlerts(ctx.db, failingNotifier);
+            assert.equal((await alerts.findOne()).status, "failed");
+        });
+
+        it("delivers alerts in small batches and cancels those of closed requests", async () => {
+            const open = await createDonationRequest(ctx.db, { urgency: "critical" });
+            const claimed = await createDonationRequest(ctx.db, { urgency: "critical", status: "inprogress" });
+            const alerts = ctx.db.collection("urgentAlerts");
+            await alerts.insertMany(
+                Array.from({ length: 25 }, (_, i) => ({
+                    requestId: i === 0 ? claimed._id : open._id,
+                    donorEmail: `donor${i}@example.com`,
+                    status: "queued",
+                    attempts: 0,
+                    createdAt: new Date(),
+                }))
+            );
+
+            let inFlight = 0;
+            let maxInFlight = 0;
+            const inApp = createNotifier(["in-app"]);
+            const notifier = {
+                notify: async (...args) => {
+                    inFlight++;
+                    maxInFlight = Math.max(maxInFlight, inFlight);
+                    await new Promise((resolve) => setTimeout(resolve, 5));
+                    inFlight--;
+                    return inApp.notify(...args);
+                },
+            };
+
+            const result = await deliverUrgentAlerts(ctx.db, notifier);
+            assert.deepEqual(result, { sent: 24, failed: 0, canceled: 1 });
+            assert.ok(maxInFlight <= 10);
+            assert.equal((await alerts.findOne({ requestId: claimed._id })).status, "canceled");
+        });
+    });
+
+    describe("listing and reading", () => {
+        it("GET /dashboard/my-donation-requests pages through own requests", async () => {
+            await createDonationRequest(ctx.db);
+            await createDonationRequest(ctx.db, { status: "done" });
+            await createDonationRequest(ctx.db, { requesterEmail: "someone@example.com" });
+
+            const res = await request(ctx.app)
+                .get("/dashboard/my-donation-requests")
+                .query({ status: "pending", page: 1, limit: 10 })
+                .set(authHeader("requester@example.com"));
+
+            assert.equal(res.status, 200);
+            assert.equal(res.body.total, 1);
+            assert.equal(res.body.requests.length, 1);
+        });
+
+        it("GET /dashboard/all-blood-donation-request is for admins and volunteers", async () => {
+            await createDonationRequest(ctx.db);
+            await createDonationRequest(ctx.db, { requesterEmail: "someone@example.com" });
+
+            const staff = await request(ctx.app).get("/dashboard/all-blood-donation-request").set(authHeader("vol@example.com"));
+            assert.equal(staff.status, 200);
+            assert.equal(staff.body.total, 2);
+
+            const donor = await request(ctx.app).get("/dashboard/all-blood-donation-request").set(authHeader("donor@example.com"));
+            assert.equal(donor.status, 403);
+        });
+
+        it("GET /donation-request/:id and /dashboard/donation-request/:id return the request", async () => {
+            const { _id } = await createDonationRequest(ctx.db);
+
+            const publicRes = await request(ctx.app).get(`/donation-request/${_id}`);
+            assert.equal(publicRes.status, 200);
+            assert.equal(publicRes.body.request.recipientName, "Test Recipient");
+            for (const field of ["requesterEmail", "message", "statusHistory"]) {
+                assert.equal(publicRes.body.request[field], undefined, `${field} is public`);
+            }
+
+            const dashboardRes = await request(ctx.app)
+                .get(`/dashboard/donation-request/${_id}`)
+                .set(authHeader("donor@example.com"));
+            assert.equal(dashboardRes.status, 200);
+        });
+
+        it("returns 404 for unknown requests", async () => {
+            const res = await request(ctx.app).get("/donation-request/650000000000000000000000");
+            assert.equal(res.status, 404);
+        });
+
+        it("GET /donation-requests only shows public fields of pending requests", async () => {
+            await createDonationRequest(ctx.db, { bloodGroup: "A+", donationDate: daysFromNow(2) });
+            await createDonationRequest(ctx.db, { bloodGroup: "B+", donationDate: daysFromNow(10) });
+            await createDonationRequest(ctx.db, { status: "done" });
+
+            const res = await request(ctx.app).get("/donation-requests").query({ dateTo: daysFromNow(5) });
+
+            assert.equal(res.status, 200);
+            assert.equal(res.body.total, 1);
+            assert.equal(res.body.requests[0].bloodGroup, "A+");
+            assert.equal(res.body.requests[0].requesterEmail, undefined);
+            assert.equal(res.body.requests[0].statusHistory, undefined);
+        });
+
+        it("GET /donation-requests rejects unknown sort fields", async () => {
+            const res = await request(ctx.app).get("/donation-requests").query({ sort: "requesterEmail" });
+            assert.equal(res.status, 400);
+        });
+    });
+
+    describe("PUT and DELETE /dashboard/donation-request/:id", () => {
+        it("lets the requester edit whitelisted fields", async () => {
+            const { _id } = await createDonationRequest(ctx.db);
+
+            const res = await request(ctx.app)
+                .put(`/dashboard/donation-request/${_id}`)
+                .set(authHeader("requester@example.com"))
+                .send({ hospitalName: "New Hospital" });
+
+            assert.equal(res.status, 200);
+            assert.equal((await findRequest(_id)).hospitalName, "New Hospital");
+        });
+
+        it("rejects status and requester fields", async () => {
+            const { _id } = await createDonationRequest(ctx.db);
+
+            const res = await request(ctx.app)
+                .put(`/dashboard/donation-request/${_id}`)
+                .set(authHeader("requester@example.com"))
+                .send({ status: "done", requesterEmail: "evil@example.com" });
+
+            assert.equal(res.status, 400);
+            assert.equal((await findRequest(_id)).status, "pending");
+        });
+
+        it("blocks other donors", async () => {
+            const { _id } = await createDonationRequest(ctx.db);
+
+            const res = await request(ctx.app)
+                .put(`/dashboard/donation-request/${_id}`)
+                .set(authHeader("donor@example.com"))
+                .send({ hospitalName: "New Hospital" });
+            assert.equal(res.status, 403);
+        });
+
+        it("lets admins delete any request (soft delete)", async () => {
+            const { _id } = await createDonationRequest(ctx.db);
+
+            const res = await request(ctx.app)
+                .delete(`/dashboard/donation-request/${_id}`)
+                .set(authHeader("admin@example.com"));
+
+            assert.equal(res.status, 200);
+            const deleted = await findRequest(_id);
+            assert.ok(deleted.deletedAt instanceof Date);
+            assert.equal(deleted.deletedBy, "admin@example.com");
+
+            const again = await request(ctx.app)
+                .get(`/dashboard/donation-request/${_id}`)
+                .set(authHeader("admin@example.com"));
+            assert.equal(again.status, 404);
+        });
+
+        it("blocks other donors from deleting", async () => {
+            const { _id } = await createDonationRequest(ctx.db);
+
+            const res = await request(ctx.app).delete(`/dashboard/donation-request/${_id}`).set(authHeader("donor@example.com"));
+            assert.equal(res.status, 403);
+        });
+    });
+
+    describe("donation lifecycle", () => {
+        it("donate -> done records the donor's donation", async () => {
+            const { _id } = await createDonationRequest(ctx.db, { donationDate: daysFromNow(1) });
+
+            const donate = await request(ctx.app)
+                .put(`/donation-request/${_id}/donate`)
+                .set(authHeader("donor@example.com"))
+                .send({ donorName: "Donor", donorEmail: "donor@example.com" });
+            assert.equal(donate.status, 200);
+            assert.equal((await findRequest(_id)).status, "inprogress");
+
+            const done = await request(ctx.app)
+                .put(`/dashboard/my-donation-request/${_id}/status`)
+                .set(authHeader("requester@example.com"))
+                .send({ status: "done" });
+            assert.equal(done.status, 200);
+
+            const donor = await ctx.db.collection("users").findOne({ email: "donor@example.com" });
+            assert.equal(donor.donationCount, 1);
+            assert.ok(donor.lastDonationDate instanceof Date);
+
+            const history = await request(ctx.app)
+                .get(`/dashboard/donation-request/${_id}/history`)
+                .set(authHeader("donor@example.com"));
+            assert.equal(history.status, 200);
+            assert.deepEqual(history.body.history.map((entry) => entry.to), ["inprogress", "done"]);
+        });
+
+        it("records the signed-in donor, not the name and email in the body", async () => {
+            const { _id } = await createDonationRequest(ctx.db);
+
+            const res = await request(ctx.app)
+                .put(`/donation-request/${_id}/donate`)
+                .set(authHeader("donor@example.com"))
+                .send({ donorName: "Someone Else", donorEmail: "forged@example.com" });
+            assert.equal(res.status, 200);
+
+            const stored = await findRequest(_id);
+            assert.equal(stored.donorEmail, "donor@example.com");
+            assert.equal(stored.donorName, "Donor");
+        });
+
+        it("only one donor can claim a pending request", async () => {
+            await createUser(ctx.db, { email: "second@example.com", bloodGroup: "O-" });
+            const { _id } = await createDonationRequest(ctx.db);
+
+            const [first, second] = await Promise.all(
+                ["donor@example.com", "second@example.com"].map((email) =>
+                    request(ctx.app)
+                        .put(`/donation-request/${_id}/donate`)
+                        .set(authHeader(email))
+                        .send({ donorName: email, donorEmail: email })
+                )
+            );
+
+            const statuses = [first.status, second.status].sort();
+            assert.equal(statuses[0], 200);
+            assert.ok([400, 409].includes(statuses[1]));
+        });
+
+        it("blocks donors inside the minimum donation interval", async () => {
+            await ctx.db
+                .collection("users")
+                .updateOne({ email: "donor@example.com" }, { $set: { lastDonationDate: new Date() } });
+            const { _id } = await createDonationRequest(ctx.db);
+
+            const res = await request(ctx.app)
+                .put(`/donation-request/${_id}/donate`)
+                .set(authHeader("donor@example.com"))
+                .send({ donorName: "Donor", donorEmail: "donor@example.com" });
+
+            assert.equal(res.status, 400);
+            assert.ok(res.body.nextEligibleDate);
+        });
+
+        it("marks the urgent alert as responded when the alerted donor donates", async () => {
+            const { _id } = await createDonationRequest(ctx.db);
+            await ctx.db.collection("urgentAlerts").insertOne({
+                requestId: _id,
+                donorEmail: "donor@example.com",
+                status: "sent",
+                respondedAt: null,
+                createdAt: new Date(),
+            });
+
+            await request(ctx.app)
+                .put(`/donation-request/${_id}/donate`)
+                .set(authHeader("donor@example.com"))
+                .send({ donorName: "Donor", donorEmail: "donor@example.com" });
+
+            const alerts = await request(ctx.app)
+                .get(`/dashboard/donation-request/${_id}/alerts`)
+                .set(authHeader("admin@example.com"));
+            assert.equal(alerts.status, 200);
+            assert.equal(alerts.body.responded, 1);
+        });
+
+        it("staff status changes follow the transition table", async () => {
+            const { _id } = await createDonationRequest(ctx.db);
+
+            const invalid = await request(ctx.app)
+                .put(`/dashboard/donation-request/${_id}/status`)
+                .set(authHeader("vol@example.com"))
+                .send({ status: "done" });
+            assert.equal(invalid.status, 400);
+
+            const canceled = await request(ctx.app)
+                .put(`/dashboard/donation-request/${_id}/status`)
+                .set(authHeader("vol@example.com"))
+                .send({ status: "canceled" });
+            assert.equal(canceled.status, 200);
+
+            const reopened = await request(ctx.app)
+                .put(`/dashboard/donation-request/${_id}/status`)
+                .set(authHeader("admin@example.com"))
+                .send({ status: "pending" });
+            assert.equal(reopened.status, 200);
+            assert.equal((await findRequest(_id)).status, "pending");
+        });
+
+        it("donors can't use the staff status route", async () => {
+            const { _id } = await createDonationRequest(ctx.db);
+
+            const res = await request(ctx.app)
+                .put(`/dashboard/donation-request/${_id}/status`)
+                .set(authHeader("donor@example.com"))
+                .send({ status: "canceled" });
+            assert.equal(res.status, 403);
+        });
+
+        it("requesters can only finish inprogress requests", async () => {
+            const { _id } = await createDonationRequest(ctx.db);
+
+            const res = await request(ctx.app)
+                .put(`/dashboard/my-donation-request/${_id}/status`)
+                .set(authHeader("requester@example.com"))
+                .send({ status: "done" });
+            assert.equal(res.status, 400);
+        });
+
+        it("history is hidden from unrelated donors", async () => {
+            const { _id } = await createDonationRequest(ctx.db);
+
+            const res = await request(ctx.app)
+                .get(`/dashboard/donation-request/${_id}/history`)
+                .set(authHeader("donor@example.com"));
+            assert.equal(res.status, 403);
+        });
+    });
+
+    describe("GET /donation-request/:id/matches", () => {
+        it("ranks compatible donors by location and excludes the requester", async () => {
+            await createUser(ctx.db, { email: "district@example.com", bloodGroup: "B-", district: "Dhaka", upazila: "Dohar" });
+            await createUser(ctx.db, { email: "far@example.com", bloodGroup: "O+", district: "Sylhet", upazila: "Balaganj" });
+            await createUser(ctx.db, { email: "blocked@example.com", bloodGroup: "O+", status: "blocked" });
+            await createUser(ctx.db, { email: "incompatible@example.com", bloodGroup: "A+" });
+            const { _id } = await createDonationRequest(ctx.db, { bloodGroup: "B+" });
+
+            const res = await request(ctx.app)
+                .get(`/donation-request/${_id}/matches`)
+                .set(authHeader("requester@example.com"));
+
+            assert.equal(res.status, 200);
+            assert.deepEqual(
+                res.body.donors.map((donor) => donor.email),
+                ["donor@example.com", "district@example.com", "far@example.com"]
+            );
+
+            const secondPage = await request(ctx.app)
+                .get(`/donation-request/${_id}/matches`)
+                .query({ page: 2, limit: 2 })
+                .set(authHeader("requester@example.com"));
+            assert.deepEqual(secondPage.body.donors.map((donor) => donor.email), ["far@example.com"]);
+        });
+
+        it("falls back to sane pagination for bad page and limit values", async () => {
+            const { _id } = await createDonationRequest(ctx.db);
+
+            const res = await request(ctx.app)
+                .get(`/donation-request/${_id}/matches`)
+                .query({ page: "abc", limit: "1000" })
+                .set(authHeader("requester@example.com"));
+            assert.equal(res.status, 200);
+            assert.equal(res.body.page, 1);
+            assert.equal(res.body.limit, 50);
+        });
+
+        it("is not visible to other donors", async () => {
+            const { _id } = await createDonationRequest(ctx.db);
+
+            const res = await request(ctx.app).get(`/donation-request/${_id}/matches`).set(authHeader("donor@example.com"));
+            assert.equal(res.status, 403);
+        });
+    });
+
+    describe("GET /dashboard/search-donation-requests", () => {
+        beforeEach(async () => {
+            await createDonationRequest(ctx.db, { recipientName: "Ayesha Siddiqua", hospitalName: "Square Hospital" });
+            await createDonationRequest(ctx.db, {
+                recipientName: "Rafiq",
+                hospitalName: "Dhaka Medical College Hospital",
+                message: "Ayesha's brother needs blood",
+                bloodGroup: "O-",
+                status: "done",
+            });
+            await createDonationRequest(ctx.db, { recipientName: "Karim", hospitalName: "Square Hospital", recipientDistrict: "Sylhet" });
+        });
+
+        const search = (query, email = "vol@example.com") =>
+            request(ctx.app).get("/dashboard/search-donation-requests").query(query).set(authHeader(email));
+
+        it("ranks text matches by relevance", async () => {
+            const res = await search({ q: "ayesha" });
+
+            assert.equal(res.status, 200);
+            assert.equal(res.body.total, 2);
+            // recipientName is weighted above message
+            assert.equal(res.body.requests[0].recipientName, "Ayesha Siddiqua");
+            assert.ok(res.body.requests[0].score > res.body.requests[1].score);
+        });
+
+        it("combines text search with filters", async () => {
+            const res = await search({ q: "square", district: "Sylhet" });
+            assert.deepEqual(
+                res.body.requests.map((item) => item.recipientName),
+                ["Karim"]
+            );
+
+            const byStatus = await search({ status: "done", bloodGroup: "O-" });
+            assert.equal(byStatus.body.total, 1);
+            assert.equal(byStatus.body.requests[0].recipientName, "Rafiq");
+        });
+
+        it("rejects bad dates and is staff only", async () => {
+            const badDate = await search({ dateFrom: "01/01/2026" });
+            assert.equal(badDate.status, 400);
+
+            const asDonor = await search({ q: "square" }, "donor@example.com");
+            assert.equal(asDonor.status, 403);
+        });
+    });
+
+    describe("GET /search-donors", () => {
+        it("returns public donor fields only", async () => {
+            const res = await request(ctx.app).get("/search-donors").query({ bloodGroup: "O-" });
+
+            assert.equal(res.status, 200);
+            assert.equal(res.body.total, 1);
+            assert.equal(res.body.donors[0].name, "Donor");
+            assert.equal(res.body.donors[0].email, undefined);
+            assert.equal(res.body.donors[0].role, undefined);
+            assert.equal(res.body.donors[0].nextEligibleDate, null);
+        });
+
+        it("eligibleOnly hides donors who donated recently", async () => {
+            await ctx.db
+                .collection("users")
+                .updateOne({ email: "donor@example.com" }, { $set: { lastDonationDate: new Date() } });
+
+            const res = await request(ctx.app).get("/search-donors").query({ bloodGroup: "O-", eligibleOnly: "true" });
+            assert.equal(res.body.total, 0);
+        });
+    });
+});
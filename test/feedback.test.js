@@ -0,0 +1,108 @@
+import { describe, it, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import request from "supertest";
+import { setupTestApp, authHeader, createUser, createDonationRequest } from "./helpers.js";
+import { getReliabilityScore } from "../lib/reliability.js";
+
+describe("getReliabilityScore", () => {
+    it("has no score without feedback and smooths early reviews towards 50", () => {
+        assert.equal(getReliabilityScore(0, 0), null);
+        assert.equal(getReliabilityScore(1, 1), 67);
+        assert.equal(getReliabilityScore(0, 1), 33);
+        assert.equal(getReliabilityScore(10, 10), 92);
+    });
+});
+
+describe("Donor feedback and reliability", () => {
+    let ctx;
+
+    before(async () => {
+        ctx = await setupTestApp();
+    });
+
+    after(async () => {
+        await ctx.close();
+    });
+
+    beforeEach(async () => {
+        await ctx.reset();
+        await createUser(ctx.db, { email: "admin@example.com", name: "Admin", role: "admin" });
+        await createUser(ctx.db, { email: "requester@example.com", name: "Requester" });
+        await createUser(ctx.db, { email: "donor@example.com", name: "Rahim Uddin", bloodGroup: "B+" });
+    });
+
+    const closedRequest = (overrides = {}) =>
+        createDonationRequest(ctx.db, {
+            status: "done",
+            donorName: "Rahim Uddin",
+            donorEmail: "donor@example.com",
+            ...overrides,
+        });
+
+    const leaveFeedback = (requestId, body, email = "requester@example.com") =>
+        request(ctx.app).post(`/dashboard/donation-request/${requestId}/feedback`).set(authHeader(email)).send(body);
+
+    it("scores the donor from the requesters' feedback", async () => {
+        const done = await closedRequest();
+        const noShow = await closedRequest({ status: "canceled" });
+
+        const first = await leaveFeedback(done._id, { showedUp: true, rating: 5, comment: "Came early" });
+        assert.equal(first.status, 201);
+        assert.equal(first.body.reliability.score, getReliabilityScore(1, 1));
+
+        const second = await leaveFeedback(noShow._id, { showedUp: false });
+        assert.equal(second.status, 201);
+
+        const donor = await ctx.db.collection("users").findOne({ email: "donor@example.com" });
+        assert.deepEqual(donor.reliability, { score: 50, showUpRate: 0.5, averageRating: 5, feedbackCount: 2 });
+
+        const search = await request(ctx.app).get("/search-donors?bloodGroup=B%2B");
+        assert.equal(search.body.donors[0].reliability.score, 50);
+    });
+
+    it("accepts one feedback per request, from the requester only", async () => {
+        const done = await closedRequest();
+
+        assert.equal((await leaveFeedback(done._id, { showedUp: true }, "donor@example.com")).status, 403);
+        assert.equal((await leaveFeedback(done._id, { showedUp: true, rating: 4 })).status, 201);
+        assert.equal((await leaveFeedback(done._id, { showedUp: true, rating: 2 })).status, 409);
+    });
+
+    it("rejects feedback on open requests, requests without a donor and ratings for no-shows", async () => {
+        const open = await closedRequest({ status: "inprogress" });
+        assert.equal((await leaveFeedback(open._id, { showedUp: true })).status, 400);
+
+        const noDonor = await createDonationRequest(ctx.db, { status: "canceled" });
+        assert.equal((await leaveFeedback(noDonor._id, { showedUp: false })).status, 400);
+
+        const canceled = await closedRequest({ status: "canceled" });
+        const rated = await leaveFeedback(canceled._id, { showedUp: false, rating: 1 });
+        assert.equal(rated.status, 400);
+        assert.match(rated.body.errors[0].message, /showed up/);
+    });
+
+    it("lets admins hide feedback so it stops counting", async () => {
+        const canceled = await closedRequest({ status: "canceled" });
+        await leaveFeedback(canceled._id, { showedUp: false, comment: "Never came" });
+        const feedback = await ctx.db.collection("donorFeedback").findOne({ requestId: canceled._id });
+
+        const list = await request(ctx.app).get("/dashboard/feedback?showedUp=false").set(authHeader("admin@example.com"));
+        assert.equal(list.body.total, 1);
+
+        const forbidden = await request(ctx.app)
+            .put(`/dashboard/feedback/${feedback._id}`)
+            .set(authHeader("requester@example.com"))
+            .send({ status: "hidden" });
+        assert.equal(forbidden.status, 403);
+
+        const res = await request(ctx.app)
+            .put(`/dashboard/feedback/${feedback._id}`)
+            .set(authHeader("admin@example.com"))
+            .send({ status: "hidden", moderationNote: "Request was canceled by the family" });
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body.reliability, { score: null, showUpRate: null, averageRating: null, feedbackCount: 0 });
+
+        const audit = await ctx.db.collection("auditLogs").findOne({ action: "feedback.moderate" });
+        assert.equal(audit.changes.status.to, "hidden");
+    });
+});
@@ -0,0 +1,133 @@
+import { describe, it, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import request from "supertest";
+import { setupTestApp, authHeader, createUser } from "./helpers.js";
+
+describe("Fund APIs", () => {
+    let ctx;
+
+    before(async () => {
+        ctx = await setupTestApp();
+    });
+
+    after(async () => {
+        await ctx.close();
+    });
+
+    beforeEach(async () => {
+        await ctx.reset();
+        await createUser(ctx.db, { email: "donor@example.com" });
+        await createUser(ctx.db, { email: "admin@example.com", role: "admin" });
+    });
+
+    const contribute = (amount, currency) =>
+        request(ctx.app).post("/dashboard/funds").set(authHeader("donor@example.com")).send({ amount, currency });
+
+    it("records a pending contribution", async () => {
+        const res = await contribute(500);
+
+        assert.equal(res.status, 201);
+        assert.equal(res.body.fund.status, "pending");
+        assert.equal(res.body.fund.provider, "local");
+        assert.ok(res.body.fund.paymentId.startsWith("local_"));
+    });
+
+    it("rejects non-positive amounts", async () => {
+        const res = await contribute(-5);
+        assert.equal(res.status, 400);
+    });
+
+    it("rejects unknown currencies and amounts over the cap", async () => {
+        const currency = await contribute(500, "XYZ");
+        assert.equal(currency.status, 400);
+        assert.equal(currency.body.code, "INVALID_CURRENCY");
+
+        const tooLarge = await contribute(20000, "USD");
+        assert.equal(tooLarge.status, 400);
+        assert.equal(tooLarge.body.code, "AMOUNT_TOO_LARGE");
+
+        assert.equal((await contribute(20000, "BDT")).status, 201);
+    });
+
+    it("counts only confirmed payments in /public-stats", async () => {
+        const confirmed = await contribute(500);
+        const dollars = await contribute(20, "USD");
+        const failed = await contribute(300);
+        await contribute(200);
+
+        for (const fund of [confirmed, dollars]) {
+            const confirm = await request(ctx.app)
+                .post("/funds/webhook")
+                .send({ paymentId: fund.body.fund.paymentId, status: "confirmed" });
+            assert.equal(confirm.status, 200);
+        }
+
+        await request(ctx.app).post("/funds/webhook").send({ paymentId: failed.body.fund.paymentId, status: "failed" });
+
+        const stats = await request(ctx.app).get("/public-stats");
+        assert.equal(stats.status, 200);
+        assert.equal(stats.body.totalFundRaised, 500);
+        assert.deepEqual(stats.body.fundRaisedByCurrency, { BDT: 500, USD: 20 });
+        assert.equal(stats.body.totalActiveUsers, 2);
+    });
+
+    it("ignores webhooks for settled or unknown payments", async () => {
+        const { body } = await contribute(500);
+        await request(ctx.app).post("/funds/webhook").send({ paymentId: body.fund.paymentId, status: "confirmed" });
+
+        const again = await request(ctx.app)
+            .post("/funds/webhook")
+            .send({ paymentId: body.fund.paymentId, status: "failed" });
+        assert.equal(again.status, 404);
+
+        const invalid = await request(ctx.app).post("/funds/webhook").send({ paymentId: "x", status: "refunded" });
+        assert.equal(invalid.status, 400);
+    });
+
+    it("rejects payment ids that aren't strings", async () => {
+        await contribute(500);
+
+        const res = await request(ctx.app)
+            .post("/funds/webhook")
+            .send({ paymentId: { $ne: null }, status: "confirmed" });
+        assert.equal(res.status, 400);
+
+        const fund = await ctx.db.collection("funds").findOne({});
+        assert.equal(fund.status, "pending");
+    });
+
+    it("requires the webhook secret outside development and test", async (t) => {
+        const { body } = await contribute(500);
+        const webhook = (headers = {}) =>
+            request(ctx.app)
+                .post("/funds/webhook")
+                .set(headers)
+                .send({ paymentId: body.fund.paymentId, status: "confirmed" });
+
+        const { NODE_ENV, PAYMENT_WEBHOOK_SECRET } = process.env;
+        t.after(() => {
+            process.env.NODE_ENV = NODE_ENV;
+            if (PAYMENT_WEBHOOK_SECRET === undefined) delete process.env.PAYMENT_WEBHOOK_SECRET;
+            else process.env.PAYMENT_WEBHOOK_SECRET = PAYMENT_WEBHOOK_SECRET;
+        });
+
+        process.env.NODE_ENV = "production";
+        delete process.env.PAYMENT_WEBHOOK_SECRET;
+        assert.equal((await webhook()).status, 400);
+
+        process.env.PAYMENT_WEBHOOK_SECRET = "webhook-secret";
+        assert.equal((await webhook({ "x-webhook-secret": "wrong" })).status, 400);
+        assert.equal((await webhook({ "x-webhook-secret": "webhook-secret" })).status, 200);
+    });
+
+    it("lists contributions for admins only", async () => {
+        await contribute(500);
+
+        const admin = await request(ctx.app).get("/dashboard/funds").set(authHeader("admin@example.com"));
+        assert.equal(admin.status, 200);
+        assert.equal(admin.body.total, 1);
+
+        const donor = await request(ctx.app).get("/dashboard/funds").set(authHeader("donor@example.com"));
+        assert.equal(donor.status, 403);
+    });
+});
@@ -0,0 +1,148 @@
+// TEST HELPERS
+// Every suite gets its own in-memory MongoDB and an app wired to a fake Firebase verifier.
+import { mkdtemp, rm } from "fs/promises";
+import os from "os";
+import path from "path";
+import { MongoMemoryServer } from "mongodb-memory-server";
+import { MongoClient } from "mongodb";
+import { createApp } from "../app.js";
+import { createMemoryStore } from "../lib/rate-limit.js";
+import { ensureIndexes } from "../lib/indexes.js";
+import { createStorage } from "../lib/storage.js";
+import { todayString } from "../lib/dates.js";
+
+// Lets the suites call the payment webhook without a shared secret
+process.env.NODE_ENV ??= "test";
+
+// Fake Firebase auth - the bearer token is simply the user's email, and custom claims
+// set through setCustomUserClaims show up in later decoded tokens like they do in Firebase.
+// After revokeRefreshTokens the user's token fails the checkRevoked check until signInAgain(email)
+export const createFakeAuth = () => {
+    const claimsByUid = new Map();
+    const revokedUids = [];
+
+    return {
+        claimsByUid,
+        revokedUids,
+
+        verifyIdToken: async (token, checkRevoked = false) => {
+            if (!token.includes("@")) throw new Error("Invalid token");
+            const uid = `uid-${token}`;
+            if (checkRevoked && revokedUids.includes(uid)) {
+                throw Object.assign(new Error("The Firebase ID token has been revoked."), { code: "auth/id-token-revoked" });
+            }
+            return { email: token, uid, ...claimsByUid.get(uid) };
+        },
+
+        // A fresh ID token issued after the revocation
+        signInAgain: (email) => {
+            const index = revokedUids.indexOf(`uid-${email}`);
+            if (index !== -1) revokedUids.splice(index, 1);
+        },
+
+        getUserByEmail: async (email) => ({ uid: `uid-${email}`, email }),
+
+        setCustomUserClaims: async (uid, claims) => {
+            claimsByUid.set(uid, claims);
+        },
+
+        revokeRefreshTokens: async (uid) => {
+            revokedUids.push(uid);
+        },
+    };
+};
+
+export const authHeader = (email) => ({ Authorization: `Bearer ${email}` });
+
+// options are passed on to createApp, e.g. { rateLimits: { searchDonors: { max: 2 } } }
+export const setupTestApp = async (options = {}) => {
+    const mongod = await MongoMemoryServer.create();
+    const client = new MongoClient(mongod.getUri());
+    await client.connect();
+
+    const db = client.db("BloodBridgeTest");
+    await ensureIndexes(db);
+    const auth = createFakeAuth();
+    const rateLimitStore = createMemoryStore();
+    // Uploads go to a throwaway directory per suite
+    const uploadDir = await mkdtemp(path.join(os.tmpdir(), "bloodbridge-uploads-"));
+    const storage = createStorage("local", { dir: uploadDir });
+    const app = createApp({ db, auth, rateLimitStore, storage, ...options });
+
+    return {
+        app,
+        db,
+        auth,
+        storage,
+        reset: async () => {
+            auth.claimsByUid.clear();
+            auth.revokedUids.length = 0;
+            rateLimitStore.clear();
+            await db.dropDatabase();
+            await ensureIndexes(db);
+        },
+        close: async () => {
+            await client.close();
+            await mongod.stop();
+            await rm(uploadDir, { recursive: true, force: true });
+        },
+    };
+};
+
+// YYYY-MM-DD in the app timezone, n days from today (negative for the past)
+export const daysFromNow = (days) => todayString(new Date(Date.now() + days * 24 * 60 * 60 * 1000));
+
+// SEED DATA
+
+export const createUser = async (db, overrides = {}) => {
+    const user = {
+        name: "Test Donor",
+        email: "donor@example.com",
+        bloodGroup: "O+",
+        district: "Dhaka",
+        upazila: "Savar",
+        avatar: "https://example.com/avatar.jpg",
+        role: "donor",
+        status: "active",
+        createdAt: new Date(),
+        ...overrides,
+    };
+    await db.collection("users").insertOne(user);
+    return user;
+};
+
+export const createDonationRequest = async (db, overrides = {}) => {
+    const request = {
+        requesterName: "Test Requester",
+        requesterEmail: "requester@example.com",
+        recipientName: "Test Recipient",
+        recipientDistrict: "Dhaka",
+        recipientUpazila: "Savar",
+        hospitalName: "Enam Medical College Hospital",
+        address: "Savar, Dhaka",
+        bloodGroup: "B+",
+        donationDate: daysFromNow(3),
+        donationTime: "10:00",
+        message: "Please help",
+        urgency: "normal",
+        status: "pending",
+        statusHistory: [],
+        createdAt: new Date(),
+        ...overrides,
+    };
+    await db.collection("donationRequests").insertOne(request);
+    return request;
+};
+
+export const validDonationRequestBody = (overrides = {}) => ({
+    recipientName: "Jane Doe",
+    recipientDistrict: "Dhaka",
+    recipientUpazila: "Dhanmondi",
+    hospitalName: "Dhaka Medical College Hospital",
+    address: "Zahir Raihan Rd, Dhaka",
+    bloodGroup: "B+",
+    donationDate: daysFromNow(5),
+    donationTime: "10:00",
+    message: "Urgent blood donation needed",
+    ...overrides,
+});
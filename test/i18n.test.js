@@ -0,0 +1,82 @@
+import { describe, it, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import request from "supertest";
+import { setupTestApp, authHeader, createUser } from "./helpers.js";
+import { MESSAGES, SUPPORTED_LOCALES, parseAcceptLanguage, translate } from "../lib/i18n.js";
+
+describe("Message catalog", () => {
+    it("has every message in every locale with the same placeholders", () => {
+        const placeholders = (text) => (text.match(/\{\w+\}/g) || []).sort();
+
+        for (const [code, entry] of Object.entries(MESSAGES)) {
+            for (const locale of SUPPORTED_LOCALES) {
+                assert.ok(entry[locale], `${code} has no ${locale} message`);
+                assert.deepEqual(placeholders(entry[locale]), placeholders(entry.en), `${code} placeholders differ in ${locale}`);
+            }
+        }
+    });
+
+    it("picks the best supported language from Accept-Language", () => {
+        assert.equal(parseAcceptLanguage("bn-BD,bn;q=0.9,en;q=0.8"), "bn");
+        assert.equal(parseAcceptLanguage("fr;q=1, en;q=0.7, bn;q=0.5"), "en");
+        assert.equal(parseAcceptLanguage("bn;q=0, en"), "en");
+        assert.equal(parseAcceptLanguage("fr"), null);
+        assert.equal(parseAcceptLanguage(undefined), null);
+    });
+
+    it("fills placeholders", () => {
+        assert.equal(translate("en", "DOCUMENT_LIMIT_REACHED", { max: 5 }), "A request can have at most 5 documents");
+        assert.equal(translate("bn", "DOCUMENT_LIMIT_REACHED", { max: 5 }), "একটি অনুরোধে সর্বোচ্চ 5টি ডকুমেন্ট রাখা যায়");
+    });
+});
+
+describe("Localized responses", () => {
+    let ctx;
+
+    before(async () => {
+        ctx = await setupTestApp();
+    });
+
+    after(async () => {
+        await ctx.close();
+    });
+
+    beforeEach(async () => {
+        await ctx.reset();
+        await createUser(ctx.db, { email: "donor@example.com" });
+    });
+
+    it("answers in the Accept-Language locale with a stable code", async () => {
+        const res = await request(ctx.app).get("/dashboard/profile").set("Accept-Language", "bn-BD,bn;q=0.9");
+
+        assert.equal(res.status, 401);
+        assert.equal(res.body.code, "MISSING_TOKEN");
+        assert.equal(res.body.message, MESSAGES.MISSING_TOKEN.bn);
+        assert.equal(res.headers["content-language"], "bn");
+    });
+
+    it("prefers the user's saved locale, carried in the token claims, over Accept-Language", async () => {
+        const saved = await request(ctx.app)
+            .put("/dashboard/profile")
+            .set(authHeader("donor@example.com"))
+            .send({ locale: "bn" });
+        assert.equal(saved.status, 200);
+        assert.deepEqual(saved.body, { code: "PROFILE_UPDATED", message: MESSAGES.PROFILE_UPDATED.bn });
+        assert.deepEqual(ctx.auth.claimsByUid.get("uid-donor@example.com"), { role: "donor", locale: "bn" });
+
+        const res = await request(ctx.app)
+            .get("/dashboard/profile")
+            .set(authHeader("donor@example.com"))
+            .set("Accept-Language", "en");
+        assert.equal(res.headers["content-language"], "bn");
+        assert.equal(res.body.user.locale, "bn");
+
+        const invalid = await request(ctx.app)
+            .put("/dashboard/profile")
+            .set(authHeader("donor@example.com"))
+            .send({ locale: "fr" });
+        assert.equal(invalid.status, 400);
+        assert.equal(invalid.body.code, "VALIDATION_FAILED");
+        assert.equal(invalid.body.message, MESSAGES.VALIDATION_FAILED.bn);
+    });
+});
@@ -0,0 +1,93 @@
+import { describe, it, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import request from "supertest";
+import { setupTestApp, authHeader, createUser, createDonationRequest, daysFromNow } from "./helpers.js";
+
+describe("Scheduled jobs", () => {
+    let ctx;
+    const previousSecret = process.env.CRON_SECRET;
+
+    before(async () => {
+        process.env.CRON_SECRET = "test-cron-secret";
+        ctx = await setupTestApp();
+    });
+
+    after(async () => {
+        if (previousSecret === undefined) delete process.env.CRON_SECRET;
+        else process.env.CRON_SECRET = previousSecret;
+        await ctx.close();
+    });
+
+    beforeEach(async () => {
+        await ctx.reset();
+        await createUser(ctx.db, { email: "requester@example.com", name: "Requester" });
+        await createUser(ctx.db, { email: "donor@example.com", name: "Donor" });
+    });
+
+    const runCron = (job = "expire-requests", secret = "test-cron-secret") =>
+        request(ctx.app).get(`/cron/${job}`).set("Authorization", `Bearer ${secret}`);
+
+    it("requires the cron secret", async () => {
+        const res = await runCron("expire-requests", "wrong");
+        assert.equal(res.status, 401);
+
+        const unknown = await runCron("nope");
+        assert.equal(unknown.status, 404);
+    });
+
+    describe("expire-requests", () => {
+        it("expires past pending requests and flags overdue inprogress ones", async () => {
+            const stale = await createDonationRequest(ctx.db, { donationDate: daysFromNow(-1) });
+            const upcoming = await createDonationRequest(ctx.db, { donationDate: daysFromNow(1) });
+            const overdue = await createDonationRequest(ctx.db, {
+                donationDate: daysFromNow(-1),
+                status: "inprogress",
+                donorName: "Donor",
+                donorEmail: "donor@example.com",
+            });
+
+            const res = await runCron();
+            assert.equal(res.status, 200);
+            assert.deepEqual(res.body.result, { expired: 1, flaggedForFollowUp: 1 });
+
+            const requests = ctx.db.collection("donationRequests");
+            const expired = await requests.findOne({ _id: stale._id });
+            assert.equal(expired.status, "expired");
+            assert.deepEqual(expired.statusHistory.at(-1).role, "system");
+            assert.equal((await requests.findOne({ _id: upcoming._id })).status, "pending");
+            assert.equal((await requests.findOne({ _id: overdue._id })).followUpRequired, true);
+
+            const events = await ctx.db.collection("notifications").find().toArray();
+            assert.deepEqual(events.map((event) => `${event.event}:${event.userEmail}`).sort(), [
+                "request.expired:requester@example.com",
+                "request.follow_up:donor@example.com",
+                "request.follow_up:requester@example.com",
+            ]);
+
+            // Already handled requests are left alone on the next run
+            const again = await runCron();
+            assert.deepEqual(again.body.result, { expired: 0, flaggedForFollowUp: 0 });
+        });
+
+        it("hides past pending requests from the public listing before the job runs", async () => {
+            await createDonationRequest(ctx.db, { donationDate: daysFromNow(-1) });
+            await createDonationRequest(ctx.db, { donationDate: daysFromNow(2) });
+
+            const res = await request(ctx.app).get("/donation-requests");
+            assert.equal(res.body.total, 1);
+        });
+
+        it("reopens an expired request when the requester sets a new date", async () => {
+            const { _id } = await createDonationRequest(ctx.db, { status: "expired", donationDate: daysFromNow(-3) });
+
+            const res = await request(ctx.app)
+                .put(`/dashboard/donation-request/${_id}`)
+                .set(authHeader("requester@example.com"))
+                .send({ donationDate: daysFromNow(4) });
+
+            assert.equal(res.status, 200);
+            assert.equal(res.body.reopened, true);
+            assert.equal((await ctx.db.collection("donationRequests").findOne({ _id })).status, "pending");
+        });
+    });
+});
@@ -0,0 +1,67 @@
+import { describe, it, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import request from "supertest";
+import { setupTestApp, authHeader, createUser, createDonationRequest } from "./helpers.js";
+
+describe("Notification APIs", () => {
+    let ctx;
+
+    before(async () => {
+        ctx = await setupTestApp();
+    });
+
+    after(async () => {
+        await ctx.close();
+    });
+
+    beforeEach(async () => {
+        await ctx.reset();
+        await createUser(ctx.db, { email: "requester@example.com" });
+        await createUser(ctx.db, { email: "donor@example.com", bloodGroup: "O-" });
+    });
+
+    const listNotifications = (email, query = {}) =>
+        request(ctx.app).get("/dashboard/notifications").query(query).set(authHeader(email));
+
+    it("notifies the requester when a donor confirms", async () => {
+        const { _id } = await createDonationRequest(ctx.db);
+
+        await request(ctx.app)
+            .put(`/donation-request/${_id}/donate`)
+            .set(authHeader("donor@example.com"))
+            .send({ donorName: "Donor", donorEmail: "donor@example.com" });
+
+        const res = await listNotifications("requester@example.com");
+        assert.equal(res.status, 200);
+        assert.equal(res.body.unread, 1);
+        assert.equal(res.body.notifications[0].event, "request.donor_assigned");
+
+        const donorRes = await listNotifications("donor@example.com");
+        assert.equal(donorRes.body.total, 0);
+    });
+
+    it("marks one or all notifications as read", async () => {
+        const notifications = ctx.db.collection("notifications");
+        const { insertedIds } = await notifications.insertMany([
+            { userEmail: "requester@example.com", title: "One", read: false, createdAt: new Date() },
+            { userEmail: "requester@example.com", title: "Two", read: false, createdAt: new Date() },
+            { userEmail: "donor@example.com", title: "Other", read: false, createdAt: new Date() },
+        ]);
+
+        const one = await request(ctx.app)
+            .put(`/dashboard/notifications/${insertedIds[0]}/read`)
+            .set(authHeader("requester@example.com"));
+        assert.equal(one.status, 200);
+        assert.equal((await listNotifications("requester@example.com", { unreadOnly: "true" })).body.total, 1);
+
+        // Someone else's notification can't be touched
+        const foreign = await request(ctx.app)
+            .put(`/dashboard/notifications/${insertedIds[2]}/read`)
+            .set(authHeader("requester@example.com"));
+        assert.equal(foreign.status, 404);
+
+        const all = await request(ctx.app).put("/dashboard/notifications/read-all").set(authHeader("requester@example.com"));
+        assert.equal(all.body.updated, 1);
+        assert.equal((await listNotifications("requester@example.com")).body.unread, 0);
+    });
+});
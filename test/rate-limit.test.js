@@ -0,0 +1,68 @@
+import { describe, it, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import request from "supertest";
+import { setupTestApp, authHeader, createUser, validDonationRequestBody } from "./helpers.js";
+import { createMongoStore } from "../lib/rate-limit.js";
+
+describe("Rate limiting", () => {
+    let ctx;
+
+    before(async () => {
+        ctx = await setupTestApp({
+            rateLimits: {
+                searchDonors: { max: 2 },
+                createRequestUser: { max: 1 },
+            },
+        });
+    });
+
+    after(async () => {
+        await ctx.close();
+    });
+
+    beforeEach(async () => {
+        await ctx.reset();
+        await createUser(ctx.db, { email: "one@example.com" });
+        await createUser(ctx.db, { email: "two@example.com" });
+    });
+
+    it("throttles public routes per IP with Retry-After", async () => {
+        const first = await request(ctx.app).get("/search-donors");
+        assert.equal(first.status, 200);
+        assert.equal(first.headers["x-ratelimit-limit"], "2");
+        assert.equal(first.headers["x-ratelimit-remaining"], "1");
+
+        await request(ctx.app).get("/search-donors");
+        const blocked = await request(ctx.app).get("/search-donors");
+
+        assert.equal(blocked.status, 429);
+        assert.ok(Number(blocked.headers["retry-after"]) > 0);
+
+        // Other routes have their own budget
+        const stats = await request(ctx.app).get("/public-stats");
+        assert.equal(stats.status, 200);
+    });
+
+    it("keeps a separate bucket per signed-in user", async () => {
+        const create = (email) =>
+            request(ctx.app)
+                .post("/dashboard/create-donation-request")
+                .set(authHeader(email))
+                .send(validDonationRequestBody());
+
+        assert.equal((await create("one@example.com")).status, 201);
+        assert.equal((await create("one@example.com")).status, 429);
+        assert.equal((await create("two@example.com")).status, 201);
+    });
+
+    it("counts in the shared rateLimits collection with the mongo store", async () => {
+        const store = createMongoStore();
+
+        const first = await store.increment(ctx.db, "test:ip:1.2.3.4", 60000);
+        const second = await store.increment(ctx.db, "test:ip:1.2.3.4", 60000);
+
+        assert.equal(first.count, 1);
+        assert.equal(second.count, 2);
+        assert.equal(second.resetAt.getTime(), first.resetAt.getTime());
+    });
+});
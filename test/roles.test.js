@@ -0,0 +1,111 @@
+import { describe, it, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import request from "supertest";
+import { setupTestApp, authHeader, createUser } from "./helpers.js";
+
+describe("Auth and role guards", () => {
+    let ctx;
+
+    before(async () => {
+        ctx = await setupTestApp();
+    });
+
+    after(async () => {
+        await ctx.close();
+    });
+
+    beforeEach(async () => {
+        await ctx.reset();
+        await createUser(ctx.db, { email: "admin@example.com", role: "admin" });
+        await createUser(ctx.db, { email: "vol@example.com", role: "volunteer" });
+        await createUser(ctx.db, { email: "donor@example.com", role: "donor" });
+    });
+
+    it("rejects a missing bearer token", async () => {
+        const res = await request(ctx.app).get("/dashboard/all-users");
+        assert.equal(res.status, 401);
+        assert.equal(res.body.message, "Unauthorized: Missing token");
+    });
+
+    it("rejects an invalid token", async () => {
+        const res = await request(ctx.app).get("/dashboard/all-users").set("Authorization", "Bearer not-a-token");
+        assert.equal(res.status, 401);
+        assert.equal(res.body.message, "Unauthorized: Invalid token");
+    });
+
+    describe("requireRole('admin')", () => {
+        it("lets admins through", async () => {
+            const res = await request(ctx.app).get("/dashboard/all-users").set(authHeader("admin@example.com"));
+            assert.equal(res.status, 200);
+            assert.equal(res.body.total, 3);
+        });
+
+        it("blocks volunteers and donors", async () => {
+            for (const email of ["vol@example.com", "donor@example.com"]) {
+                const res = await request(ctx.app).get("/dashboard/all-users").set(authHeader(email));
+                assert.equal(res.status, 403);
+            }
+        });
+
+        it("blocks users that aren't registered", async () => {
+            const res = await request(ctx.app).get("/dashboard/all-users").set(authHeader("ghost@example.com"));
+            assert.equal(res.status, 403);
+        });
+    });
+
+    describe("role custom claims", () => {
+        it("authorize without a users lookup", async () => {
+            // Not in the users collection, only the claim says admin
+            ctx.auth.claimsByUid.set("uid-claims@example.com", { role: "admin" });
+
+            const res = await request(ctx.app).get("/dashboard/all-users").set(authHeader("claims@example.com"));
+            assert.equal(res.status, 200);
+        });
+
+        it("stop working once the user's tokens are revoked", async () => {
+            const volunteer = await ctx.db.collection("users").findOne({ email: "vol@example.com" });
+            ctx.auth.claimsByUid.set("uid-vol@example.com", { role: "admin" });
+
+            // An admin demotes the user; the token they already hold still carries the admin claim
+            const demoted = await request(ctx.app)
+                .put(`/dashboard/user/${volunteer._id}`)
+                .set(authHeader("admin@example.com"))
+                .send({ role: "donor" });
+            assert.equal(demoted.status, 200);
+
+            const stale = await request(ctx.app).get("/dashboard/all-users").set(authHeader("vol@example.com"));
+            assert.equal(stale.status, 401);
+            assert.equal(stale.body.code, "TOKEN_REVOKED");
+
+            // Routes that don't trust the role claim skip the revocation check
+            const profile = await request(ctx.app).get("/dashboard/profile").set(authHeader("vol@example.com"));
+            assert.equal(profile.status, 200);
+
+            ctx.auth.signInAgain("vol@example.com");
+            const fresh = await request(ctx.app).get("/dashboard/all-users").set(authHeader("vol@example.com"));
+            assert.equal(fresh.status, 403);
+        });
+
+        it("take precedence over the stored role", async () => {
+            ctx.auth.claimsByUid.set("uid-admin@example.com", { role: "donor" });
+
+            const res = await request(ctx.app).get("/dashboard/all-users").set(authHeader("admin@example.com"));
+            assert.equal(res.status, 403);
+        });
+    });
+
+    describe("requireAnyRole(['admin', 'volunteer'])", () => {
+        it("lets admins and volunteers through", async () => {
+            for (const email of ["admin@example.com", "vol@example.com"]) {
+                const res = await request(ctx.app).get("/dashboard/total-users-count").set(authHeader(email));
+                assert.equal(res.status, 200);
+                assert.equal(res.body.totalUsers, 3);
+            }
+        });
+
+        it("blocks donors", async () => {
+            const res = await request(ctx.app).get("/dashboard/total-users-count").set(authHeader("donor@example.com"));
+            assert.equal(res.status, 403);
+        });
+    });
+});
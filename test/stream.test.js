@@ -0,0 +1,136 @@
+import { describe, it, before, after, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import request from "supertest";
+import { setupTestApp, authHeader, createUser, validDonationRequestBody } from "./helpers.js";
+import { createLiveUpdates } from "../lib/live-updates.js";
+
+describe("GET /dashboard/stream", () => {
+    let ctx;
+    let server;
+    let baseUrl;
+    const streams = [];
+
+    before(async () => {
+        // The in-memory server is standalone, so this exercises the polling fallback
+        ctx = await setupTestApp({ liveUpdates: createLiveUpdates({ pollIntervalMs: 50 }) });
+        server = ctx.app.listen(0);
+        await new Promise((resolve) => server.once("listening", resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(async () => {
+        await new Promise((resolve) => server.close(resolve));
+        await ctx.close();
+    });
+
+    beforeEach(async () => {
+        await ctx.reset();
+        await createUser(ctx.db, { email: "vol@example.com", name: "Volunteer", role: "volunteer" });
+        await createUser(ctx.db, { email: "requester@example.com", name: "Requester" });
+        await createUser(ctx.db, { email: "other@example.com", name: "Other Requester" });
+        await createUser(ctx.db, { email: "donor@example.com", name: "Donor", bloodGroup: "B+" });
+    });
+
+    afterEach(() => {
+        streams.splice(0).forEach((stream) => stream.close());
+    });
+
+    // Opens a stream and collects its events; next(event) resolves with the next event of that name
+    const openStream = async (email, { query = false } = {}) => {
+        const controller = new AbortController();
+        const url = query ? `${baseUrl}/dashboard/stream?token=${email}` : `${baseUrl}/dashboard/stream`;
+        const res = await fetch(url, { headers: query ? {} : authHeader(email), signal: controller.signal });
+
+        const events = [];
+        const waiters = [];
+        const flush = () => {
+            for (const waiter of [...waiters]) {
+                const index = events.findIndex((event) => event.event === waiter.event);
+                if (index === -1) continue;
+                waiters.splice(waiters.indexOf(waiter), 1);
+                waiter.resolve(events.splice(index, 1)[0]);
+            }
+        };
+
+        (async () => {
+            const decoder = new TextDecoder();
+            let buffer = "";
+            try {
+                for await (const chunk of res.body) {
+                    buffer += decoder.decode(chunk, { stream: true });
+                    const blocks = buffer.split("\n\n");
+                    buffer = blocks.pop();
+                    for (const block of blocks) {
+                        const lines = block.split("\n");
+                        const event = lines.find((line) => line.startsWith("event: "))?.slice(7);
+                        const data = lines.find((line) => line.startsWith("data: "))?.slice(6);
+                        if (event) events.push({ event, data: JSON.parse(data) });
+                    }
+                    flush();
+                }
+            } catch {
+                // Aborted by close()
+            }
+        })();
+
+        const stream = {
+            res,
+            events,
+            next: (event, timeoutMs = 2000) =>
+                new Promise((resolve, reject) => {
+                    const timer = setTimeout(() => reject(new Error(`No ${event} event within ${timeoutMs}ms`)), timeoutMs);
+                    waiters.push({ event, resolve: (value) => (clearTimeout(timer), resolve(value)) });
+                    flush();
+                }),
+            close: () => controller.abort(),
+        };
+        streams.push(stream);
+        return stream;
+    };
+
+    const createRequest = (email) =>
+        request(ctx.app).post("/dashboard/create-donation-request").set(authHeader(email)).send(validDonationRequestBody());
+
+    it("requires a signed-in user", async () => {
+        const res = await fetch(`${baseUrl}/dashboard/stream`);
+        assert.equal(res.status, 401);
+    });
+
+    it("streams created, donor-assigned and status-changed events to volunteers", async () => {
+        const stream = await openStream("vol@example.com");
+        assert.equal(stream.res.headers.get("content-type"), "text/event-stream");
+        assert.equal((await stream.next("ready")).data.role, "volunteer");
+
+        const created = await createRequest("requester@example.com");
+        const id = created.body.donationRequest._id;
+        const createdEvent = await stream.next("request.created");
+        assert.equal(createdEvent.data.request._id, id);
+        assert.equal(createdEvent.data.to, "pending");
+
+        await request(ctx.app)
+            .put(`/donation-request/${id}/donate`)
+            .set(authHeader("donor@example.com"))
+            .send({ donorName: "Donor", donorEmail: "donor@example.com" });
+        const assigned = await stream.next("request.donor_assigned");
+        assert.equal(assigned.data.request.donorName, "Donor");
+
+        await request(ctx.app)
+            .put(`/dashboard/donation-request/${id}/status`)
+            .set(authHeader("vol@example.com"))
+            .send({ status: "done" });
+        const changed = await stream.next("request.status_changed");
+        assert.deepEqual([changed.data.from, changed.data.to], ["inprogress", "done"]);
+    });
+
+    it("only sends donors events for their own requests", async () => {
+        const stream = await openStream("requester@example.com", { query: true });
+        await stream.next("ready");
+
+        await createRequest("other@example.com");
+        const own = await createRequest("requester@example.com");
+
+        const event = await stream.next("request.created");
+        assert.equal(event.data.request._id, own.body.donationRequest._id);
+        await assert.rejects(stream.next("request.created", 300));
+    });
+});
@@ -0,0 +1,149 @@
+import { describe, it, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import request from "supertest";
+import { setupTestApp, authHeader, createUser, createDonationRequest } from "./helpers.js";
+
+describe("Soft delete and trash", () => {
+    let ctx;
+    const previousSecret = process.env.CRON_SECRET;
+
+    before(async () => {
+        process.env.CRON_SECRET = "test-cron-secret";
+        ctx = await setupTestApp();
+    });
+
+    after(async () => {
+        if (previousSecret === undefined) delete process.env.CRON_SECRET;
+        else process.env.CRON_SECRET = previousSecret;
+        await ctx.close();
+    });
+
+    beforeEach(async () => {
+        await ctx.reset();
+        await createUser(ctx.db, { email: "requester@example.com", name: "Requester" });
+        await createUser(ctx.db, { email: "donor@example.com", name: "Donor" });
+        await createUser(ctx.db, { email: "admin@example.com", name: "Admin", role: "admin" });
+    });
+
+    const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+    describe("donation requests", () => {
+        it("hides deleted requests from listings and restores them from the trash", async () => {
+            const { _id } = await createDonationRequest(ctx.db);
+
+            const del = await request(ctx.app)
+                .delete(`/dashboard/donation-request/${_id}`)
+                .set(authHeader("requester@example.com"));
+            assert.equal(del.status, 200);
+
+            const mine = await request(ctx.app)
+                .get("/dashboard/my-donation-requests")
+                .set(authHeader("requester@example.com"));
+            assert.equal(mine.body.total, 0);
+
+            const publicList = await request(ctx.app).get("/donation-requests");
+            assert.equal(publicList.body.total, 0);
+
+            const trash = await request(ctx.app)
+                .get("/dashboard/trash/donation-requests")
+                .set(authHeader("admin@example.com"));
+            assert.equal(trash.status, 200);
+            assert.equal(trash.body.total, 1);
+            assert.equal(trash.body.requests[0].deletedBy, "requester@example.com");
+            assert.ok(trash.body.requests[0].purgeAt);
+
+            const restore = await request(ctx.app)
+                .put(`/dashboard/donation-request/${_id}/restore`)
+                .set(authHeader("admin@example.com"));
+            assert.equal(restore.status, 200);
+
+            const restored = await ctx.db.collection("donationRequests").findOne({ _id });
+            assert.equal(restored.deletedAt, undefined);
+            assert.equal((await request(ctx.app).get("/donation-requests")).body.total, 1);
+
+            const log = await ctx.db.collection("auditLogs").findOne({ action: "donationRequest.restore" });
+            assert.ok(log);
+        });
+
+        it("only restores deleted requests, and only for admins", async () => {
+            const { _id } = await createDonationRequest(ctx.db);
+
+            const notDeleted = await request(ctx.app)
+                .put(`/dashboard/donation-request/${_id}/restore`)
+                .set(authHeader("admin@example.com"));
+            assert.equal(notDeleted.status, 404);
+
+            const forbidden = await request(ctx.app)
+                .get("/dashboard/trash/donation-requests")
+                .set(authHeader("requester@example.com"));
+            assert.equal(forbidden.status, 403);
+        });
+    });
+
+    describe("users", () => {
+        it("soft deletes a user, signs them out and restores them", async () => {
+            const user = await ctx.db.collection("users").findOne({ email: "donor@example.com" });
+
+            const del = await request(ctx.app)
+                .delete(`/dashboard/user/${user._id}`)
+                .set(authHeader("admin@example.com"));
+            assert.equal(del.status, 200);
+            assert.equal(ctx.auth.claimsByUid.get("uid-donor@example.com"), null);
+            assert.ok(ctx.auth.revokedUids.includes("uid-donor@example.com"));
+
+            const profile = await request(ctx.app).get("/dashboard/profile").set(authHeader("donor@example.com"));
+            assert.equal(profile.status, 404);
+
+            const users = await request(ctx.app).get("/dashboard/all-users").set(authHeader("admin@example.com"));
+            assert.ok(!users.body.users.some((u) => u.email === "donor@example.com"));
+
+            const trash = await request(ctx.app).get("/dashboard/trash/users").set(authHeader("admin@example.com"));
+            assert.equal(trash.body.total, 1);
+
+            const restore = await request(ctx.app)
+                .put(`/dashboard/user/${user._id}/restore`)
+                .set(authHeader("admin@example.com"));
+            assert.equal(restore.status, 200);
+            assert.deepEqual(ctx.auth.claimsByUid.get("uid-donor@example.com"), { role: "donor" });
+
+            const back = await request(ctx.app).get("/dashboard/profile").set(authHeader("donor@example.com"));
+            assert.equal(back.status, 200);
+        });
+
+        it("doesn't let admins delete themselves", async () => {
+            const admin = await ctx.db.collection("users").findOne({ email: "admin@example.com" });
+
+            const res = await request(ctx.app)
+                .delete(`/dashboard/user/${admin._id}`)
+                .set(authHeader("admin@example.com"));
+            assert.equal(res.status, 400);
+        });
+    });
+
+    describe("purge-deleted job", () => {
+        it("removes records that have been in the trash past the retention period", async () => {
+            const old = await createDonationRequest(ctx.db, { deletedAt: daysAgo(31), deletedBy: "admin@example.com" });
+            const recent = await createDonationRequest(ctx.db, { deletedAt: daysAgo(1), deletedBy: "admin@example.com" });
+            const live = await createDonationRequest(ctx.db);
+            await createUser(ctx.db, { email: "gone@example.com", deletedAt: daysAgo(40), avatarKey: "avatars/gone.webp" });
+            await ctx.storage.save("avatars/gone.webp", Buffer.from("avatar"));
+            await ctx.storage.save(`documents/${old._id}/prescription.pdf`, Buffer.from("%PDF"));
+            await ctx.db
+                .collection("donationRequests")
+                .updateOne({ _id: old._id }, { $set: { documents: [{ key: `documents/${old._id}/prescription.pdf` }] } });
+
+            const res = await request(ctx.app)
+                .get("/cron/purge-deleted")
+                .set("Authorization", "Bearer test-cron-secret");
+            assert.equal(res.status, 200);
+            assert.deepEqual(res.body.result, { donationRequests: 1, users: 1, files: 2 });
+            assert.equal(await ctx.storage.read("avatars/gone.webp"), null);
+            assert.equal(await ctx.storage.read(`documents/${old._id}/prescription.pdf`), null);
+
+            const requests = ctx.db.collection("donationRequests");
+            assert.equal(await requests.findOne({ _id: old._id }), null);
+            assert.ok(await requests.findOne({ _id: recent._id }));
+            assert.ok(await requests.findOne({ _id: live._id }));
+        });
+    });
+});
@@ -0,0 +1,180 @@
+import { describe, it, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import request from "supertest";
+import sharp from "sharp";
+import { setupTestApp, authHeader, createUser, createDonationRequest } from "./helpers.js";
+
+describe("Uploads", () => {
+    let ctx;
+    let png;
+
+    before(async () => {
+        ctx = await setupTestApp();
+        png = await sharp({ create: { width: 800, height: 600, channels: 3, background: "#c00" } }).png().toBuffer();
+    });
+
+    after(async () => {
+        await ctx.close();
+    });
+
+    beforeEach(async () => {
+        await ctx.reset();
+        await createUser(ctx.db, { email: "requester@example.com", name: "Requester" });
+        await createUser(ctx.db, { email: "donor@example.com", name: "Donor" });
+        await createUser(ctx.db, { email: "vol@example.com", name: "Volunteer", role: "volunteer" });
+    });
+
+    const pdf = Buffer.from("%PDF-1.4\n1 0 obj <<>> endobj\ntrailer <<>>\n%%EOF\n");
+
+    describe("POST /dashboard/upload/avatar", () => {
+        it("resizes the image, saves it on the profile and serves it", async () => {
+            const res = await request(ctx.app)
+                .post("/dashboard/upload/avatar")
+                .set(authHeader("donor@example.com"))
+                .attach("file", png, { filename: "me.png", contentType: "image/png" });
+
+            assert.equal(res.status, 201);
+            assert.equal(res.body.profileUpdated, true);
+
+            const user = await ctx.db.collection("users").findOne({ email: "donor@example.com" });
+            assert.equal(user.avatar, res.body.url);
+
+            const file = await request(ctx.app).get(new URL(res.body.url).pathname);
+            assert.equal(file.status, 200);
+            assert.equal(file.headers["content-type"], "image/webp");
+            const { width, height } = await sharp(file.body).metadata();
+            assert.deepEqual([width, height], [256, 256]);
+        });
+
+        it("removes the previous uploaded avatar", async () => {
+            const upload = () =>
+                request(ctx.app)
+                    .post("/dashboard/upload/avatar")
+                    .set(authHeader("donor@example.com"))
+                    .attach("file", png, { filename: "me.png", contentType: "image/png" });
+
+            const first = await upload();
+            await upload();
+
+            const old = await request(ctx.app).get(new URL(first.body.url).pathname);
+            assert.equal(old.status, 404);
+        });
+
+        it("keeps the key of an avatar uploaded before registration so it can be replaced", async () => {
+            // supertest listens on a new port per request, so pin the Host the avatar URLs are built from
+            const host = { Host: "api.example.com" };
+            const upload = (email) =>
+                request(ctx.app)
+                    .post("/dashboard/upload/avatar")
+                    .set({ ...authHeader(email), ...host })
+                    .attach("file", png, { filename: "me.png", contentType: "image/png" });
+
+            const first = await upload("newbie@example.com");
+            assert.equal(first.body.profileUpdated, false);
+
+            const registered = await request(ctx.app)
+                .post("/register-user")
+                .set({ ...authHeader("newbie@example.com"), ...host })
+                .send({ name: "Newbie", bloodGroup: "A+", district: "Dhaka", upazila: "Dhanmondi", avatar: first.body.url });
+            assert.equal(registered.status, 201);
+            const key = new URL(first.body.url).pathname.replace("/files/", "");
+            const user = await ctx.db.collection("users").findOne({ email: "newbie@example.com" });
+            assert.equal(user.avatarKey, key);
+
+            // Switching to another uploaded avatar through the profile deletes the first file
+            const second = await upload("someone-else@example.com");
+            const updated = await request(ctx.app)
+                .put("/dashboard/profile")
+                .set({ ...authHeader("newbie@example.com"), ...host })
+                .send({ avatar: second.body.url });
+            assert.equal(updated.status, 200);
+            assert.equal(await ctx.storage.read(key), null);
+            assert.equal(
+                (await ctx.db.collection("users").findOne({ email: "newbie@example.com" })).avatarKey,
+                new URL(second.body.url).pathname.replace("/files/", "")
+            );
+        });
+
+        it("rejects other file types and fake images", async () => {
+            const wrongType = await request(ctx.app)
+                .post("/dashboard/upload/avatar")
+                .set(authHeader("donor@example.com"))
+                .attach("file", pdf, { filename: "me.pdf", contentType: "application/pdf" });
+            assert.equal(wrongType.status, 400);
+
+            const fake = await request(ctx.app)
+                .post("/dashboard/upload/avatar")
+                .set(authHeader("donor@example.com"))
+                .attach("file", Buffer.from("not an image"), { filename: "me.png", contentType: "image/png" });
+            assert.equal(fake.status, 400);
+            assert.equal(fake.body.message, "File is not a valid image");
+        });
+    });
+
+    describe("donation request documents", () => {
+        const uploadDocument = (id, email, file = pdf, options = { filename: "prescription.pdf", contentType: "application/pdf" }) =>
+            request(ctx.app)
+                .post(`/dashboard/donation-request/${id}/documents`)
+                .set(authHeader(email))
+                .attach("file", file, options);
+
+        it("lets the requester upload and the assigned donor and staff download", async () => {
+            const { _id } = await createDonationRequest(ctx.db, { donorEmail: "donor@example.com" });
+
+            const res = await uploadDocument(_id, "requester@example.com");
+            assert.equal(res.status, 201);
+            assert.equal(res.body.document.name, "prescription.pdf");
+
+            const path = `/dashboard/donation-request/${_id}/documents/${res.body.document._id}`;
+            for (const email of ["requester@example.com", "donor@example.com", "vol@example.com"]) {
+                const download = await request(ctx.app).get(path).set(authHeader(email));
+                assert.equal(download.status, 200);
+                assert.equal(download.headers["content-type"], "application/pdf");
+            }
+
+            await createUser(ctx.db, { email: "other@example.com", name: "Other" });
+            const forbidden = await request(ctx.app).get(path).set(authHeader("other@example.com"));
+            assert.equal(forbidden.status, 403);
+
+            const publicRequest = await request(ctx.app).get(`/donation-request/${_id}`);
+            assert.equal(publicRequest.body.request?.documents, undefined);
+        });
+
+        it("scales large images down and rejects files that aren't what they claim", async () => {
+            const { _id } = await createDonationRequest(ctx.db);
+            const large = await sharp({ create: { width: 4000, height: 1000, channels: 3, background: "#fff" } })
+                .jpeg()
+                .toBuffer();
+
+            const image = await uploadDocument(_id, "requester@example.com", large, {
+                filename: "scan.jpg",
+                contentType: "image/jpeg",
+            });
+            assert.equal(image.status, 201);
+            const stored = await ctx.storage.read(
+                (await ctx.db.collection("donationRequests").findOne({ _id })).documents[0].key
+            );
+            assert.equal((await sharp(stored).metadata()).width, 2000);
+
+            const fakePdf = await uploadDocument(_id, "requester@example.com", Buffer.from("hello"));
+            assert.equal(fakePdf.status, 400);
+        });
+
+        it("only lets the requester or an admin upload and delete", async () => {
+            const { _id } = await createDonationRequest(ctx.db);
+
+            const forbidden = await uploadDocument(_id, "donor@example.com");
+            assert.equal(forbidden.status, 403);
+
+            const { body } = await uploadDocument(_id, "requester@example.com");
+            const del = await request(ctx.app)
+                .delete(`/dashboard/donation-request/${_id}/documents/${body.document._id}`)
+                .set(authHeader("requester@example.com"));
+            assert.equal(del.status, 200);
+
+            const updated = await ctx.db.collection("donationRequests").findOne({ _id });
+            assert.equal(updated.documents.length, 0);
+            assert.equal(await ctx.storage.read(body.document.key), null);
+        });
+    });
+});
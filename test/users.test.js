@@ -0,0 +1,195 @@
+import { describe, it, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import request from "supertest";
+import { setupTestApp, authHeader, createUser } from "./helpers.js";
+
+describe("User APIs", () => {
+    let ctx;
+
+    before(async () => {
+        ctx = await setupTestApp();
+    });
+
+    after(async () => {
+        await ctx.close();
+    });
+
+    beforeEach(async () => {
+        await ctx.reset();
+    });
+
+    it("GET / responds", async () => {
+        const res = await request(ctx.app).get("/");
+        assert.equal(res.status, 200);
+        assert.equal(res.text, "Blood Bridge is donating blood");
+    });
+
+    it("GET /health pings MongoDB", async () => {
+        const res = await request(ctx.app).get("/health");
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body, { status: "ok", database: "up" });
+    });
+
+    describe("POST /register-user", () => {
+        const body = {
+            name: "John Doe",
+            email: "john@example.com",
+            bloodGroup: "O+",
+            district: "Dhaka",
+            upazila: "Dhanmondi",
+        };
+
+        const register = (payload, email = "john@example.com") =>
+            request(ctx.app).post("/register-user").set(authHeader(email)).send(payload);
+
+        it("requires a token", async () => {
+            const res = await request(ctx.app).post("/register-user").send(body);
+            assert.equal(res.status, 401);
+        });
+
+        it("registers a donor bound to the token and sets the role claim", async () => {
+            const res = await register(body);
+
+            assert.equal(res.status, 201);
+            assert.equal(res.body.user.role, "donor");
+            assert.equal(res.body.user.status, "active");
+            assert.equal(res.body.user.uid, "uid-john@example.com");
+            assert.deepEqual(ctx.auth.claimsByUid.get("uid-john@example.com"), { role: "donor" });
+
+            const saved = await ctx.db.collection("users").findOne({ email: body.email });
+            assert.equal(saved.name, "John Doe");
+        });
+
+        it("uses the token email when the body has none", async () => {
+            const { email, ...withoutEmail } = body;
+            const res = await register(withoutEmail);
+
+            assert.equal(res.status, 201);
+            assert.equal(res.body.user.email, email);
+        });
+
+        it("refuses to register someone else's email", async () => {
+            const res = await register(body, "mallory@example.com");
+            assert.equal(res.status, 403);
+            assert.equal(await ctx.db.collection("users").countDocuments(), 0);
+        });
+
+        it("rejects duplicate emails", async () => {
+            await createUser(ctx.db, { email: body.email });
+
+            const res = await register(body);
+            assert.equal(res.status, 400);
+            assert.equal(res.body.message, "Email already exists");
+        });
+
+        it("lists every invalid field", async () => {
+            const res = await register({ ...body, bloodGroup: "C+", upazila: "Nowhere", role: "admin" });
+
+            assert.equal(res.status, 400);
+            const fields = res.body.errors.map((error) => error.field).sort();
+            assert.deepEqual(fields, ["bloodGroup", "role", "upazila"]);
+        });
+
+        it("only accepts avatars uploaded to the server", async () => {
+            const res = await register({ ...body, avatar: "https://tracker.example.net/pixel.gif" });
+
+            assert.equal(res.status, 400);
+            assert.deepEqual(res.body.errors.map((error) => error.field), ["avatar"]);
+
+            // Right path, someone else's host
+            const foreign = await register({
+                ...body,
+                avatar: "https://tracker.example.net/files/avatars/3f1c2a9e-5b7d-4e8a-9c61-0d2f4b6a8e17.webp",
+            });
+            assert.equal(foreign.status, 400);
+            assert.deepEqual(foreign.body.errors.map((error) => error.field), ["avatar"]);
+            assert.equal(await ctx.db.collection("users").countDocuments(), 0);
+        });
+    });
+
+    describe("GET /get-user-role", () => {
+        beforeEach(async () => {
+            await createUser(ctx.db, { email: "vol@example.com", role: "volunteer" });
+            await createUser(ctx.db, { email: "admin@example.com", role: "admin" });
+        });
+
+        it("requires a token", async () => {
+            const res = await request(ctx.app).get("/get-user-role").query({ email: "vol@example.com" });
+            assert.equal(res.status, 401);
+        });
+
+        it("returns the caller's own role", async () => {
+            const res = await request(ctx.app).get("/get-user-role").set(authHeader("vol@example.com"));
+            assert.equal(res.status, 200);
+            assert.deepEqual(res.body, { role: "volunteer" });
+        });
+
+        it("only lets admins look up other users", async () => {
+            const asVolunteer = await request(ctx.app)
+                .get("/get-user-role")
+                .query({ email: "admin@example.com" })
+                .set(authHeader("vol@example.com"));
+            assert.equal(asVolunteer.status, 403);
+
+            const asAdmin = await request(ctx.app)
+                .get("/get-user-role")
+                .query({ email: "vol@example.com" })
+                .set(authHeader("admin@example.com"));
+            assert.equal(asAdmin.status, 200);
+            assert.deepEqual(asAdmin.body, { role: "volunteer" });
+        });
+
+        it("returns 404 for unregistered users", async () => {
+            const res = await request(ctx.app).get("/get-user-role").set(authHeader("ghost@example.com"));
+            assert.equal(res.status, 404);
+        });
+    });
+
+    describe("/dashboard/profile", () => {
+        it("requires a token", async () => {
+            const res = await request(ctx.app).get("/dashboard/profile");
+            assert.equal(res.status, 401);
+        });
+
+        it("returns the logged-in user", async () => {
+            await createUser(ctx.db, { email: "me@example.com", name: "Me" });
+
+            const res = await request(ctx.app).get("/dashboard/profile").set(authHeader("me@example.com"));
+            assert.equal(res.status, 200);
+            assert.equal(res.body.user.name, "Me");
+            assert.equal(typeof res.body.user._id, "string");
+        });
+
+        it("returns 404 when the user isn't registered", async () => {
+            const res = await request(ctx.app).get("/dashboard/profile").set(authHeader("ghost@example.com"));
+            assert.equal(res.status, 404);
+        });
+
+        it("updates only the sent fields", async () => {
+            await createUser(ctx.db, { email: "me@example.com", name: "Me", bloodGroup: "O+" });
+
+            const res = await request(ctx.app)
+                .put("/dashboard/profile")
+                .set(authHeader("me@example.com"))
+                .send({ name: "New Name" });
+            assert.equal(res.status, 200);
+
+            const saved = await ctx.db.collection("users").findOne({ email: "me@example.com" });
+            assert.equal(saved.name, "New Name");
+            assert.equal(saved.bloodGroup, "O+");
+        });
+
+        it("does not let users change their email or role", async () => {
+            await createUser(ctx.db, { email: "me@example.com" });
+
+            const res = await request(ctx.app)
+                .put("/dashboard/profile")
+                .set(authHeader("me@example.com"))
+                .send({ email: "other@example.com", role: "admin" });
+            assert.equal(res.status, 400);
+
+            const saved = await ctx.db.collection("users").findOne({ email: "me@example.com" });
+            assert.equal(saved.role, "donor");
+        });
+    });
+});